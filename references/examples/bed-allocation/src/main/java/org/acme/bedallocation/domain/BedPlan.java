@@ -1,7 +1,10 @@
 package org.acme.bedallocation.domain;
 
+import java.util.LinkedHashMap;
 import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.domain.solution.ConstraintWeightOverrides;
 import ai.timefold.solver.core.api.domain.solution.PlanningEntityCollectionProperty;
 import ai.timefold.solver.core.api.domain.solution.PlanningScore;
 import ai.timefold.solver.core.api.domain.solution.PlanningSolution;
@@ -34,6 +37,10 @@ public class BedPlan {
 
     private SolverStatus solverStatus;
 
+    // Replaces the weights of the constraint provider, to tune or disable constraints without code changes.
+    @JsonIgnore
+    private ConstraintWeightOverrides<HardMediumSoftScore> constraintWeightOverrides = ConstraintWeightOverrides.none();
+
     // No-arg constructor required for Timefold
     public BedPlan() {
     }
@@ -109,4 +116,28 @@ public class BedPlan {
         this.solverStatus = solverStatus;
     }
 
+    public ConstraintWeightOverrides<HardMediumSoftScore> getConstraintWeightOverrides() {
+        return constraintWeightOverrides;
+    }
+
+    public void setConstraintWeightOverrides(ConstraintWeightOverrides<HardMediumSoftScore> constraintWeightOverrides) {
+        this.constraintWeightOverrides = constraintWeightOverrides;
+    }
+
+    // The overrides as JSON: the weight of each overridden constraint by name, such as "0hard/5soft".
+    public Map<String, String> getConstraintWeights() {
+        Map<String, String> constraintWeights = new LinkedHashMap<>();
+        for (String constraintName : constraintWeightOverrides.getKnownConstraintNames()) {
+            constraintWeights.put(constraintName, constraintWeightOverrides.getConstraintWeight(constraintName).toString());
+        }
+        return constraintWeights;
+    }
+
+    public void setConstraintWeights(Map<String, String> constraintWeights) {
+        Map<String, HardMediumSoftScore> overrides = new LinkedHashMap<>();
+        constraintWeights.forEach((constraintName, weight) ->
+                overrides.put(constraintName, HardMediumSoftScore.parseScore(weight)));
+        this.constraintWeightOverrides = ConstraintWeightOverrides.of(overrides);
+    }
+
 }
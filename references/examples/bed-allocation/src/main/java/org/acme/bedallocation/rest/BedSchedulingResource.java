@@ -1,11 +1,16 @@
 package org.acme.bedallocation.rest;
 
 import ai.timefold.solver.core.api.score.analysis.ScoreAnalysis;
+import ai.timefold.solver.core.api.score.buildin.hardmediumsoft.HardMediumSoftScore;
 import ai.timefold.solver.core.api.score.buildin.hardsoft.HardSoftScore;
 import ai.timefold.solver.core.api.solver.ScoreAnalysisFetchPolicy;
 import ai.timefold.solver.core.api.solver.SolutionManager;
 import ai.timefold.solver.core.api.solver.SolverManager;
 import ai.timefold.solver.core.api.solver.SolverStatus;
+import ai.timefold.solver.core.config.solver.SolverConfig;
+import io.smallrye.mutiny.Multi;
+import io.smallrye.mutiny.operators.multi.processors.BroadcastProcessor;
+import jakarta.annotation.PreDestroy;
 import jakarta.inject.Inject;
 import jakarta.ws.rs.Consumes;
 import jakarta.ws.rs.DELETE;
@@ -29,6 +34,7 @@ import org.eclipse.microprofile.openapi.annotations.parameters.Parameter;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponse;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponses;
 import org.eclipse.microprofile.openapi.annotations.tags.Tag;
+import org.jboss.resteasy.reactive.RestStreamElementType;
 import org.slf4j.Logger;
 import org.slf4j.LoggerFactory;
 
@@ -36,6 +42,7 @@ import java.time.LocalDateTime;
 import java.util.Collection;
 import java.util.List;
 import java.util.Map.Entry;
+import java.util.Objects;
 import java.util.UUID;
 import java.util.concurrent.ConcurrentHashMap;
 import java.util.concurrent.ConcurrentMap;
@@ -50,19 +57,28 @@ public class BedSchedulingResource {
 
     private final SolverManager<BedPlan, String> solverManager;
     private final SolutionManager<BedPlan, HardSoftScore> solutionManager;
+    private final SolverConfig solverConfig;
     private final ConcurrentMap<String, Job> jobIdToJob = new ConcurrentHashMap<>();
+    private final ConcurrentMap<String, BroadcastProcessor<BedPlan>> jobIdToEvents = new ConcurrentHashMap<>();
+    // Move threads are fixed when a solver manager is built, so another move thread count needs its own one.
+    private final ConcurrentMap<String, SolverManager<BedPlan, String>> moveThreadCountToSolverManager =
+            new ConcurrentHashMap<>();
+    private final ConcurrentMap<String, SolverManager<BedPlan, String>> jobIdToSolverManager = new ConcurrentHashMap<>();
 
     // Workaround to make Quarkus CDI happy. Do not use.
     public BedSchedulingResource() {
         this.solverManager = null;
         this.solutionManager = null;
+        this.solverConfig = null;
     }
 
     @Inject
     public BedSchedulingResource(SolverManager<BedPlan, String> solverManager,
-                                 SolutionManager<BedPlan, HardSoftScore> solutionManager) {
+                                 SolutionManager<BedPlan, HardSoftScore> solutionManager,
+                                 SolverConfig solverConfig) {
         this.solverManager = solverManager;
         this.solutionManager = solutionManager;
+        this.solverConfig = solverConfig;
     }
 
     @Operation(summary = "List the job IDs of all submitted schedules.")
@@ -80,22 +96,64 @@ public class BedSchedulingResource {
     @APIResponses(value = {
             @APIResponse(responseCode = "202",
                     description = "The job ID. Use that ID to get the solution with the other methods.",
-                    content = @Content(mediaType = MediaType.TEXT_PLAIN, schema = @Schema(implementation = String.class))) })
+                    content = @Content(mediaType = MediaType.TEXT_PLAIN, schema = @Schema(implementation = String.class))),
+            @APIResponse(responseCode = "400", description = "Invalid solver run options.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))) })
     @POST
     @Consumes({ MediaType.APPLICATION_JSON })
     @Produces(MediaType.TEXT_PLAIN)
-    public String solve(BedPlan problem) {
+    public String solve(BedPlan problem,
+            @Parameter(description = "How long to solve at most, as an ISO-8601 duration such as PT30S. Defaults to the configured spent limit.")
+            @QueryParam("spentLimit") String spentLimit,
+            @Parameter(description = "How long to solve at most without a better solution, as an ISO-8601 duration such as PT5S.")
+            @QueryParam("unimprovedSpentLimit") String unimprovedSpentLimit,
+            @Parameter(description = "The score to stop solving at, where * matches any score level, such as 0hard/*medium/*soft.")
+            @QueryParam("bestScoreLimit") String bestScoreLimit,
+            @Parameter(description = "NONE, AUTO, 2 or 4 move threads. Other than NONE requires Timefold Solver Enterprise Edition.")
+            @QueryParam("moveThreadCount") String moveThreadCount) {
+        SolverRunOptions options;
+        try {
+            options = SolverRunOptions.parse(spentLimit, unimprovedSpentLimit, bestScoreLimit, moveThreadCount,
+                    HardMediumSoftScore::parseScore);
+        } catch (IllegalArgumentException e) {
+            throw new ScheduleSolverException(null, Response.Status.BAD_REQUEST, e.getMessage());
+        }
         String jobId = UUID.randomUUID().toString();
         jobIdToJob.put(jobId, Job.ofSchedule(problem));
-        solverManager.solveBuilder()
-                .withProblemId(jobId)
-                .withProblemFinder(id -> jobIdToJob.get(jobId).schedule)
-                .withBestSolutionEventConsumer(event -> jobIdToJob.put(jobId, Job.ofSchedule(event.solution())))
-                .withExceptionHandler((id, exception) -> {
-                    jobIdToJob.put(id, Job.ofException(exception));
-                    LOGGER.error("Failed solving jobId ({}).", id, exception);
-                })
-                .run();
+        jobIdToEvents.put(jobId, BroadcastProcessor.create());
+        try {
+            SolverManager<BedPlan, String> runSolverManager = getRunSolverManager(options);
+            if (runSolverManager != solverManager) {
+                jobIdToSolverManager.put(jobId, runSolverManager);
+            }
+            runSolverManager.solveBuilder()
+                    .withProblemId(jobId)
+                    .withProblemFinder(id -> jobIdToJob.get(jobId).schedule)
+                    .withBestSolutionEventConsumer(event -> {
+                        jobIdToJob.put(jobId, Job.ofSchedule(event.solution()));
+                        publishEvent(jobId, event.solution(), getSolverManager(jobId).getSolverStatus(jobId));
+                    })
+                    .withFinalBestSolutionConsumer(solution -> {
+                        publishEvent(jobId, solution, SolverStatus.NOT_SOLVING);
+                        closeEvents(jobId, null);
+                    })
+                    .withExceptionHandler((id, exception) -> {
+                        jobIdToJob.put(id, Job.ofException(exception));
+                        LOGGER.error("Failed solving jobId ({}).", id, exception);
+                        closeEvents(jobId, exception);
+                    })
+                    .withConfigOverride(options.toConfigOverride(solverConfig.getTerminationConfig()))
+                    .run();
+        } catch (RuntimeException e) {
+            // The solver is built before run() returns, so the options that it rejects, such as move threads
+            // without Timefold Solver Enterprise Edition, fail here and must not leave a broken job behind.
+            jobIdToJob.remove(jobId);
+            jobIdToEvents.remove(jobId);
+            jobIdToSolverManager.remove(jobId);
+            throw new ScheduleSolverException(null, Response.Status.BAD_REQUEST,
+                    "The solver cannot run with these options. " + e.getMessage());
+        }
         cleanJobs();
         return jobId;
     }
@@ -134,7 +192,7 @@ public class BedSchedulingResource {
     public BedPlan getSchedule(
             @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
         BedPlan schedule = getScheduleAndCheckForExceptions(jobId);
-        SolverStatus solverStatus = solverManager.getSolverStatus(jobId);
+        SolverStatus solverStatus = getSolverManager(jobId).getSolverStatus(jobId);
         schedule.setSolverStatus(solverStatus);
         return schedule;
     }
@@ -158,12 +216,59 @@ public class BedSchedulingResource {
     public BedPlan getStatus(
             @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
         BedPlan schedule = getScheduleAndCheckForExceptions(jobId);
-        SolverStatus solverStatus = solverManager.getSolverStatus(jobId);
+        SolverStatus solverStatus = getSolverManager(jobId).getSolverStatus(jobId);
         return new BedPlan(schedule.getScore(), solverStatus);
     }
 
     @Operation(
-            summary = "Terminate solving for a given job ID. Returns the best solution of the schedule so far, as it might still be running or not even started.")
+            summary = "Stream the schedule status and score for a given job ID as Server-Sent Events. The first event is the current status, then one event follows every new best solution and a last one when solving ends.")
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "The schedule status and the best score, on every change.",
+                    content = @Content(mediaType = MediaType.SERVER_SENT_EVENTS,
+                            schema = @Schema(implementation = BedPlan.class))),
+            @APIResponse(responseCode = "404", description = "No schedule found.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "500", description = "Exception during solving a schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class)))
+    })
+    @GET
+    @Produces(MediaType.SERVER_SENT_EVENTS)
+    @RestStreamElementType(MediaType.APPLICATION_JSON)
+    @Path("{jobId}/events")
+    public Multi<BedPlan> getEvents(
+            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
+        BedPlan status = getStatus(jobId);
+        BroadcastProcessor<BedPlan> events = jobIdToEvents.get(jobId);
+        if (events == null) {
+            // Solving has already ended, so the current status is the last one.
+            return Multi.createFrom().item(status);
+        }
+        return Multi.createBy().concatenating().streams(Multi.createFrom().item(status), events);
+    }
+
+    private void publishEvent(String jobId, BedPlan solution, SolverStatus solverStatus) {
+        BroadcastProcessor<BedPlan> events = jobIdToEvents.get(jobId);
+        if (events != null) {
+            events.onNext(new BedPlan(solution.getScore(), solverStatus));
+        }
+    }
+
+    private void closeEvents(String jobId, Throwable exception) {
+        BroadcastProcessor<BedPlan> events = jobIdToEvents.remove(jobId);
+        if (events == null) {
+            return;
+        }
+        if (exception == null) {
+            events.onComplete();
+        } else {
+            events.onError(exception);
+        }
+    }
+
+    @Operation(
+            summary = "Terminate solving for a given job ID. Returns the best solution of the schedule so far, as it might still be running or not even started. With discard, the schedule is also removed from the list of jobs once solving has ended.")
     @APIResponses(value = {
             @APIResponse(responseCode = "200", description = "The best solution of the schedule so far.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
@@ -171,6 +276,9 @@ public class BedSchedulingResource {
             @APIResponse(responseCode = "404", description = "No schedule found.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
                             schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "409", description = "The schedule is still solving, so it cannot be discarded yet.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
             @APIResponse(responseCode = "500", description = "Exception during solving a schedule.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
                             schema = @Schema(implementation = ErrorInfo.class)))
@@ -179,8 +287,22 @@ public class BedSchedulingResource {
     @Produces(MediaType.APPLICATION_JSON)
     @Path("{jobId}")
     public BedPlan terminateSolving(
-            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
-        solverManager.terminateEarly(jobId);
+            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId,
+            @Parameter(description = "Remove the schedule from the list of jobs. Only allowed once solving has ended.")
+            @QueryParam("discard") boolean discard) {
+        if (discard) {
+            if (getSolverManager(jobId).getSolverStatus(jobId) != SolverStatus.NOT_SOLVING) {
+                throw new ScheduleSolverException(jobId, Response.Status.CONFLICT, "Stop solving before discarding the schedule.");
+            }
+            // A failed job can be discarded too, so there may be no schedule to return.
+            Job job = jobIdToJob.remove(jobId);
+            jobIdToSolverManager.remove(jobId);
+            if (job == null) {
+                throw new ScheduleSolverException(jobId, Response.Status.NOT_FOUND, "No schedule found.");
+            }
+            return job.schedule;
+        }
+        getSolverManager(jobId).terminateEarly(jobId);
         return getSchedule(jobId);
     }
 
@@ -211,10 +333,30 @@ public class BedSchedulingResource {
         if (jobsToRemove.size() > MAX_JOBS_CACHE_SIZE) {
             for (int i = 0; i < jobsToRemove.size() - MAX_JOBS_CACHE_SIZE; i++) {
                 jobIdToJob.remove(jobsToRemove.get(i));
+                jobIdToSolverManager.remove(jobsToRemove.get(i));
             }
         }
     }
 
+    private SolverManager<BedPlan, String> getSolverManager(String jobId) {
+        return jobIdToSolverManager.getOrDefault(jobId, solverManager);
+    }
+
+    private SolverManager<BedPlan, String> getRunSolverManager(SolverRunOptions options) {
+        String configuredMoveThreadCount = Objects.requireNonNullElse(solverConfig.getMoveThreadCount(),
+                SolverConfig.MOVE_THREAD_COUNT_NONE);
+        if (options.moveThreadCount() == null || options.moveThreadCount().equals(configuredMoveThreadCount)) {
+            return solverManager;
+        }
+        return moveThreadCountToSolverManager.computeIfAbsent(options.moveThreadCount(),
+                moveThreadCount -> SolverManager.create(solverConfig.copyConfig().withMoveThreadCount(moveThreadCount)));
+    }
+
+    @PreDestroy
+    void closeSolverManagers() {
+        moveThreadCountToSolverManager.values().forEach(SolverManager::close);
+    }
+
     private record Job(BedPlan schedule, LocalDateTime createdAt, Throwable exception) {
 
         static Job ofSchedule(BedPlan schedule) {
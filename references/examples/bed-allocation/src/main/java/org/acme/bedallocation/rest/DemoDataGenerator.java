@@ -35,8 +35,33 @@ public class DemoDataGenerator {
     private static final String NITROGEN = "nitrogen";
     private static final List<String> EQUIPMENTS = List.of(TELEMETRY, TELEVISION, OXYGEN, NITROGEN);
 
+    private static final int MAX_ROOM_COUNT = 50;
+    private static final int MAX_DAY_COUNT = 56;
+    private static final DemoDataParameters DEFAULT_PARAMETERS = new DemoDataParameters(10, 28, 0);
+
+    /**
+     * The size of a generated plan. Every bed gets a stay per day, of which only the stays that fit are kept.
+     */
+    public record DemoDataParameters(int roomCount, int dayCount, int randomSeed) {
+
+        public DemoDataParameters {
+            if (roomCount < 1 || roomCount > MAX_ROOM_COUNT) {
+                throw new IllegalArgumentException("The number of rooms (%d) must be between 1 and %d."
+                        .formatted(roomCount, MAX_ROOM_COUNT));
+            }
+            if (dayCount < 2 || dayCount > MAX_DAY_COUNT) {
+                throw new IllegalArgumentException("The number of days (%d) must be between 2 and %d."
+                        .formatted(dayCount, MAX_DAY_COUNT));
+            }
+        }
+    }
+
     public BedPlan generateDemoData() {
-        Random random = new Random(0);
+        return generateDemoData(DEFAULT_PARAMETERS);
+    }
+
+    public BedPlan generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
         BedPlan schedule = new BedPlan();
         // Department
         List<Department> departments = List.of(new Department("1", "Department"));
@@ -45,8 +70,7 @@ public class DemoDataGenerator {
         schedule.getDepartments().get(0).getSpecialtyToPriority().put(SPECIALTIES.get(1), 2);
         schedule.getDepartments().get(0).getSpecialtyToPriority().put(SPECIALTIES.get(2), 2);
         // Rooms
-        int countRooms = 10;
-        List<Room> rooms = generateRooms(countRooms, departments, random);
+        List<Room> rooms = generateRooms(parameters.roomCount(), departments, random);
         schedule.getDepartments().get(0).setRooms(rooms);
         schedule.setRooms(rooms);
         // Beds
@@ -60,7 +84,7 @@ public class DemoDataGenerator {
         LocalDate firstMonthMonday = LocalDate.now().with(firstInMonth(DayOfWeek.MONDAY)); // First Monday of the month
         List<LocalDate> dates = new ArrayList<>(7);
         dates.add(firstMonthMonday);
-        int countDays = 28;
+        int countDays = parameters.dayCount();
         for (int i = 1; i < countDays; i++) {
             dates.add(firstMonthMonday.with(firstInMonth(DayOfWeek.MONDAY)).plusDays(i));
         }
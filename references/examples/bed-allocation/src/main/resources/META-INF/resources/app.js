@@ -1,5 +1,3 @@
-var autoRefreshIntervalId = null;
-
 const byRoomPanel = document.getElementById("byRoomPanel");
 const byRoomTimelineOptions = {
     timeAxis: {scale: "day"},
@@ -11,93 +9,108 @@ const byRoomTimelineOptions = {
 var byRoomGroupData = new vis.DataSet();
 var byRoomItemData = new vis.DataSet();
 var byRoomTimeline = new vis.Timeline(byRoomPanel, byRoomItemData, byRoomGroupData, byRoomTimelineOptions);
+trackTimelineWindow(byRoomTimeline);
+byRoomTimeline.setOptions({
+    editable: {updateTime: true, updateGroup: true, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => moveStay(schedule, item), "move");
+    },
+});
 
 let scheduleId = null;
 let loadedSchedule = null;
 let viewType = "R";
 
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeStays,
+    highlightEntities: highlightStays,
+    csvFormat: createCsvFormat(),
+});
+
 $(document).ready(function () {
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
     });
     $("#byRoomTab").click(function () {
         viewType = "R";
         byRoomTimeline.redraw();
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
 
-    addImportDropdownItem();
-    addExportDropdownItem();
-
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function addImportDropdownItem() {
-    $("#testDataButton")
-        .append($('<hr class="dropdown-divider">'))
-        .append($('<a id="importTestData" class="dropdown-item" href="#">Import</a>'));
-    $("#uploadModalImportButton").click(importLocalFile);
-    $("#importTestData").click(function () {
-        scheduleId = null;
-        demoDataId = null;
-        $('#uploadModal').modal('show');
-    });
-}
-
-function addExportDropdownItem() {
-    $("#testDataButton")
-        .append($('<a id="exportData" class="dropdown-item" href="#" download="result.json">Export</a>'));
-}
-
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedSchedule));
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
     $("#info").text(`This dataset has ${schedule.stays.length} stays and ${schedule.departments.flatMap(d => d.rooms).length} beds across ${schedule.departments.length} departments.`);
 
     if (viewType === "R") {
@@ -232,176 +245,21 @@ function renderScheduleByRoom(schedule) {
     const departureDates = schedule.stays.map(s => s.departureDate);
     const allDates = [...new Set([...arrivalDates, ...departureDates])]
         .sort((a, b) => JSJoda.LocalDate.parse(a).compareTo(JSJoda.LocalDate.parse(b)));
-    byRoomTimeline.setWindow(allDates[0], allDates[allDates.length - 1]);
-}
-
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
-}
-
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
-    }
+    setTimelineWindow(byRoomTimeline, allDates[0], allDates[allDates.length - 1]);
 }
 
 function publish() {
     $("#publishButton").hide();
     $("#publishLoadingButton").show();
     $.put(`/schedules/${scheduleId}/publish`, function (schedule) {
-        loadedSchedule = schedule;
-        renderSchedule(schedule);
+        solverClient.showSchedule(schedule);
     })
         .fail(function (xhr, ajaxOptions, thrownError) {
             showError("Publish failed.", xhr);
-            refreshSolvingButtons(false);
+            solverClient.refreshSolvingButtons(false);
         });
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[2]] = parseInt(parts[1], 10);
-    });
-
-    return components;
-}
-
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
-    }
-}
-
-function stopSolving() {
-    $.delete("/schedules/" + scheduleId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
-    });
-}
-
-function importLocalFile() {
-    var file = document.querySelector('input[type=file]').files[0];
-    var reader = new FileReader();
-
-    reader.addEventListener("load", function () {
-        // convert image file to base64 string
-        var data = atob(reader.result.toString().replace(/^data:(.*,)?/, ''));
-        $("#importedFile").val('');
-
-        try {
-            loadedSchedule = JSON.parse(data);
-            renderSchedule(loadedSchedule);
-            $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedSchedule));
-        } catch (error) {
-            console.error(error);
-            showSimpleError("Failed loading a bed plan.\nCheck if the content of the file represents a valid bed plan.");
-        }
-        $('#uploadModal').modal('hide');
-    }, false);
-
-    reader.readAsDataURL(file);
-}
-
-function copyTextToClipboard(id) {
-    var text = $("#" + id).text().trim();
-
-    var dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
-}
-
 function compareTimeslots(t1, t2) {
     const LocalDateTime = JSJoda.LocalDateTime;
     let diff = LocalDateTime.parse(t1.startDateTime).compareTo(LocalDateTime.parse(t2.startDateTime));
@@ -411,45 +269,103 @@ function compareTimeslots(t1, t2) {
     return diff;
 }
 
-function showSimpleError(title) {
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
+// Moves the stay of a dragged item to the bed it was dropped on, and to its new arrival date, keeping its length.
+function moveStay(schedule, item) {
+    const beds = schedule.departments.flatMap(d => d.rooms).flatMap(r => r.beds);
+    if (!beds.some(bed => bed.id === item.group)) {
+        return false; // Dropped on a room rather than one of its beds.
+    }
+    const stay = schedule.stays.find(stay => stay.id === item.id);
+    const days = JSJoda.LocalDate.parse(stay.arrivalDate).until(JSJoda.LocalDate.parse(stay.departureDate), JSJoda.ChronoUnit.DAYS);
+    const arrivalDate = toLocalDateTime(item.start).toLocalDate();
+    stay.bed = item.group;
+    stay.arrivalDate = arrivalDate.toString();
+    stay.departureDate = arrivalDate.plusDays(days).toString();
+}
+
+function describeStays(schedule) {
+    const bedNames = new Map();
+    schedule.departments.flatMap(d => d.rooms).forEach(room => room.beds.forEach(bed =>
+        bedNames.set(bed.id, `${room.name} bed ${bed.indexInRoom + 1}`)));
+    return schedule.stays.map(stay => ({
+        id: stay.id,
+        name: stay.patientName,
+        assignment: stay.bed == null ? null : bedNames.get(stay.bed)
+    }));
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
+function highlightMatch(justification) {
+    highlightStays(getJustificationFacts(justification, "patientName").map(stay => stay.id));
+}
 
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
-    }
+function highlightStays(stayIds) {
+    byRoomTimeline.setSelection(stayIds, {focus: stayIds.length > 0});
+}
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
+// The departments, rooms, beds and stays as tables of a CSV file, see csv.js.
+// The JSON nests the beds in their room and the rooms in their department, so the tables are nested again on import.
+function createCsvFormat() {
+    const rooms = schedule => schedule.departments.flatMap(d => d.rooms || []);
+    return {
+        tables: [
+            {
+                name: "Departments",
+                id: "id",
+                rows: schedule => schedule.departments,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "specialtyToPriority", type: "int", map: true},
+                    {field: "minimumAge", type: "int", optional: true},
+                    {field: "maximumAge", type: "int", optional: true},
+                ]
+            },
+            {
+                name: "Rooms",
+                id: "id",
+                rows: rooms,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "department", ref: "Departments"},
+                    {field: "capacity", type: "int"},
+                    {field: "genderLimitation", type: "enum", values: ["ANY_GENDER", "MALE_ONLY", "FEMALE_ONLY", "SAME_GENDER"]},
+                    {field: "equipments", list: true},
+                ]
+            },
+            {
+                name: "Beds",
+                id: "id",
+                rows: schedule => rooms(schedule).flatMap(r => r.beds),
+                columns: [
+                    {field: "id"},
+                    {field: "room", ref: "Rooms"},
+                    {field: "indexInRoom", type: "int"},
+                ]
+            },
+            {
+                name: "Stays",
+                id: "id",
+                rows: schedule => schedule.stays,
+                columns: [
+                    {field: "id"},
+                    {field: "patientName"},
+                    {field: "patientGender", type: "enum", values: ["MALE", "FEMALE"]},
+                    {field: "patientAge", type: "int"},
+                    {field: "patientPreferredMaximumRoomCapacity", type: "int", optional: true},
+                    {field: "patientRequiredEquipments", list: true},
+                    {field: "patientPreferredEquipments", list: true},
+                    {field: "arrivalDate", type: "date"},
+                    {field: "departureDate", type: "date"},
+                    {field: "specialty"},
+                    {field: "bed", ref: "Beds", optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => {
+            tables.Departments.forEach(d => d.rooms = tables.Rooms.filter(r => r.department === d.id));
+            tables.Rooms.forEach(r => r.beds = tables.Beds.filter(b => b.room === r.id));
+            return {departments: tables.Departments, stays: tables.Stays};
+        },
+    };
 }
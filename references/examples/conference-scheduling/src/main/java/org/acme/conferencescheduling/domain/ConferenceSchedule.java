@@ -1,7 +1,10 @@
 package org.acme.conferencescheduling.domain;
 
+import java.util.LinkedHashMap;
+import java.util.Map;
 import java.util.Set;
 
+import ai.timefold.solver.core.api.domain.solution.ConstraintWeightOverrides;
 import ai.timefold.solver.core.api.domain.solution.PlanningEntityCollectionProperty;
 import ai.timefold.solver.core.api.domain.solution.PlanningScore;
 import ai.timefold.solver.core.api.domain.solution.PlanningSolution;
@@ -10,6 +13,8 @@ import ai.timefold.solver.core.api.domain.solution.ProblemFactProperty;
 import ai.timefold.solver.core.api.score.buildin.hardsoft.HardSoftScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import com.fasterxml.jackson.annotation.JsonIgnore;
+
 @PlanningSolution
 public class ConferenceSchedule {
 
@@ -39,6 +44,10 @@ public class ConferenceSchedule {
     // Ignored by Timefold, used by the UI to display solve or stop solving button
     private SolverStatus solverStatus;
 
+    // Replaces the weights of the constraint provider, to tune or disable constraints without code changes.
+    @JsonIgnore
+    private ConstraintWeightOverrides<HardSoftScore> constraintWeightOverrides = ConstraintWeightOverrides.none();
+
     public ConferenceSchedule() {
     }
 
@@ -134,6 +143,30 @@ public class ConferenceSchedule {
         this.solverStatus = solverStatus;
     }
 
+    public ConstraintWeightOverrides<HardSoftScore> getConstraintWeightOverrides() {
+        return constraintWeightOverrides;
+    }
+
+    public void setConstraintWeightOverrides(ConstraintWeightOverrides<HardSoftScore> constraintWeightOverrides) {
+        this.constraintWeightOverrides = constraintWeightOverrides;
+    }
+
+    // The overrides as JSON: the weight of each overridden constraint by name, such as "0hard/5soft".
+    public Map<String, String> getConstraintWeights() {
+        Map<String, String> constraintWeights = new LinkedHashMap<>();
+        for (String constraintName : constraintWeightOverrides.getKnownConstraintNames()) {
+            constraintWeights.put(constraintName, constraintWeightOverrides.getConstraintWeight(constraintName).toString());
+        }
+        return constraintWeights;
+    }
+
+    public void setConstraintWeights(Map<String, String> constraintWeights) {
+        Map<String, HardSoftScore> overrides = new LinkedHashMap<>();
+        constraintWeights.forEach((constraintName, weight) ->
+                overrides.put(constraintName, HardSoftScore.parseScore(weight)));
+        this.constraintWeightOverrides = ConstraintWeightOverrides.of(overrides);
+    }
+
     @Override
     public String toString() {
         return name;
@@ -1,15 +1,20 @@
 package org.acme.conferencescheduling.rest;
 
 import jakarta.inject.Inject;
+import jakarta.ws.rs.DefaultValue;
 import jakarta.ws.rs.GET;
 import jakarta.ws.rs.Path;
+import jakarta.ws.rs.QueryParam;
 import jakarta.ws.rs.core.MediaType;
 import jakarta.ws.rs.core.Response;
 
 import org.acme.conferencescheduling.domain.ConferenceSchedule;
+import org.acme.conferencescheduling.rest.DemoDataGenerator.DemoDataParameters;
+import org.acme.conferencescheduling.rest.exception.ErrorInfo;
 import org.eclipse.microprofile.openapi.annotations.Operation;
 import org.eclipse.microprofile.openapi.annotations.media.Content;
 import org.eclipse.microprofile.openapi.annotations.media.Schema;
+import org.eclipse.microprofile.openapi.annotations.parameters.Parameter;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponse;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponses;
 import org.eclipse.microprofile.openapi.annotations.tags.Tag;
@@ -35,4 +40,36 @@ public class ConferenceSchedulingDemoResource {
         return Response.ok(dataGenerator.generateDemoData()).build();
     }
 
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "Unsolved generated schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ConferenceSchedule.class))),
+            @APIResponse(responseCode = "400", description = "A size is out of range.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))) })
+    @Operation(summary = "Generate an unsolved schedule of the given size.")
+    @GET
+    @Path("/generate")
+    public Response generateOfSize(
+            @Parameter(description = "The number of days, starting today, each with 2 lab and 4 breakout timeslots.")
+            @QueryParam("dayCount") @DefaultValue("1") int dayCount,
+            @Parameter(description = "The number of rooms, of which every fifth is a lab.")
+            @QueryParam("roomCount") @DefaultValue("5") int roomCount,
+            @Parameter(description = "The number of speakers.")
+            @QueryParam("speakerCount") @DefaultValue("12") int speakerCount,
+            @Parameter(description = "The number of talks, each with 1 or 2 speakers.")
+            @QueryParam("talkCount") @DefaultValue("15") int talkCount,
+            @Parameter(description = "The seed of the random choices, the same seed and sizes give the same schedule.")
+            @QueryParam("randomSeed") @DefaultValue("0") int randomSeed) {
+        try {
+            return Response.ok(dataGenerator.generateDemoData(
+                    new DemoDataParameters(dayCount, roomCount, speakerCount, talkCount, randomSeed))).build();
+        } catch (IllegalArgumentException e) {
+            return Response.status(Response.Status.BAD_REQUEST)
+                    .type(MediaType.APPLICATION_JSON)
+                    .entity(new ErrorInfo(null, e.getMessage()))
+                    .build();
+        }
+    }
+
 }
@@ -3,7 +3,9 @@ package org.acme.conferencescheduling.rest;
 import static java.util.Collections.emptySet;
 import static java.util.stream.Collectors.toSet;
 
+import java.time.LocalDate;
 import java.time.LocalDateTime;
+import java.util.ArrayList;
 import java.util.Arrays;
 import java.util.Collections;
 import java.util.LinkedHashSet;
@@ -45,6 +47,32 @@ public class DemoDataGenerator {
             new TalkType(LAB_TALK_TAG),
             new TalkType(BREAKOUT_TALK_TAG)));
 
+    private static final String[] FIRST_NAMES = { "Amy", "Beth", "Carl", "Dan", "Elsa", "Flo", "Gus", "Hugo", "Ivy", "Jay" };
+    private static final String[] LAST_NAMES = { "Cole", "Fox", "Green", "Jones", "King", "Li", "Poe", "Rye", "Smith", "Watt" };
+    private static final int MAX_DAY_COUNT = 10;
+    private static final int MAX_ROOM_COUNT = 26;
+    private static final int MAX_TALK_COUNT = 1000;
+
+    /**
+     * The size of a generated conference. Each day has the 6 timeslots of the demo data, of which 2 are for labs.
+     */
+    public record DemoDataParameters(int dayCount, int roomCount, int speakerCount, int talkCount, int randomSeed) {
+
+        public DemoDataParameters {
+            checkRange("days", dayCount, MAX_DAY_COUNT);
+            checkRange("rooms", roomCount, MAX_ROOM_COUNT);
+            checkRange("speakers", speakerCount, FIRST_NAMES.length * LAST_NAMES.length);
+            checkRange("talks", talkCount, MAX_TALK_COUNT);
+        }
+
+        private static void checkRange(String name, int value, int max) {
+            if (value < 1 || value > max) {
+                throw new IllegalArgumentException("The number of %s (%d) must be between 1 and %d."
+                        .formatted(name, value, max));
+            }
+        }
+    }
+
     public ConferenceSchedule generateDemoData() {
         Random random = new Random(0);
         Set<Speaker> speakers = generateSpeakers();
@@ -54,6 +82,74 @@ public class DemoDataGenerator {
         return schedule;
     }
 
+    public ConferenceSchedule generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
+        // New talk types, because the timeslots and rooms are added to their compatible timeslots and rooms.
+        TalkType labTalkType = new TalkType(LAB_TALK_TAG);
+        TalkType breakoutTalkType = new TalkType(BREAKOUT_TALK_TAG);
+
+        List<Timeslot> timeslots = new ArrayList<>(parameters.dayCount() * 6);
+        for (int i = 0; i < parameters.dayCount(); i++) {
+            LocalDate date = LocalDate.now().plusDays(i);
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(10, 15), date.atTime(12, 15),
+                    Set.of(labTalkType), emptySet()));
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(10, 15), date.atTime(11, 0),
+                    Set.of(breakoutTalkType), emptySet()));
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(11, 30), date.atTime(12, 15),
+                    Set.of(breakoutTalkType), emptySet()));
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(13, 0), date.atTime(15, 0),
+                    Set.of(labTalkType), Set.of(AFTER_LUNCH_TAG)));
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(15, 30), date.atTime(16, 15),
+                    Set.of(breakoutTalkType), emptySet()));
+            timeslots.add(new Timeslot("T" + (timeslots.size() + 1), date.atTime(16, 30), date.atTime(17, 15),
+                    Set.of(breakoutTalkType), emptySet()));
+        }
+
+        // Every fifth room is a lab, like in the demo data, and a smaller conference with several rooms has one lab.
+        boolean hasLabRoom = parameters.roomCount() > 1;
+        List<Room> rooms = new ArrayList<>(parameters.roomCount());
+        for (int i = 0; i < parameters.roomCount(); i++) {
+            boolean lab = i % 5 == 4 || (hasLabRoom && parameters.roomCount() < 5 && i == parameters.roomCount() - 1);
+            int capacity = random.nextInt(6, 64) * 10;
+            Set<String> tags = new LinkedHashSet<>();
+            if (random.nextDouble() < 0.7) {
+                tags.add(RECORDED_TAG);
+            }
+            if (capacity >= 500) {
+                tags.add(LARGE_TAG);
+            }
+            rooms.add(new Room("R" + (i + 1), "Room " + (char) ('A' + i) + (lab ? " (LAB)" : ""), capacity,
+                    Set.of(lab ? labTalkType : breakoutTalkType), tags));
+        }
+
+        // The names of the demo speakers, in the same order.
+        List<Speaker> speakers = new ArrayList<>(parameters.speakerCount());
+        for (int i = 0; i < parameters.speakerCount(); i++) {
+            String name = FIRST_NAMES[i % FIRST_NAMES.length] + " "
+                    + LAST_NAMES[(i + i / FIRST_NAMES.length) % LAST_NAMES.length];
+            speakers.add(random.nextDouble() < 0.1
+                    ? new Speaker(Integer.toString(i + 1), name, Set.of(AFTER_LUNCH_TAG))
+                    : new Speaker(Integer.toString(i + 1), name));
+        }
+
+        List<Talk> talks = new ArrayList<>(parameters.talkCount());
+        for (int i = 0; i < parameters.talkCount(); i++) {
+            TalkType talkType = hasLabRoom && random.nextDouble() < 0.15 ? labTalkType : breakoutTalkType;
+            List<Speaker> talkSpeakers = new ArrayList<>(speakers);
+            Collections.shuffle(talkSpeakers, random);
+            talkSpeakers = talkSpeakers.subList(0, speakers.size() > 1 && random.nextDouble() < 0.3 ? 2 : 1);
+            talks.add(new Talk("S%02d".formatted(i + 1), "Talk " + (i + 1), talkType, List.copyOf(talkSpeakers),
+                    Set.of(getRandomTheme(random)), Set.of(getRandomSector(random)), Set.of(getRandomAudience(random)),
+                    random.nextInt(1, 4), Set.of(getRandomContent(random)), "en", random.nextInt(1000),
+                    random.nextDouble() < 0.1 ? 1 : 0));
+        }
+
+        ConferenceSchedule schedule = new ConferenceSchedule("Conference", buildSet(List.of(labTalkType, breakoutTalkType)),
+                buildSet(timeslots), buildSet(rooms), buildSet(speakers), buildSet(talks));
+        schedule.setConstraintProperties(new ConferenceConstraintProperties());
+        return schedule;
+    }
+
     private Set<Timeslot> generateTimeslots() {
         return buildSet(List.of(
                 new Timeslot("T1", LocalDateTime.now().withHour(10).withMinute(15).withSecond(0).withNano(0),
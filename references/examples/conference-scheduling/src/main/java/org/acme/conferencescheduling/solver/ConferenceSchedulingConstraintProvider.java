@@ -1,6 +1,5 @@
 package org.acme.conferencescheduling.solver;
 
-import static ai.timefold.solver.core.api.score.stream.ConstraintCollectors.compose;
 import static ai.timefold.solver.core.api.score.stream.ConstraintCollectors.countBi;
 import static ai.timefold.solver.core.api.score.stream.ConstraintCollectors.max;
 import static ai.timefold.solver.core.api.score.stream.ConstraintCollectors.min;
@@ -177,7 +176,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofHard(10), Talk::combinedDurationInMinutes)
                 .justifyWith(
                         (talk, talk2, score) -> new ConferenceSchedulingJustification(
-                                "Talk %s must be scheduled after talk %s.".formatted(talk2.getCode(), talk.getCode())))
+                                "Talk %s must be scheduled after talk %s.".formatted(talk2.getCode(), talk.getCode()), talk, talk2))
                 .asConstraint(TALK_PREREQUISITE_TALKS);
     }
 
@@ -202,7 +201,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .justifyWith(
                         (talk, talk2, score) -> new ConferenceSchedulingJustification(
                                 "Required minimum consecutive pauses between talks [%s, %s].".formatted(talk.getCode(),
-                                        talk2.getCode())))
+                                        talk2.getCode()), talk, talk2))
                 .asConstraint(CONSECUTIVE_TALKS_PAUSE);
     }
 
@@ -217,7 +216,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .filter((talk, count) -> count != 1)
                 .penalize(HardSoftScore.ofHard(1), (talk, count) -> talk.getDurationInMinutes())
                 .justifyWith((talk, integer, score) -> new ConferenceSchedulingJustification(
-                        "Required crowd control for talk %s".formatted(talk.getCode())))
+                        "Required crowd control for talk %s".formatted(talk.getCode()), talk))
                 .asConstraint(CROWD_CONTROL);
     }
 
@@ -228,7 +227,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofHard(1), (talk, missingTagCount) -> missingTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, missingTagCount) -> Collections.singleton(talk))
                 .justifyWith(
-                        (talk, integer, score) -> new RequiredTagsJustification("timeslot", talk.getSpeakers(),
+                        (talk, integer, score) -> new RequiredTagsJustification("timeslot", talk, talk.getSpeakers(),
                                 talk.getSpeakers().stream()
                                         .flatMap(s -> s.getRequiredTimeslotTags().stream())
                                         .distinct()
@@ -244,7 +243,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofHard(1),
                         (talk, prohibitedTagCount) -> prohibitedTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, prohibitedTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new ProhibitedTagsJustification("timeslot", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new ProhibitedTagsJustification("timeslot", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getProhibitedTimeslotTags().stream())
                                 .distinct()
@@ -284,7 +283,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .filter((talk, missingTagCount) -> missingTagCount > 0)
                 .penalize(HardSoftScore.ofHard(1), (talk, missingTagCount) -> missingTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, missingTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new RequiredTagsJustification("room", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new RequiredTagsJustification("room", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getRequiredRoomTags().stream())
                                 .distinct()
@@ -300,7 +299,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofHard(1),
                         (talk, prohibitedTagCount) -> prohibitedTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, prohibitedTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new ProhibitedTagsJustification("room", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new ProhibitedTagsJustification("room", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getPreferredRoomTags().stream())
                                 .distinct()
@@ -364,7 +363,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                                                 talk.getThemeTrackTags().stream()
                                                         .filter(t -> talk2.getThemeTrackTags().contains(t))
                                                         .collect(joining(", ")),
-                                                talk.getRoom().getId(), talk2.getRoom().getId())))
+                                                talk.getRoom().getId(), talk2.getRoom().getId()), talk, talk2))
                 .asConstraint(THEME_TRACK_ROOM_STABILITY);
     }
 
@@ -428,7 +427,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                                 .formatted(talk.getCode(), talk2.getCode(), String.valueOf(talk.getAudienceLevel()),
                                         String.valueOf(talk2.getAudienceLevel()),
                                         talk.getContentTags().stream().filter(c -> talk2.getContentTags().contains(c))
-                                                .collect(joining(", ")))))
+                                                .collect(joining(", "))), talk, talk2))
                 .asConstraint(CONTENT_AUDIENCE_LEVEL_FLOW_VIOLATION);
     }
 
@@ -468,7 +467,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                                         talk.getContentTags().stream().filter(c -> talk2.getContentTags().contains(c))
                                                 .collect(joining(", ")),
                                         talk.getThemeTrackTags().stream().filter(t -> talk2.getThemeTrackTags().contains(t))
-                                                .collect(joining(", ")))))
+                                                .collect(joining(", "))), talk, talk2))
                 .asConstraint(SAME_DAY_TALKS);
     }
 
@@ -482,7 +481,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                         "Two talks [%s, %s] with popularity [%d, %d] scheduled to rooms [%s, %s] with capacity [%d, %d]."
                                 .formatted(talk.getCode(), talk2.getCode(), talk.getFavoriteCount(), talk2.getFavoriteCount(),
                                         talk.getRoom().getId(), talk2.getRoom().getId(), talk.getRoom().getCapacity(),
-                                        talk2.getRoom().getCapacity())))
+                                        talk2.getRoom().getCapacity()), talk, talk2))
                 .asConstraint(POPULAR_TALKS);
     }
 
@@ -492,7 +491,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .filter((talk, missingTagCount) -> missingTagCount > 0)
                 .penalize(HardSoftScore.ofSoft(20), (talk, missingTagCount) -> missingTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, missingTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new PreferredTagsJustification("timeslot", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new PreferredTagsJustification("timeslot", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getPreferredTimeslotTags().stream())
                                 .distinct()
@@ -508,7 +507,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofSoft(20),
                         (talk, undesiredTagCount) -> undesiredTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, undesiredTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new UndesiredTagsJustification("timeslot", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new UndesiredTagsJustification("timeslot", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getUndesiredTimeslotTags().stream())
                                 .distinct()
@@ -548,7 +547,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .filter((talk, missingTagCount) -> missingTagCount > 0)
                 .penalize(HardSoftScore.ofSoft(20), (talk, missingTagCount) -> missingTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, missingTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new PreferredTagsJustification("room", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new PreferredTagsJustification("room", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getPreferredRoomTags().stream())
                                 .distinct()
@@ -564,7 +563,7 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .penalize(HardSoftScore.ofSoft(20),
                         (talk, undesiredTagCount) -> undesiredTagCount * talk.getDurationInMinutes())
                 .indictWith((talk, undesiredTagCount) -> Collections.singleton(talk))
-                .justifyWith((talk, integer, score) -> new UndesiredTagsJustification("room", talk.getSpeakers(),
+                .justifyWith((talk, integer, score) -> new UndesiredTagsJustification("room", talk, talk.getSpeakers(),
                         talk.getSpeakers().stream()
                                 .flatMap(s -> s.getUndesiredRoomTags().stream())
                                 .distinct()
@@ -603,22 +602,23 @@ public class ConferenceSchedulingConstraintProvider implements ConstraintProvide
                 .join(Talk.class,
                         filtering((speaker, talk) -> talk.hasSpeaker(speaker)))
                 .groupBy((speaker, talk) -> speaker,
-                        compose(
-                                min((Speaker speaker, Talk talk) -> talk, talk -> talk.getTimeslot().getStartDateTime()),
-                                max((Speaker speaker, Talk talk) -> talk, talk -> talk.getTimeslot().getStartDateTime()),
-                                (firstTalk, lastTalk) -> {
-                                    LocalDate firstDate = firstTalk.getTimeslot().getStartDateTime().toLocalDate();
-                                    LocalDate lastDate = lastTalk.getTimeslot().getStartDateTime().toLocalDate();
-                                    return (int) Math.abs(ChronoUnit.DAYS.between(firstDate, lastDate));
-                                }))
-                .filter((speaker, daysBetweenTalks) -> daysBetweenTalks > 1)
+                        min((Speaker speaker, Talk talk) -> talk, talk -> talk.getTimeslot().getStartDateTime()),
+                        max((Speaker speaker, Talk talk) -> talk, talk -> talk.getTimeslot().getStartDateTime()))
+                .filter((speaker, firstTalk, lastTalk) -> getDaysBetween(firstTalk, lastTalk) > 1)
                 // Each such day counts for 8 hours.
-                .penalize(HardSoftScore.ofSoft(20), (speaker, daysBetweenTalks) -> (daysBetweenTalks - 1) * 8 * 60)
-                .indictWith((speaker, daysBetweenTalks) -> Collections.singleton(speaker))
+                .penalize(HardSoftScore.ofSoft(20),
+                        (speaker, firstTalk, lastTalk) -> (getDaysBetween(firstTalk, lastTalk) - 1) * 8 * 60)
+                .indictWith((speaker, firstTalk, lastTalk) -> Collections.singleton(speaker))
                 .justifyWith(
-                        (speaker, integer, score) -> new ConferenceSchedulingJustification(
-                                "Required makespan for speaker %s".formatted(speaker.getName())))
+                        (speaker, firstTalk, lastTalk, score) -> new ConferenceSchedulingJustification(
+                                "Required makespan for speaker %s".formatted(speaker.getName()), firstTalk, lastTalk))
                 .asConstraint(SPEAKER_MAKESPAN);
     }
 
+    private static int getDaysBetween(Talk firstTalk, Talk lastTalk) {
+        LocalDate firstDate = firstTalk.getTimeslot().getStartDateTime().toLocalDate();
+        LocalDate lastDate = lastTalk.getTimeslot().getStartDateTime().toLocalDate();
+        return (int) Math.abs(ChronoUnit.DAYS.between(firstDate, lastDate));
+    }
+
 }
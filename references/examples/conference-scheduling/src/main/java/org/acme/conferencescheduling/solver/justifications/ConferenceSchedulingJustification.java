@@ -1,7 +1,15 @@
 package org.acme.conferencescheduling.solver.justifications;
 
+import java.util.Arrays;
+import java.util.List;
+
 import ai.timefold.solver.core.api.score.stream.ConstraintJustification;
 
-public record ConferenceSchedulingJustification(String description) implements ConstraintJustification {
+import org.acme.conferencescheduling.domain.Talk;
+
+public record ConferenceSchedulingJustification(String description, List<String> talks) implements ConstraintJustification {
 
+    public ConferenceSchedulingJustification(String description, Talk... talks) {
+        this(description, Arrays.stream(talks).map(Talk::getCode).toList());
+    }
 }
@@ -3,20 +3,22 @@ package org.acme.conferencescheduling.solver.justifications;
 import static java.util.stream.Collectors.joining;
 
 import java.util.Collection;
+import java.util.List;
 
 import ai.timefold.solver.core.api.score.stream.ConstraintJustification;
 
 import org.acme.conferencescheduling.domain.Speaker;
 import org.acme.conferencescheduling.domain.Talk;
 
-public record ConflictTalkJustification(String description) implements ConstraintJustification {
+public record ConflictTalkJustification(String description, List<String> talks) implements ConstraintJustification {
 
     public ConflictTalkJustification(String type, Talk talk1, Collection<String> values1, Talk talk2,
             Collection<String> values2) {
         this("Two talks [%s, %s] of same %s [%s] at same time.".formatted(talk1.getCode(), talk2.getCode(), type,
                 values1.stream()
                         .filter(values2::contains)
-                        .collect(joining(", "))));
+                        .collect(joining(", "))),
+                List.of(talk1.getCode(), talk2.getCode()));
     }
 
     public ConflictTalkJustification(String type, String type2, Talk talk1, Collection<String> values1,
@@ -30,11 +32,13 @@ public record ConflictTalkJustification(String description) implements Constrain
                 type2,
                 values2.stream()
                         .filter(values4::contains)
-                        .collect(joining(", "))));
+                        .collect(joining(", "))),
+                List.of(talk1.getCode(), talk2.getCode()));
     }
 
     public ConflictTalkJustification(Talk talk1, Talk talk2, Speaker speaker) {
         this("Speaker %s has been assigned to give two talks [%s, %s] at same time.".formatted(speaker.getName(),
-                talk1.getCode(), talk2.getCode()));
+                talk1.getCode(), talk2.getCode()),
+                List.of(talk1.getCode(), talk2.getCode()));
     }
 }
@@ -1,121 +1,153 @@
-var autoRefreshIntervalId = null;
 const timeFormatter = JSJoda.DateTimeFormatter.ofPattern('HH:mm');
 
 let scheduleId = null;
 let loadedSchedule = null;
 let viewType = "R";
 
-// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
-const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
-const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
-let COLOR_MAP = null;
-let nextColorIndex = 0
-
-function resetColorMap() {
-    COLOR_MAP = new Map()
-        .set("Blue", {bg:"#0072B2", fg: "#FFFFFF"})
-        .set("Green", {bg:"#009E73", fg: "#FFFFFF"})
-        .set("Orange", {bg:"#D55E00", fg: "#FFFFFF"});
-    nextColorIndex = 0
-}
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeTalks,
+    highlightEntities: highlightTalks,
+    csvFormat: createCsvFormat(),
+    constraintProperties: [
+        {field: "minimumConsecutiveTalksPauseInMinutes", label: "Minimum pause between talks of a speaker (minutes)", min: 0},
+    ],
+});
 
-resetColorMap();
+const TALK_TYPE_COLORS = [
+    ["Blue", {bg:"#0072B2", fg: "#FFFFFF"}],
+    ["Green", {bg:"#009E73", fg: "#FFFFFF"}],
+    ["Orange", {bg:"#D55E00", fg: "#FFFFFF"}],
+];
 
-function pickColor(object) {
-    let color = COLOR_MAP.get(object);
-    if (color !== undefined) {
-        return color;
-    }
-    let index = nextColorIndex++;
-    color = {bg : BG_COLORS[index], fg: FG_COLORS[index]};
-    COLOR_MAP.set(object,color);
-    return color;
-}
+resetColorMap(TALK_TYPE_COLORS);
 
 $(document).ready(function () {
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
+    });
+    $("#exportCalendarsButton").click(function () {
+        downloadAllSpeakerCalendars();
+    });
+    $("#scheduleBySpeaker").on("click", ".calendar-download", function () {
+        downloadSpeakerCalendar($(this).attr("data-speaker-id"));
+    });
+    $("#printByRoomButton").click(function () {
+        printSchedule("room");
+    });
+    $("#printBySpeakerButton").click(function () {
+        printSchedule("speaker");
     });
     $("#byRoomTab").click(function () {
         viewType = "R";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#bySpeakerTab").click(function () {
         viewType = "S";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byThemeTrackTab").click(function () {
         viewType = "TH";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#bySectorsTab").click(function () {
         viewType = "SC";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byAudienceTypeTab").click(function () {
         viewType = "AT";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byAudienceLevelTab").click(function () {
         viewType = "AL";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
 
+    viewType = bindViewTabs({
+        R: "byRoomTab",
+        S: "bySpeakerTab",
+        TH: "byThemeTrackTab",
+        SC: "bySectorsTab",
+        AT: "byAudienceTypeTab",
+        AL: "byAudienceLevelTab",
+    }, viewType);
+
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the timetable has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
     $("#info").text(`This dataset has ${schedule.talks.length} talks by ${schedule.speakers.length} speakers which need to be scheduled in ${schedule.timeslots.length} timeslots and ${schedule.rooms.length} rooms.`);
 
     //reset color map
-    resetColorMap();
+    resetColorMap(TALK_TYPE_COLORS);
 
     if (viewType === "R") {
         renderScheduleByRoom(schedule);
@@ -177,6 +209,7 @@ function renderScheduleByRoom(schedule) {
     $.each(schedule.talks.sort((a, b) => a.code > b.code ? 1 : (a.code < b.code ? -1 : 0)), (index, talk) => {
         const color = pickColor(talk.talkType);
         const talkElement = $(`<div class="card" style="background-color: ${color.bg};color:${color.fg}"/>`)
+            .attr("data-talk-code", talk.code)
             .append($(`<div class="card-body p-2"/>`)
                 .append($(`<h5 class="card-title mb-1 text-truncate"/>`).text(`${talk.code}: ${talk.title}`))
                 .append($(`<p class="card-text ms-2 mb-1"/>`)
@@ -239,7 +272,8 @@ function renderScheduleBySpeaker(schedule) {
         const rowBySpeaker = $("<tr>").appendTo(tbodyBySpeaker);
         rowBySpeaker
             .append($(`<th class="align-middle"/>`)
-                .append($("<span/>").text(speaker.name)));
+                .append($("<span/>").text(speaker.name))
+                .append(getCalendarDownloadButton().attr("data-speaker-id", speaker.id)));
         $.each(schedule.timeslots.sort((a, b) => compareTimeslots(a, b)), (index, timeslot) => {
             rowBySpeaker.append($("<td style=\"white-space: normal; word-wrap: break-word; overflow-wrap: break-word;\"/>").prop("id", `speaker${speaker.id}timeslot${timeslot.id}`));
         });
@@ -248,6 +282,7 @@ function renderScheduleBySpeaker(schedule) {
     $.each(schedule.talks.sort((a, b) => a.code > b.code ? 1 : (a.code < b.code ? -1 : 0)), (index, talk) => {
         $.each(talk.speakers, (_, speaker) => {
             const talkElement = $(`<div class="card"/>`)
+                .attr("data-talk-code", talk.code)
                 .append($(`<div class="card-body p-2"/>`)
                     .append($(`<h5 class="card-title mb-1"/>`).text(`${talk.title}`))
                     .append($(`<p class="card-text ms-2 mb-1"/>`)
@@ -342,6 +377,7 @@ function renderScheduleByValues(schedule, tableKey, rowTitle, rowKey, key, value
             const value = talk[key];
             const color = pickColor(value);
             const talkElement = $(`<div class="card" style="background-color: ${color.bg};color:${color.fg}"/>`)
+                .attr("data-talk-code", talk.code)
                 .append($(`<div class="card-body p-2"/>`)
                     .append($(`<h5 class="card-title mb-1 text-truncate"/>`).text(`${talk.code}: ${talk.title}`))
                     .append($(`<p class="card-text ms-2 mb-1"/>`)
@@ -355,6 +391,7 @@ function renderScheduleByValues(schedule, tableKey, rowTitle, rowKey, key, value
             $.each(talk[key], (_, value) => {
                 const color = pickColor(value);
                 const talkElement = $(`<div class="card" style="background-color: ${color.bg};color:${color.fg}"/>`)
+                    .attr("data-talk-code", talk.code)
                     .append($(`<div class="card-body p-2"/>`)
                         .append($(`<h5 class="card-title mb-1 text-truncate"/>`).text(`${talk.code}: ${talk.title}`))
                         .append($(`<p class="card-text ms-2 mb-1"/>`)
@@ -377,199 +414,221 @@ function renderScheduleByValues(schedule, tableKey, rowTitle, rowKey, key, value
     }
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
-}
-
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-
-                analysisTBody.append(row);
-
-                if (constraintAnalysis.matches.length > 0) {
-                    let matchesRow = $(`<tr/>`).addClass("collapse").attr("id", "row" + index + "Collapse");
-                    let matchesListGroup = $(`<ul/>`).addClass('list-group').addClass('list-group-flush').css({textAlign: 'left'});
-
-                    $.each(constraintAnalysis.matches, (_, match) => {
-                        matchesListGroup.append($(`<li/>`).addClass('list-group-item').addClass('list-group-item-light').text(match.justification.description));
-                    });
-
-                    matchesRow.append($(`<td/>`));
-                    matchesRow.append($(`<td/>`).attr('colspan', '6').append(matchesListGroup));
-                    analysisTBody.append(matchesRow);
-
-                    row.append($(`<td/>`).append($(`<a/>`).attr("data-toggle", "collapse").attr('href', "#row" + index + "Collapse").append($(`<span/>`).addClass('fas').addClass('fa-chevron-down')).click(e => {
-                        matchesRow.collapse('toggle');
-                        let target = $(e.target);
-                        if (target.hasClass('fa-chevron-down')) {
-                            target.removeClass('fa-chevron-down').addClass('fa-chevron-up');
-                        } else {
-                            target.removeClass('fa-chevron-up').addClass('fa-chevron-down');
-                        }
-                    })));
-                } else {
-                    row.append($(`<td/>`));
-                }
-
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
+function compareTimeslots(t1, t2) {
+    const LocalDateTime = JSJoda.LocalDateTime;
+    let diff = LocalDateTime.parse(t1.startDateTime).compareTo(LocalDateTime.parse(t2.startDateTime));
+    if (diff === 0) {
+        diff = LocalDateTime.parse(t1.endDateTime).compareTo(LocalDateTime.parse(t2.endDateTime));
     }
+    return diff;
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[2]] = parseInt(parts[1], 10);
-    });
-
-    return components;
+function describeTalks(schedule) {
+    return schedule.talks.map(talk => ({
+        id: talk.code,
+        name: `${talk.code}: ${talk.title}`,
+        assignment: talk.timeslot == null || talk.room == null ? null
+            : `${talk.timeslot.startDateTime.replace("T", " ")}, ${talk.room.name}`
+    }));
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
-    }
+function highlightMatch(justification) {
+    highlightTalks(justification.talks || []);
 }
 
-function stopSolving() {
-    $.delete("/schedules/" + scheduleId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
-    });
+function highlightTalks(talkCodes) {
+    highlightElements($("[data-talk-code]").filter((_, element) => talkCodes.includes($(element).attr("data-talk-code"))));
 }
 
-function copyTextToClipboard(id) {
-    var text = $("#" + id).text().trim();
+function getSpeakerEvents(schedule, speakerId) {
+    return schedule.talks
+        .filter(talk => talk.timeslot != null && talk.room != null)
+        .filter(talk => talk.speakers.some(speaker => speaker.id === speakerId))
+        .map(talk => ({
+            uid: `talk-${talk.code}@conference-scheduling`,
+            start: talk.timeslot.startDateTime,
+            end: talk.timeslot.endDateTime,
+            summary: `${talk.code}: ${talk.title}`,
+            location: talk.room.name,
+            // A talk type is serialized as its name once it already appeared earlier in the schedule.
+            description: `${typeof talk.talkType === "object" ? talk.talkType.name : talk.talkType}`
+                + ` by ${talk.speakers.map(speaker => speaker.name).join(", ")}`,
+        }));
+}
 
-    var dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
+function downloadSpeakerCalendar(speakerId) {
+    const speaker = loadedSchedule.speakers.find(speaker => speaker.id === speakerId);
+    downloadCalendar(speaker.name, getSpeakerEvents(loadedSchedule, speakerId));
 }
 
-function compareTimeslots(t1, t2) {
-    const LocalDateTime = JSJoda.LocalDateTime;
-    let diff = LocalDateTime.parse(t1.startDateTime).compareTo(LocalDateTime.parse(t2.startDateTime));
-    if (diff === 0) {
-        diff = LocalDateTime.parse(t1.endDateTime).compareTo(LocalDateTime.parse(t2.endDateTime));
+function downloadAllSpeakerCalendars() {
+    if (loadedSchedule == null) {
+        return;
     }
-    return diff;
+    downloadCalendars("talks.zip", loadedSchedule.speakers
+        .map(speaker => ({name: speaker.name, events: getSpeakerEvents(loadedSchedule, speaker.id)})));
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
-
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
+// One printed page per room or speaker, see print.js.
+function printSchedule(pageType) {
+    if (loadedSchedule == null) {
+        return;
     }
+    const LocalDateTime = JSJoda.LocalDateTime;
+    const getDay = timeslot => {
+        const start = LocalDateTime.parse(timeslot.startDateTime);
+        return `${start.dayOfWeek().name().charAt(0) + start.dayOfWeek().name().slice(1).toLowerCase()} ${start.toLocalDate()}`;
+    };
+    const getTime = timeslot => `${LocalDateTime.parse(timeslot.startDateTime).format(timeFormatter)}`
+        + ` - ${LocalDateTime.parse(timeslot.endDateTime).format(timeFormatter)}`;
+    const timeslots = loadedSchedule.timeslots.slice().sort((t1, t2) => compareTimeslots(t1, t2));
+    const days = [...new Set(timeslots.map(getDay))];
+    const times = [...new Set(timeslots.map(getTime))].sort();
+    const assignedTalks = loadedSchedule.talks.filter(talk => talk.timeslot != null && talk.room != null);
+    const getSpeakerNames = talk => talk.speakers.map(speaker => speaker.name).join(", ");
+    const getItem = (talk, details) => ({
+        day: getDay(talk.timeslot),
+        time: getTime(talk.timeslot),
+        title: `${talk.code}: ${talk.title}`,
+        details: details,
+        color: pickColor(talk.talkType),
+    });
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
+    let title, pages;
+    if (pageType === "room") {
+        title = "Schedule by room";
+        pages = loadedSchedule.rooms.map(room => ({
+            title: room.name,
+            items: assignedTalks
+                .filter(talk => talk.room.id === room.id)
+                .map(talk => getItem(talk, [getSpeakerNames(talk)])),
+        }));
+    } else {
+        title = "Schedule by speaker";
+        pages = loadedSchedule.speakers
+            .sort((a, b) => a.name > b.name ? 1 : (a.name < b.name ? -1 : 0))
+            .map(speaker => ({
+                title: speaker.name,
+                items: assignedTalks
+                    .filter(talk => talk.speakers.some(talkSpeaker => talkSpeaker.id === speaker.id))
+                    .map(talk => getItem(talk, [talk.room.name])),
+            }));
+    }
+    // A talk type is serialized as its name once it already appeared earlier in the schedule.
+    const legend = [...new Set(loadedSchedule.talks.map(talk => talk.talkType))]
+        .map(talkType => ({label: typeof talkType === "object" ? talkType.name : talkType, color: pickColor(talkType)}));
+    printTimetables(title, days, times, pages, legend);
 }
 
-
+// The talk types, timeslots, rooms, speakers and talks as tables of a CSV file, see csv.js.
+// The JSON lists the compatible timeslots and rooms of each talk type too, so these are derived again on import.
+function createCsvFormat() {
+    const tagColumns = ["required", "preferred", "prohibited", "undesired"]
+        .flatMap(kind => [`${kind}TimeslotTags`, `${kind}RoomTags`])
+        .map(field => ({field: field, list: true}));
+    return {
+        tables: [
+            {
+                name: "Conference",
+                rows: schedule => [{
+                    name: schedule.name,
+                    minimumConsecutiveTalksPauseInMinutes: schedule.constraintProperties?.minimumConsecutiveTalksPauseInMinutes
+                }],
+                columns: [
+                    {field: "name", optional: true},
+                    {field: "minimumConsecutiveTalksPauseInMinutes", type: "int", optional: true},
+                ]
+            },
+            {
+                name: "TalkTypes",
+                id: "name",
+                rows: schedule => schedule.talkTypes,
+                columns: [
+                    {field: "name"},
+                ]
+            },
+            {
+                name: "Timeslots",
+                id: "id",
+                rows: schedule => schedule.timeslots,
+                columns: [
+                    {field: "id"},
+                    {field: "startDateTime", type: "datetime"},
+                    {field: "endDateTime", type: "datetime"},
+                    {field: "talkTypes", ref: "TalkTypes", list: true},
+                    {field: "tags", list: true},
+                ]
+            },
+            {
+                name: "Rooms",
+                id: "id",
+                rows: schedule => schedule.rooms,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "capacity", type: "int"},
+                    {field: "talkTypes", ref: "TalkTypes", list: true},
+                    {field: "unavailableTimeslots", ref: "Timeslots", embed: true, list: true},
+                    {field: "tags", list: true},
+                ]
+            },
+            {
+                name: "Speakers",
+                id: "id",
+                rows: schedule => schedule.speakers,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "unavailableTimeslots", ref: "Timeslots", embed: true, list: true},
+                    ...tagColumns,
+                ]
+            },
+            {
+                name: "Talks",
+                id: "code",
+                rows: schedule => schedule.talks,
+                columns: [
+                    {field: "code"},
+                    {field: "title"},
+                    {field: "talkType", ref: "TalkTypes"},
+                    {field: "speakers", ref: "Speakers", embed: true, list: true},
+                    {field: "themeTrackTags", list: true},
+                    {field: "sectorTags", list: true},
+                    {field: "audienceTypes", list: true},
+                    {field: "audienceLevel", type: "int"},
+                    {field: "contentTags", list: true},
+                    {field: "language", optional: true},
+                    ...tagColumns,
+                    {field: "mutuallyExclusiveTalksTags", list: true},
+                    {field: "prerequisiteTalks", ref: "Talks", embed: true, list: true},
+                    {field: "favoriteCount", type: "int"},
+                    {field: "crowdControlRisk", type: "int"},
+                    {field: "timeslot", ref: "Timeslots", embed: true, optional: true},
+                    {field: "room", ref: "Rooms", embed: true, optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => {
+            const conference = tables.Conference[0] || {};
+            const constraintProperties = {};
+            if (conference.minimumConsecutiveTalksPauseInMinutes != null) {
+                constraintProperties.minimumConsecutiveTalksPauseInMinutes = conference.minimumConsecutiveTalksPauseInMinutes;
+            }
+            tables.Timeslots.forEach(timeslot => timeslot.durationInMinutes = JSJoda.Duration.between(
+                JSJoda.LocalDateTime.parse(timeslot.startDateTime), JSJoda.LocalDateTime.parse(timeslot.endDateTime)).toMinutes());
+            tables.TalkTypes.forEach(talkType => {
+                talkType.compatibleTimeslots = tables.Timeslots.filter(timeslot => timeslot.talkTypes.includes(talkType.name));
+                talkType.compatibleRooms = tables.Rooms.filter(room => room.talkTypes.includes(talkType.name));
+            });
+            return {
+                name: conference.name,
+                constraintProperties: constraintProperties,
+                talkTypes: tables.TalkTypes,
+                timeslots: tables.Timeslots,
+                rooms: tables.Rooms,
+                speakers: tables.Speakers,
+                talks: tables.Talks,
+            };
+        },
+    };
+}
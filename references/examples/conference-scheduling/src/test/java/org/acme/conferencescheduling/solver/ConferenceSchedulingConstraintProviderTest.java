@@ -17,6 +17,7 @@ import org.acme.conferencescheduling.domain.Room;
 import org.acme.conferencescheduling.domain.Speaker;
 import org.acme.conferencescheduling.domain.Talk;
 import org.acme.conferencescheduling.domain.Timeslot;
+import org.acme.conferencescheduling.solver.justifications.ConferenceSchedulingJustification;
 import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
@@ -659,6 +660,8 @@ class ConferenceSchedulingConstraintProviderTest {
         constraintVerifier.verifyThat(ConferenceSchedulingConstraintProvider::speakerMakespan)
                 .given(speaker1, speaker2, talk1, talk2, talk3)
                 .indictsWith(speaker1) // Just speaker1 is penalized
+                // The first and the last talk, which the analysis highlights
+                .justifiesWith(new ConferenceSchedulingJustification("Required makespan for speaker 1", talk1, talk3))
                 .penalizesBy(8 * 60);
     }
 }
@@ -17,6 +17,7 @@ import java.util.Map;
 import java.util.Random;
 import java.util.Set;
 import java.util.concurrent.atomic.AtomicInteger;
+import java.util.function.IntSupplier;
 
 import jakarta.enterprise.context.ApplicationScoped;
 
@@ -94,10 +95,41 @@ public class DemoDataGenerator {
                                      List<CountDistribution> optionalSkillDistribution,
                                      List<CountDistribution> shiftCountDistribution,
                                      List<CountDistribution> availabilityCountDistribution,
-                                     int randomSeed) {}
+                                     int randomSeed,
+                                     Integer shiftCount) {
+
+        public DemoDataParameters {
+            if (locations.isEmpty()) {
+                throw new IllegalArgumentException("At least one location is required.");
+            }
+            if (daysInSchedule < 1 || daysInSchedule > MAX_DAYS_IN_SCHEDULE) {
+                throw new IllegalArgumentException("The number of days (%d) must be between 1 and %d."
+                        .formatted(daysInSchedule, MAX_DAYS_IN_SCHEDULE));
+            }
+            int maxEmployeeCount = FIRST_NAMES.length * LAST_NAMES.length;
+            if (employeeCount < 1 || employeeCount > maxEmployeeCount) {
+                throw new IllegalArgumentException("The number of employees (%d) must be between 1 and %d."
+                        .formatted(employeeCount, maxEmployeeCount));
+            }
+            if (shiftCount != null && (shiftCount < 1 || shiftCount > MAX_SHIFT_COUNT)) {
+                throw new IllegalArgumentException("The number of shifts (%d) must be between 1 and %d."
+                        .formatted(shiftCount, MAX_SHIFT_COUNT));
+            }
+        }
+
+        public DemoDataParameters(List<String> locations, List<String> requiredSkills, List<String> optionalSkills,
+                int daysInSchedule, int employeeCount, List<CountDistribution> optionalSkillDistribution,
+                List<CountDistribution> shiftCountDistribution, List<CountDistribution> availabilityCountDistribution,
+                int randomSeed) {
+            this(locations, requiredSkills, optionalSkills, daysInSchedule, employeeCount, optionalSkillDistribution,
+                    shiftCountDistribution, availabilityCountDistribution, randomSeed, null);
+        }
+    }
 
     private static final String[] FIRST_NAMES = { "Amy", "Beth", "Carl", "Dan", "Elsa", "Flo", "Gus", "Hugo", "Ivy", "Jay" };
     private static final String[] LAST_NAMES = { "Cole", "Fox", "Green", "Jones", "King", "Li", "Poe", "Rye", "Smith", "Watt" };
+    private static final int MAX_DAYS_IN_SCHEDULE = 366;
+    private static final int MAX_SHIFT_COUNT = 10_000;
     private static final Duration SHIFT_LENGTH = Duration.ofHours(8);
     private static final LocalTime MORNING_SHIFT_START_TIME = LocalTime.of(6, 0);
     private static final LocalTime DAY_SHIFT_START_TIME = LocalTime.of(9, 0);
@@ -116,6 +148,32 @@ public class DemoDataGenerator {
         return generateDemoData(demoData.getParameters());
     }
 
+    /**
+     * Generates a schedule of the given size with the skills and distributions of the {@link DemoData#LARGE} data set.
+     * The number of employees with a desired, undesired or unavailable date on a day grows with the number of employees.
+     * Without a shift count, the number of shifts of each time slot follows the shift count distribution.
+     *
+     * @param shiftCount the number of shifts, spread evenly over the time slots of every location and day, or null
+     * @throws IllegalArgumentException if a size is out of range
+     */
+    public EmployeeSchedule generateDemoData(int employeeCount, int daysInSchedule, int locationCount, int randomSeed,
+            Integer shiftCount) {
+        DemoDataParameters large = DemoData.LARGE.getParameters();
+        if (locationCount < 1 || locationCount > large.locations().size()) {
+            throw new IllegalArgumentException("The number of locations (%d) must be between 1 and %d."
+                    .formatted(locationCount, large.locations().size()));
+        }
+        List<CountDistribution> availabilityCountDistribution = List.of(
+                new CountDistribution(Math.max(1, employeeCount / 10), 4),
+                new CountDistribution(Math.max(1, employeeCount * 2 / 10), 3),
+                new CountDistribution(Math.max(1, employeeCount * 3 / 10), 2),
+                new CountDistribution(Math.max(1, employeeCount * 4 / 10), 1));
+        return generateDemoData(new DemoDataParameters(large.locations().subList(0, locationCount),
+                large.requiredSkills(), large.optionalSkills(), daysInSchedule, employeeCount,
+                large.optionalSkillDistribution(), large.shiftCountDistribution(), availabilityCountDistribution,
+                randomSeed, shiftCount));
+    }
+
     public EmployeeSchedule generateDemoData(DemoDataParameters parameters) {
         EmployeeSchedule employeeSchedule = new EmployeeSchedule();
 
@@ -128,6 +186,9 @@ public class DemoDataGenerator {
             locationToShiftStartTimeListMap.put(location, List.of(SHIFT_START_TIMES_COMBOS[shiftTemplateIndex]));
             shiftTemplateIndex = (shiftTemplateIndex + 1) % SHIFT_START_TIMES_COMBOS.length;
         }
+        IntSupplier timeslotShiftCount = parameters.shiftCount == null
+                ? () -> pickCount(random, parameters.shiftCountDistribution)
+                : spreadShiftCount(parameters, random).iterator()::next;
 
         List<String> namePermutations = joinAllCombinations(FIRST_NAMES, LAST_NAMES);
         Collections.shuffle(namePermutations, random);
@@ -153,7 +214,7 @@ public class DemoDataGenerator {
                     case 2 -> employee.getDesiredDates().add(date);
                 }
             }
-            shifts.addAll(generateShiftsForDay(parameters, date, random));
+            shifts.addAll(generateShiftsForDay(parameters, date, random, timeslotShiftCount));
         }
         AtomicInteger countShift = new AtomicInteger();
         shifts.forEach(s -> s.setId(Integer.toString(countShift.getAndIncrement())));
@@ -162,14 +223,29 @@ public class DemoDataGenerator {
         return employeeSchedule;
     }
 
-    private List<Shift> generateShiftsForDay(DemoDataParameters parameters, LocalDate date, Random random) {
+    private List<Integer> spreadShiftCount(DemoDataParameters parameters, Random random) {
+        int timeslotCount = parameters.daysInSchedule * parameters.locations.stream()
+                .mapToInt(location -> locationToShiftStartTimeListMap.get(location).size())
+                .sum();
+        List<Integer> timeslotShiftCounts = new ArrayList<>(timeslotCount);
+        for (int i = 0; i < timeslotCount; i++) {
+            timeslotShiftCounts.add(parameters.shiftCount / timeslotCount
+                    + (i < parameters.shiftCount % timeslotCount ? 1 : 0));
+        }
+        Collections.shuffle(timeslotShiftCounts, random);
+        return timeslotShiftCounts;
+    }
+
+    private List<Shift> generateShiftsForDay(DemoDataParameters parameters, LocalDate date, Random random,
+            IntSupplier timeslotShiftCount) {
         List<Shift> shifts = new LinkedList<>();
         for (String location : parameters.locations) {
             List<LocalTime> shiftStartTimes = locationToShiftStartTimeListMap.get(location);
             for (LocalTime shiftStartTime : shiftStartTimes) {
                 LocalDateTime shiftStartDateTime = date.atTime(shiftStartTime);
                 LocalDateTime shiftEndDateTime = shiftStartDateTime.plus(SHIFT_LENGTH);
-                shifts.addAll(generateShiftForTimeslot(parameters, shiftStartDateTime, shiftEndDateTime, location, random));
+                shifts.addAll(generateShiftForTimeslot(parameters, shiftStartDateTime, shiftEndDateTime, location, random,
+                        timeslotShiftCount));
             }
         }
         return shifts;
@@ -177,8 +253,8 @@ public class DemoDataGenerator {
 
     private List<Shift> generateShiftForTimeslot(DemoDataParameters parameters,
             LocalDateTime timeslotStart, LocalDateTime timeslotEnd, String location,
-            Random random) {
-        var shiftCount = pickCount(random, parameters.shiftCountDistribution);
+            Random random, IntSupplier timeslotShiftCount) {
+        var shiftCount = timeslotShiftCount.getAsInt();
 
         List<Shift> shifts = new LinkedList<>();
         for (int i = 0; i < shiftCount; i++) {
@@ -1,18 +1,22 @@
 package org.acme.employeescheduling.rest;
 
 import jakarta.inject.Inject;
+import jakarta.ws.rs.DefaultValue;
 import jakarta.ws.rs.GET;
 import jakarta.ws.rs.Path;
 import jakarta.ws.rs.PathParam;
+import jakarta.ws.rs.QueryParam;
 import jakarta.ws.rs.core.MediaType;
 import jakarta.ws.rs.core.Response;
 
 import org.acme.employeescheduling.domain.EmployeeSchedule;
 import org.acme.employeescheduling.rest.DemoDataGenerator.DemoData;
+import org.acme.employeescheduling.rest.exception.ErrorInfo;
 import org.eclipse.microprofile.openapi.annotations.Operation;
 import org.eclipse.microprofile.openapi.annotations.enums.SchemaType;
 import org.eclipse.microprofile.openapi.annotations.media.Content;
 import org.eclipse.microprofile.openapi.annotations.media.Schema;
+import org.eclipse.microprofile.openapi.annotations.parameters.Parameter;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponse;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponses;
 import org.eclipse.microprofile.openapi.annotations.tags.Tag;
@@ -48,4 +52,37 @@ public class EmployeeScheduleDemoResource {
     public Response generate(@PathParam("demoDataId") DemoData demoData) {
         return Response.ok(dataGenerator.generateDemoData(demoData)).build();
     }
+
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "Unsolved generated schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = EmployeeSchedule.class))),
+            @APIResponse(responseCode = "400", description = "A size is out of range.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class)))})
+    @Operation(summary = "Generate an unsolved schedule of the given size.")
+    @GET
+    @Path("/generate")
+    public Response generateOfSize(
+            @Parameter(description = "The number of employees.")
+            @QueryParam("employeeCount") @DefaultValue("50") int employeeCount,
+            @Parameter(description = "The number of days, starting next Monday.")
+            @QueryParam("daysInSchedule") @DefaultValue("28") int daysInSchedule,
+            @Parameter(description = "The number of locations, each with its own shift times.")
+            @QueryParam("locationCount") @DefaultValue("7") int locationCount,
+            @Parameter(description = "The seed of the random choices, the same seed and sizes give the same schedule.")
+            @QueryParam("randomSeed") @DefaultValue("0") int randomSeed,
+            @Parameter(description = "The number of shifts, spread evenly over the shift times of every location and day. "
+                    + "Without it, each shift time gets 1 to 3 shifts at random.")
+            @QueryParam("shiftCount") Integer shiftCount) {
+        try {
+            return Response.ok(dataGenerator.generateDemoData(employeeCount, daysInSchedule, locationCount, randomSeed,
+                    shiftCount)).build();
+        } catch (IllegalArgumentException e) {
+            return Response.status(Response.Status.BAD_REQUEST)
+                    .type(MediaType.APPLICATION_JSON)
+                    .entity(new ErrorInfo(null, e.getMessage()))
+                    .build();
+        }
+    }
 }
@@ -6,6 +6,10 @@ import ai.timefold.solver.core.api.solver.ScoreAnalysisFetchPolicy;
 import ai.timefold.solver.core.api.solver.SolutionManager;
 import ai.timefold.solver.core.api.solver.SolverManager;
 import ai.timefold.solver.core.api.solver.SolverStatus;
+import ai.timefold.solver.core.config.solver.SolverConfig;
+import io.smallrye.mutiny.Multi;
+import io.smallrye.mutiny.operators.multi.processors.BroadcastProcessor;
+import jakarta.annotation.PreDestroy;
 import jakarta.inject.Inject;
 import jakarta.ws.rs.Consumes;
 import jakarta.ws.rs.DELETE;
@@ -21,6 +25,7 @@ import jakarta.ws.rs.core.Response;
 import org.acme.employeescheduling.domain.EmployeeSchedule;
 import org.acme.employeescheduling.rest.exception.EmployeeScheduleSolverException;
 import org.acme.employeescheduling.rest.exception.ErrorInfo;
+import org.acme.employeescheduling.solver.EmployeeCallsInSickChange;
 import org.eclipse.microprofile.openapi.annotations.Operation;
 import org.eclipse.microprofile.openapi.annotations.enums.SchemaType;
 import org.eclipse.microprofile.openapi.annotations.media.Content;
@@ -29,10 +34,13 @@ import org.eclipse.microprofile.openapi.annotations.parameters.Parameter;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponse;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponses;
 import org.eclipse.microprofile.openapi.annotations.tags.Tag;
+import org.jboss.resteasy.reactive.RestStreamElementType;
 import org.slf4j.Logger;
 import org.slf4j.LoggerFactory;
 
+import java.time.LocalDate;
 import java.util.Collection;
+import java.util.Objects;
 import java.util.UUID;
 import java.util.concurrent.ConcurrentHashMap;
 import java.util.concurrent.ConcurrentMap;
@@ -45,15 +53,23 @@ public class EmployeeScheduleResource {
 
     SolverManager<EmployeeSchedule, String> solverManager;
     SolutionManager<EmployeeSchedule, HardSoftBigDecimalScore> solutionManager;
+    SolverConfig solverConfig;
 
     // TODO: Without any "time to live", the map may eventually grow out of memory.
     private final ConcurrentMap<String, Job> jobIdToJob = new ConcurrentHashMap<>();
+    private final ConcurrentMap<String, BroadcastProcessor<EmployeeSchedule>> jobIdToEvents = new ConcurrentHashMap<>();
+    // Move threads are fixed when a solver manager is built, so another move thread count needs its own one.
+    private final ConcurrentMap<String, SolverManager<EmployeeSchedule, String>> moveThreadCountToSolverManager =
+            new ConcurrentHashMap<>();
+    private final ConcurrentMap<String, SolverManager<EmployeeSchedule, String>> jobIdToSolverManager = new ConcurrentHashMap<>();
 
     @Inject
     public EmployeeScheduleResource(SolverManager<EmployeeSchedule, String> solverManager,
-            SolutionManager<EmployeeSchedule, HardSoftBigDecimalScore> solutionManager) {
+            SolutionManager<EmployeeSchedule, HardSoftBigDecimalScore> solutionManager,
+            SolverConfig solverConfig) {
         this.solverManager = solverManager;
         this.solutionManager = solutionManager;
+        this.solverConfig = solverConfig;
     }
 
     @Operation(summary = "List the job IDs of all submitted schedules.")
@@ -71,22 +87,64 @@ public class EmployeeScheduleResource {
     @APIResponses(value = {
             @APIResponse(responseCode = "202",
                     description = "The job ID. Use that ID to get the solution with the other methods.",
-                    content = @Content(mediaType = MediaType.TEXT_PLAIN, schema = @Schema(implementation = String.class))) })
+                    content = @Content(mediaType = MediaType.TEXT_PLAIN, schema = @Schema(implementation = String.class))),
+            @APIResponse(responseCode = "400", description = "Invalid solver run options.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))) })
     @POST
     @Consumes({ MediaType.APPLICATION_JSON })
     @Produces(MediaType.TEXT_PLAIN)
-    public String solve(EmployeeSchedule problem) {
+    public String solve(EmployeeSchedule problem,
+            @Parameter(description = "How long to solve at most, as an ISO-8601 duration such as PT30S. Defaults to the configured spent limit.")
+            @QueryParam("spentLimit") String spentLimit,
+            @Parameter(description = "How long to solve at most without a better solution, as an ISO-8601 duration such as PT5S.")
+            @QueryParam("unimprovedSpentLimit") String unimprovedSpentLimit,
+            @Parameter(description = "The score to stop solving at, such as 0hard/-100soft.")
+            @QueryParam("bestScoreLimit") String bestScoreLimit,
+            @Parameter(description = "NONE, AUTO, 2 or 4 move threads. Other than NONE requires Timefold Solver Enterprise Edition.")
+            @QueryParam("moveThreadCount") String moveThreadCount) {
+        SolverRunOptions options;
+        try {
+            options = SolverRunOptions.parse(spentLimit, unimprovedSpentLimit, bestScoreLimit, moveThreadCount,
+                    HardSoftBigDecimalScore::parseScore);
+        } catch (IllegalArgumentException e) {
+            throw new EmployeeScheduleSolverException(null, Response.Status.BAD_REQUEST, e.getMessage());
+        }
         String jobId = UUID.randomUUID().toString();
         jobIdToJob.put(jobId, Job.ofSchedule(problem));
-        solverManager.solveBuilder()
-                .withProblemId(jobId)
-                .withProblemFinder(jobId_ -> jobIdToJob.get(jobId).schedule)
-                .withBestSolutionEventConsumer(event -> jobIdToJob.put(jobId, Job.ofSchedule(event.solution())))
-                .withExceptionHandler((jobId_, exception) -> {
-                    jobIdToJob.put(jobId, Job.ofException(exception));
-                    LOGGER.error("Failed solving jobId ({}).", jobId, exception);
-                })
-                .run();
+        jobIdToEvents.put(jobId, BroadcastProcessor.create());
+        try {
+            SolverManager<EmployeeSchedule, String> runSolverManager = getRunSolverManager(options);
+            if (runSolverManager != solverManager) {
+                jobIdToSolverManager.put(jobId, runSolverManager);
+            }
+            runSolverManager.solveBuilder()
+                    .withProblemId(jobId)
+                    .withProblemFinder(jobId_ -> jobIdToJob.get(jobId).schedule)
+                    .withBestSolutionEventConsumer(event -> {
+                        jobIdToJob.put(jobId, Job.ofSchedule(event.solution()));
+                        publishEvent(jobId, event.solution(), getSolverManager(jobId).getSolverStatus(jobId));
+                    })
+                    .withFinalBestSolutionConsumer(solution -> {
+                        publishEvent(jobId, solution, SolverStatus.NOT_SOLVING);
+                        closeEvents(jobId, null);
+                    })
+                    .withExceptionHandler((jobId_, exception) -> {
+                        jobIdToJob.put(jobId, Job.ofException(exception));
+                        LOGGER.error("Failed solving jobId ({}).", jobId, exception);
+                        closeEvents(jobId, exception);
+                    })
+                    .withConfigOverride(options.toConfigOverride(solverConfig.getTerminationConfig()))
+                    .run();
+        } catch (RuntimeException e) {
+            // The solver is built before run() returns, so the options that it rejects, such as move threads
+            // without Timefold Solver Enterprise Edition, fail here and must not leave a broken job behind.
+            jobIdToJob.remove(jobId);
+            jobIdToEvents.remove(jobId);
+            jobIdToSolverManager.remove(jobId);
+            throw new EmployeeScheduleSolverException(null, Response.Status.BAD_REQUEST,
+                    "The solver cannot run with these options. " + e.getMessage());
+        }
         return jobId;
     }
 
@@ -124,7 +182,7 @@ public class EmployeeScheduleResource {
     public EmployeeSchedule getEmployeeSchedule(
             @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
         EmployeeSchedule schedule = getEmployeeScheduleAndCheckForExceptions(jobId);
-        SolverStatus solverStatus = solverManager.getSolverStatus(jobId);
+        SolverStatus solverStatus = getSolverManager(jobId).getSolverStatus(jobId);
         schedule.setSolverStatus(solverStatus);
         return schedule;
     }
@@ -141,7 +199,7 @@ public class EmployeeScheduleResource {
     }
 
     @Operation(
-            summary = "Terminate solving for a given job ID. Returns the best solution of the schedule so far, as it might still be running or not even started.")
+            summary = "Terminate solving for a given job ID. Returns the best solution of the schedule so far, as it might still be running or not even started. With discard, the schedule is also removed from the list of jobs once solving has ended.")
     @APIResponses(value = {
             @APIResponse(responseCode = "200", description = "The best solution of the schedule so far.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
@@ -149,6 +207,9 @@ public class EmployeeScheduleResource {
             @APIResponse(responseCode = "404", description = "No schedule found.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
                             schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "409", description = "The schedule is still solving, so it cannot be discarded yet.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
             @APIResponse(responseCode = "500", description = "Exception during solving a schedule.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
                             schema = @Schema(implementation = ErrorInfo.class)))
@@ -157,12 +218,70 @@ public class EmployeeScheduleResource {
     @Produces(MediaType.APPLICATION_JSON)
     @Path("{jobId}")
     public EmployeeSchedule terminateSolving(
-            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
+            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId,
+            @Parameter(description = "Remove the schedule from the list of jobs. Only allowed once solving has ended.")
+            @QueryParam("discard") boolean discard) {
+        if (discard) {
+            if (getSolverManager(jobId).getSolverStatus(jobId) != SolverStatus.NOT_SOLVING) {
+                throw new EmployeeScheduleSolverException(jobId, Response.Status.CONFLICT, "Stop solving before discarding the schedule.");
+            }
+            // A failed job can be discarded too, so there may be no schedule to return.
+            Job job = jobIdToJob.remove(jobId);
+            jobIdToSolverManager.remove(jobId);
+            if (job == null) {
+                throw new EmployeeScheduleSolverException(jobId, Response.Status.NOT_FOUND, "No schedule found.");
+            }
+            return job.schedule;
+        }
         // TODO: Replace with .terminateEarlyAndWait(... [, timeout]); see https://github.com/TimefoldAI/timefold-solver/issues/77
-        solverManager.terminateEarly(jobId);
+        getSolverManager(jobId).terminateEarly(jobId);
         return getEmployeeSchedule(jobId);
     }
 
+    @Operation(
+            summary = "Make an employee unavailable for a date range while the schedule is solving. The solver reassigns the employee's shifts on those dates, which the next best solutions show.")
+    @APIResponses(value = {
+            @APIResponse(responseCode = "202", description = "The change is passed on to the running solver."),
+            @APIResponse(responseCode = "400", description = "The end date is before the start date.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "404", description = "No schedule or employee found.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "409", description = "The schedule is not solving, so change it and solve it again instead.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "500", description = "Exception during solving a schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class)))
+    })
+    @POST
+    @Produces(MediaType.APPLICATION_JSON)
+    @Path("{jobId}/sick-leave")
+    public Response callInSick(
+            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId,
+            @Parameter(description = "The name of the employee who calls in sick.") @QueryParam("employee") String employeeName,
+            @Parameter(description = "The first sick date.") @QueryParam("startDate") LocalDate startDate,
+            @Parameter(description = "The last sick date, the start date if absent.") @QueryParam("endDate") LocalDate endDate) {
+        EmployeeSchedule schedule = getEmployeeScheduleAndCheckForExceptions(jobId);
+        if (startDate == null || (endDate != null && endDate.isBefore(startDate))) {
+            throw new EmployeeScheduleSolverException(jobId, Response.Status.BAD_REQUEST,
+                    "The sick leave needs a start date (%s) on or before its end date (%s).".formatted(startDate, endDate));
+        }
+        if (schedule.getEmployees().stream().noneMatch(employee -> employee.getName().equals(employeeName))) {
+            throw new EmployeeScheduleSolverException(jobId, Response.Status.NOT_FOUND,
+                    "No employee (%s) found.".formatted(employeeName));
+        }
+        SolverManager<EmployeeSchedule, String> jobSolverManager = getSolverManager(jobId);
+        if (jobSolverManager.getSolverStatus(jobId) == SolverStatus.NOT_SOLVING) {
+            throw new EmployeeScheduleSolverException(jobId, Response.Status.CONFLICT,
+                    "The schedule is not solving, so change it and solve it again instead.");
+        }
+        jobSolverManager.addProblemChange(jobId,
+                new EmployeeCallsInSickChange(employeeName, startDate, endDate == null ? startDate : endDate));
+        return Response.accepted().build();
+    }
+
     @Operation(
             summary = "Get the schedule status and score for a given job ID.")
     @APIResponses(value = {
@@ -182,10 +301,76 @@ public class EmployeeScheduleResource {
     public EmployeeSchedule getStatus(
             @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
         EmployeeSchedule schedule = getEmployeeScheduleAndCheckForExceptions(jobId);
-        SolverStatus solverStatus = solverManager.getSolverStatus(jobId);
+        SolverStatus solverStatus = getSolverManager(jobId).getSolverStatus(jobId);
         return new EmployeeSchedule(schedule.getScore(), solverStatus);
     }
 
+    @Operation(
+            summary = "Stream the schedule status and score for a given job ID as Server-Sent Events. The first event is the current status, then one event follows every new best solution and a last one when solving ends.")
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "The schedule status and the best score, on every change.",
+                    content = @Content(mediaType = MediaType.SERVER_SENT_EVENTS,
+                            schema = @Schema(implementation = EmployeeSchedule.class))),
+            @APIResponse(responseCode = "404", description = "No schedule found.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))),
+            @APIResponse(responseCode = "500", description = "Exception during solving a schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class)))
+    })
+    @GET
+    @Produces(MediaType.SERVER_SENT_EVENTS)
+    @RestStreamElementType(MediaType.APPLICATION_JSON)
+    @Path("{jobId}/events")
+    public Multi<EmployeeSchedule> getEvents(
+            @Parameter(description = "The job ID returned by the POST method.") @PathParam("jobId") String jobId) {
+        EmployeeSchedule status = getStatus(jobId);
+        BroadcastProcessor<EmployeeSchedule> events = jobIdToEvents.get(jobId);
+        if (events == null) {
+            // Solving has already ended, so the current status is the last one.
+            return Multi.createFrom().item(status);
+        }
+        return Multi.createBy().concatenating().streams(Multi.createFrom().item(status), events);
+    }
+
+    private void publishEvent(String jobId, EmployeeSchedule solution, SolverStatus solverStatus) {
+        BroadcastProcessor<EmployeeSchedule> events = jobIdToEvents.get(jobId);
+        if (events != null) {
+            events.onNext(new EmployeeSchedule(solution.getScore(), solverStatus));
+        }
+    }
+
+    private void closeEvents(String jobId, Throwable exception) {
+        BroadcastProcessor<EmployeeSchedule> events = jobIdToEvents.remove(jobId);
+        if (events == null) {
+            return;
+        }
+        if (exception == null) {
+            events.onComplete();
+        } else {
+            events.onError(exception);
+        }
+    }
+
+    private SolverManager<EmployeeSchedule, String> getSolverManager(String jobId) {
+        return jobIdToSolverManager.getOrDefault(jobId, solverManager);
+    }
+
+    private SolverManager<EmployeeSchedule, String> getRunSolverManager(SolverRunOptions options) {
+        String configuredMoveThreadCount = Objects.requireNonNullElse(solverConfig.getMoveThreadCount(),
+                SolverConfig.MOVE_THREAD_COUNT_NONE);
+        if (options.moveThreadCount() == null || options.moveThreadCount().equals(configuredMoveThreadCount)) {
+            return solverManager;
+        }
+        return moveThreadCountToSolverManager.computeIfAbsent(options.moveThreadCount(),
+                moveThreadCount -> SolverManager.create(solverConfig.copyConfig().withMoveThreadCount(moveThreadCount)));
+    }
+
+    @PreDestroy
+    void closeSolverManagers() {
+        moveThreadCountToSolverManager.values().forEach(SolverManager::close);
+    }
+
     private record Job(EmployeeSchedule schedule, Throwable exception) {
 
         static Job ofSchedule(EmployeeSchedule schedule) {
@@ -0,0 +1,52 @@
+package org.acme.employeescheduling.solver;
+
+import java.time.LocalDate;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Set;
+
+import ai.timefold.solver.core.api.solver.change.ProblemChange;
+import ai.timefold.solver.core.api.solver.change.ProblemChangeDirector;
+
+import org.acme.employeescheduling.domain.Employee;
+import org.acme.employeescheduling.domain.EmployeeSchedule;
+import org.acme.employeescheduling.domain.Shift;
+
+/**
+ * Makes an employee unavailable from the start date up to and including the end date, while the solver is running.
+ * The employee's shifts on those dates are unassigned, so the solver assigns them to other employees.
+ */
+public class EmployeeCallsInSickChange implements ProblemChange<EmployeeSchedule> {
+
+    private final String employeeName;
+    private final LocalDate startDate;
+    private final LocalDate endDate;
+
+    public EmployeeCallsInSickChange(String employeeName, LocalDate startDate, LocalDate endDate) {
+        this.employeeName = employeeName;
+        this.startDate = startDate;
+        this.endDate = endDate;
+    }
+
+    @Override
+    public void doChange(EmployeeSchedule workingSolution, ProblemChangeDirector problemChangeDirector) {
+        Employee sickEmployee = workingSolution.getEmployees().stream()
+                .filter(employee -> employee.getName().equals(employeeName))
+                .findFirst()
+                .orElseThrow(() -> new IllegalStateException("No employee (%s) found.".formatted(employeeName)));
+        List<LocalDate> sickDates = startDate.datesUntil(endDate.plusDays(1)).toList();
+
+        problemChangeDirector.changeProblemProperty(sickEmployee, employee -> {
+            Set<LocalDate> unavailableDates = employee.getUnavailableDates() == null ? new LinkedHashSet<>()
+                    : new LinkedHashSet<>(employee.getUnavailableDates());
+            unavailableDates.addAll(sickDates);
+            employee.setUnavailableDates(unavailableDates);
+        });
+        for (Shift shift : workingSolution.getShifts()) {
+            if (sickEmployee.equals(shift.getEmployee()) && sickDates.stream().anyMatch(shift::isOverlappingWithDate)) {
+                problemChangeDirector.changeVariable(shift, "employee", s -> s.setEmployee(null));
+            }
+        }
+    }
+
+}
@@ -1,18 +1,50 @@
-let autoRefreshIntervalId = null;
-const zoomMin = 2 * 1000 * 60 * 60 * 24 // 2 day in milliseconds
-const zoomMax = 4 * 7 * 1000 * 60 * 60 * 24 // 4 weeks in milliseconds
+const zoomMin = 1000 * 60 * 60 * 6 // 6 hours in milliseconds
+const zoomMax = 4 * 7 * 1000 * 60 * 60 * 24 // 4 weeks in milliseconds, or the whole schedule if it is longer
+
+// The scales of the time axis, with the number of days a window of that scale shows.
+const SCALES = {
+    day: {timeAxis: {scale: "hour", step: 2}, days: 1},
+    week: {timeAxis: {scale: "hour", step: 6}, days: 7},
+    month: {timeAxis: {scale: "day", step: 1}, days: 28},
+};
 
 const UNAVAILABLE_COLOR = '#ef2929' // Tango Scarlet Red
 const UNDESIRED_COLOR = '#f57900' // Tango Orange
 const DESIRED_COLOR = '#73d216' // Tango Chameleon
+// The availability states a click on a day of the availability calendar cycles through, after no preference.
+const AVAILABILITY_STATES = [
+    {state: "unavailable", label: "Unavailable", color: UNAVAILABLE_COLOR},
+    {state: "undesired", label: "Undesired", color: UNDESIRED_COLOR},
+    {state: "desired", label: "Desired", color: DESIRED_COLOR},
+];
 
 let demoDataId = null;
 let scheduleId = null;
 let loadedSchedule = null;
+// The shifts of an employee who called in sick while solving, highlighted once the solver has reassigned them.
+let sickLeave = null;
+// The employee whose availability is being edited, with the availability state of each date, until it is saved.
+let availability = null;
+// The heatmap cell of which the unassigned shifts are listed.
+let coverageSelection = null;
+
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: () => demoDataId === null ? null : "/demo-data/" + demoDataId,
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeShifts,
+    highlightEntities: highlightShifts,
+    csvFormat: createCsvFormat(),
+});
 
 const byEmployeePanel = document.getElementById("byEmployeePanel");
 const byEmployeeTimelineOptions = {
-    timeAxis: {scale: "hour", step: 6},
+    timeAxis: SCALES.week.timeAxis,
     orientation: {axis: "top"},
     stack: false,
     xss: {disabled: true}, // Items are XSS safe through JQuery
@@ -25,7 +57,7 @@ let byEmployeeTimeline = new vis.Timeline(byEmployeePanel, byEmployeeItemDataSet
 
 const byLocationPanel = document.getElementById("byLocationPanel");
 const byLocationTimelineOptions = {
-    timeAxis: {scale: "hour", step: 6},
+    timeAxis: SCALES.week.timeAxis,
     orientation: {axis: "top"},
     xss: {disabled: true}, // Items are XSS safe through JQuery
     zoomMin: zoomMin,
@@ -34,19 +66,158 @@ const byLocationTimelineOptions = {
 let byLocationGroupDataSet = new vis.DataSet();
 let byLocationItemDataSet = new vis.DataSet();
 let byLocationTimeline = new vis.Timeline(byLocationPanel, byLocationItemDataSet, byLocationGroupDataSet, byLocationTimelineOptions);
+trackTimelineWindow(byEmployeeTimeline);
+trackTimelineWindow(byLocationTimeline);
+// Both timelines show the same date range, also after the user moved or zoomed one of them.
+[byEmployeeTimeline, byLocationTimeline].forEach(timeline => timeline.on("rangechanged", properties => {
+    if (properties.byUser) {
+        getTimelines().filter(other => other !== timeline)
+            .forEach(other => other.setWindow(properties.start, properties.end, {animation: false}));
+        refreshWindowInputs();
+    }
+}));
+byEmployeeTimeline.setOptions({
+    editable: {updateTime: true, updateGroup: true, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => moveShift(schedule, item, (shift, employeeName) =>
+            shift.employee = schedule.employees.find(employee => employee.name === employeeName)), "move");
+    },
+});
+byLocationTimeline.setOptions({
+    editable: {updateTime: true, updateGroup: true, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => moveShift(schedule, item, (shift, location) => shift.location = location), "move");
+    },
+});
+bindCalendarDownloads(byEmployeeTimeline, downloadShiftCalendar);
+byEmployeeTimeline.on("click", properties => {
+    if (properties.what === "group-label" && $(properties.event.target).closest(".availability-edit").length > 0) {
+        showAvailability(properties.group);
+    }
+});
+byEmployeeTimeline.on("contextmenu", properties => {
+    if (properties.group == null) {
+        return;
+    }
+    properties.event.preventDefault();
+    showSickLeave(properties.group, properties.time);
+});
 
-let windowStart = JSJoda.LocalDate.now().toString();
-let windowEnd = JSJoda.LocalDate.parse(windowStart).plusDays(7).toString();
+let scale = "week";
+// The first date of the schedule's shifts and the date after the last one, which "fit all" shows.
+let scheduleStartDate = JSJoda.LocalDate.now();
+let scheduleEndDate = scheduleStartDate.plusDays(7);
 
 $(document).ready(function () {
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
+    });
+    $("input[name='scale']").change(function () {
+        changeScale(this.value);
+    });
+    $("#previousWeekButton").click(function () {
+        moveWindow(-7);
+    });
+    $("#nextWeekButton").click(function () {
+        moveWindow(7);
+    });
+    $("#windowStartDate, #windowEndDate").change(function () {
+        showDateRange();
+    });
+    $("#fitAllButton").click(function () {
+        showWindow(scheduleStartDate, scheduleEndDate);
+    });
+    $("#sickLeaveModalButton").click(function () {
+        callInSick();
+    });
+    $("#availabilityCalendar").on("click", ".availability-day", function () {
+        cycleAvailability($(this).attr("data-date"));
+    });
+    $("#availabilityPatternButton").click(function () {
+        applyAvailabilityPattern();
+    });
+    $("#availabilityModalButton").click(function () {
+        saveAvailability();
+    });
+    $("#coverageSkill").change(function () {
+        renderCoverage(loadedSchedule);
+    });
+    $("#coverageHeatmap").on("click", ".coverage-cell", function () {
+        coverageSelection = {location: $(this).attr("data-location"), date: $(this).attr("data-date")};
+        renderCoverage(loadedSchedule);
+        highlightShifts(getCoverageSelectionShifts(loadedSchedule).map(shift => shift.id));
+    });
+    $("#coverageShowByLocationButton").click(function () {
+        // The hidden timeline could not scroll to the shifts before.
+        $("#byLocationTab").one("shown.bs.tab", function () {
+            highlightShifts(getCoverageSelectionShifts(loadedSchedule).map(shift => shift.id));
+        });
+        bootstrap.Tab.getOrCreateInstance("#byLocationTab").show();
+    });
+    $("#exportCalendarsButton").click(function () {
+        downloadAllShiftCalendars();
     });
     // HACK to allow vis-timeline to work within Bootstrap tabs
     $("#byEmployeeTab").on('shown.bs.tab', function (event) {
@@ -56,51 +227,38 @@ $(document).ready(function () {
         byLocationTimeline.redraw();
     })
 
+    bindViewTabs({L: "byLocationTab", E: "byEmployeeTab", W: "workloadTab", C: "coverageTab"}, "L");
+    const urlScale = getUrlState("scale");
+    if (SCALES[urlScale] !== undefined) {
+        scale = urlScale;
+        getTimelines().forEach(timeline => timeline.setOptions({timeAxis: SCALES[scale].timeAxis}));
+    }
+    $("input[name='scale'][value='" + scale + "']").prop("checked", true);
+
     setupAjax();
     fetchDemoData();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url,
-                type: method,
-                dataType: type,
-                data: data,
-                success: callback
-            });
-        };
-    });
-}
-
 function fetchDemoData() {
     $.get("/demo-data", function (data) {
         data.forEach(item => {
             $("#testDataButton").append($('<a id="' + item + 'TestData" class="dropdown-item" href="#">' + item + '</a>'));
-            $("#" + item + "TestData").click(function () {
+            $("#" + item + "TestData").click(function (event) {
+                event.preventDefault(); // Keep the UI state in the URL hash.
                 switchDataDropDownItemActive(item);
-                scheduleId = null;
+                solverClient.detachJob();
+                clearTimelineWindow();
+                coverageSelection = null;
                 demoDataId = item;
+                setUrlState("demoDataId", demoDataId);
 
-                refreshSchedule();
+                solverClient.refreshSchedule();
             });
         });
-        demoDataId = data[0];
+        const urlDemoDataId = getUrlState("demoDataId");
+        demoDataId = data.includes(urlDemoDataId) ? urlDemoDataId : data[0];
         switchDataDropDownItemActive(demoDataId);
-        refreshSchedule();
+        solverClient.refreshSchedule();
     }).fail(function (xhr, ajaxOptions, thrownError) {
         // disable this page as there is no data
         let $demo = $("#demo");
@@ -115,63 +273,105 @@ function switchDataDropDownItemActive(newItem) {
     $("#" + newItem + "TestData").addClass(activeCssClass);
 }
 
-function getShiftColor(shift, employee) {
+function getTimelines() {
+    return [byEmployeeTimeline, byLocationTimeline];
+}
+
+// Shows the dates from start up to end, exclusive, in both timelines and keeps them in the URL,
+// so that the refreshes while solving keep them too.
+function showWindow(start, end) {
+    const from = start.atStartOfDay().toString();
+    const to = end.atStartOfDay().toString();
+    setUrlState("from", from);
+    setUrlState("to", to);
+    getTimelines().forEach(timeline => timeline.setWindow(from, to));
+    refreshWindowInputs();
+}
+
+// The shown dates, from the first date up to the end date, exclusive.
+function getWindow() {
+    const window = byLocationTimeline.getWindow();
+    return {
+        start: toLocalDateTime(window.start).toLocalDate(),
+        // A window that ends at midnight does not show the day after.
+        end: toLocalDateTime(new Date(window.end.getTime() - 1)).toLocalDate().plusDays(1),
+    };
+}
+
+function refreshWindowInputs() {
+    const window = getWindow();
+    $("#windowStartDate").val(window.start.toString());
+    $("#windowEndDate").val(window.end.minusDays(1).toString());
+}
+
+function moveWindow(days) {
+    const window = getWindow();
+    showWindow(window.start.plusDays(days), window.end.plusDays(days));
+}
+
+function showDateRange() {
+    const start = $("#windowStartDate").val();
+    const end = $("#windowEndDate").val();
+    if (start === "" || end === "" || end < start) {
+        refreshWindowInputs();
+        return;
+    }
+    showWindow(JSJoda.LocalDate.parse(start), JSJoda.LocalDate.parse(end).plusDays(1));
+}
+
+// Switches the time axis to hours, quarter days or days, and shows as many days as fit that scale.
+function changeScale(newScale) {
+    scale = newScale;
+    setUrlState("scale", scale);
+    getTimelines().forEach(timeline => timeline.setOptions({timeAxis: SCALES[scale].timeAxis}));
+    const start = getWindow().start;
+    showWindow(start, start.plusDays(SCALES[scale].days));
+}
+
+// Whether a shift is on an unavailable, undesired or desired date of the employee, in that order, or null if none.
+function getShiftDateType(shift, employee) {
     const shiftStart = JSJoda.LocalDateTime.parse(shift.start);
     const shiftStartDateString = shiftStart.toLocalDate().toString();
     const shiftEnd = JSJoda.LocalDateTime.parse(shift.end);
     const shiftEndDateString = shiftEnd.toLocalDate().toString();
-    if (employee.unavailableDates.includes(shiftStartDateString) ||
-        // The contains() check is ignored for a shift end at midnight (00:00:00).
-        (shiftEnd.isAfter(shiftStart.toLocalDate().plusDays(1).atStartOfDay()) &&
-            employee.unavailableDates.includes(shiftEndDateString))) {
-        return UNAVAILABLE_COLOR
-    } else if (employee.undesiredDates.includes(shiftStartDateString) ||
+    const isOnDate = dates => dates.includes(shiftStartDateString) ||
         // The contains() check is ignored for a shift end at midnight (00:00:00).
-        (shiftEnd.isAfter(shiftStart.toLocalDate().plusDays(1).atStartOfDay()) &&
-            employee.undesiredDates.includes(shiftEndDateString))) {
-        return UNDESIRED_COLOR
-    } else if (employee.desiredDates.includes(shiftStartDateString) ||
-        // The contains() check is ignored for a shift end at midnight (00:00:00).
-        (shiftEnd.isAfter(shiftStart.toLocalDate().plusDays(1).atStartOfDay()) &&
-            employee.desiredDates.includes(shiftEndDateString))) {
-        return DESIRED_COLOR
-    } else {
-        return " #729fcf"; // Tango Sky Blue
+        (shiftEnd.isAfter(shiftStart.toLocalDate().plusDays(1).atStartOfDay()) && dates.includes(shiftEndDateString));
+    if (isOnDate(employee.unavailableDates)) {
+        return "unavailable";
+    } else if (isOnDate(employee.undesiredDates)) {
+        return "undesired";
+    } else if (isOnDate(employee.desiredDates)) {
+        return "desired";
     }
+    return null;
 }
 
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        if (demoDataId === null) {
-            alert("Please select a test data set.");
-            return;
-        }
-
-        path = "/demo-data/" + demoDataId;
+function getShiftColor(shift, employee) {
+    switch (getShiftDateType(shift, employee)) {
+        case "unavailable":
+            return UNAVAILABLE_COLOR;
+        case "undesired":
+            return UNDESIRED_COLOR;
+        case "desired":
+            return DESIRED_COLOR;
+        default:
+            return " #729fcf"; // Tango Sky Blue
     }
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
 }
 
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
 
     const groups = [];
 
-    // Show only first 7 days of draft
-    const scheduleStart = schedule.shifts.map(shift => JSJoda.LocalDateTime.parse(shift.start).toLocalDate()).sort()[0].toString();
-    const scheduleEnd = JSJoda.LocalDate.parse(scheduleStart).plusDays(7).toString();
-
-    windowStart = scheduleStart;
-    windowEnd = scheduleEnd;
+    // An edited or imported schedule may have no shifts, which shows the week from today.
+    const shiftDates = schedule.shifts.flatMap(shift => [shift.start, shift.end])
+        .map(dateTime => JSJoda.LocalDateTime.parse(dateTime).toLocalDate())
+        .sort((a, b) => a.compareTo(b));
+    scheduleStartDate = shiftDates.length === 0 ? JSJoda.LocalDate.now() : shiftDates[0];
+    scheduleEndDate = shiftDates.length === 0 ? scheduleStartDate.plusDays(7) : shiftDates[shiftDates.length - 1].plusDays(1);
+    const scheduleDays = JSJoda.ChronoUnit.DAYS.between(scheduleStartDate, scheduleEndDate);
+    getTimelines().forEach(timeline => timeline.setOptions({zoomMax: Math.max(zoomMax, scheduleDays * 1000 * 60 * 60 * 24)}));
 
     byEmployeeGroupDataSet.clear();
     byLocationGroupDataSet.clear();
@@ -183,7 +383,10 @@ function renderSchedule(schedule) {
     schedule.employees.forEach((employee, index) => {
         const employeeGroupElement = $('<div class="card-body p-2"/>')
             .append($(`<h5 class="card-title mb-2"/>)`)
-                .append(employee.name))
+                .append(employee.name)
+                .append(getCalendarDownloadButton())
+                .append($(`<button type="button" class="availability-edit btn btn-light btn-sm p-1 ms-1" title="Edit availability"/>`)
+                    .append($(`<span class="fas fa-user-clock"/>`))))
             .append($('<div/>')
                 .append($(employee.skills.map(skill => `<span class="badge me-1 mt-1" style="background-color:#d3d7cf">${skill}</span>`).join(''))));
         byEmployeeGroupDataSet.add({id: employee.name, content: employeeGroupElement.html()});
@@ -285,173 +488,488 @@ function renderSchedule(schedule) {
 
     $("#info").text(`This dataset has ${schedule.shifts.length} shifts and ${schedule.employees.length} employees.`);
 
-    byEmployeeTimeline.setWindow(scheduleStart, scheduleEnd);
-    byLocationTimeline.setWindow(scheduleStart, scheduleEnd);
+    // The first days of the schedule, unless the URL keeps another date range, such as while solving.
+    const defaultWindowStart = scheduleStartDate.atStartOfDay().toString();
+    const defaultWindowEnd = scheduleStartDate.plusDays(SCALES[scale].days).atStartOfDay().toString();
+    setTimelineWindow(byEmployeeTimeline, defaultWindowStart, defaultWindowEnd);
+    setTimelineWindow(byLocationTimeline, defaultWindowStart, defaultWindowEnd);
+    refreshWindowInputs();
+    highlightReassignedShifts(schedule);
+    renderWorkload(schedule);
+    renderCoverage(schedule);
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Start solving failed.", xhr);
-            refreshSolvingButtons(false);
-        },
-        "text");
-}
-
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
+// The assigned hours and shifts of every employee, and how evenly the hours are spread over the employees.
+function getWorkload(schedule) {
+    const employeesByName = new Map(schedule.employees.map(employee => [employee.name, employee]));
+    const rows = new Map(schedule.employees.map(employee => [employee.name, {
+        name: employee.name, hours: 0, shiftCount: 0, desired: 0, undesired: 0, unavailable: 0, skillMismatches: 0,
+    }]));
+    schedule.shifts.forEach(shift => {
+        const row = shift.employee == null ? undefined : rows.get(shift.employee.name);
+        if (row === undefined) {
+            return;
+        }
+        const employee = employeesByName.get(shift.employee.name);
+        row.hours += JSJoda.Duration.between(JSJoda.LocalDateTime.parse(shift.start), JSJoda.LocalDateTime.parse(shift.end))
+            .toMinutes() / 60;
+        row.shiftCount++;
+        const dateType = getShiftDateType(shift, employee);
+        if (dateType !== null) {
+            row[dateType]++;
+        }
+        if (!employee.skills.includes(shift.requiredSkill)) {
+            row.skillMismatches++;
+        }
+    });
+    const hours = [...rows.values()].map(row => row.hours);
+    const mean = hours.reduce((sum, value) => sum + value, 0) / Math.max(hours.length, 1);
+    // Of all employees, so the population standard deviation.
+    const standardDeviation = Math.sqrt(hours.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(hours.length, 1));
+    return {
+        rows: [...rows.values()],
+        mean: mean,
+        standardDeviation: standardDeviation,
+        min: hours.length === 0 ? 0 : Math.min(...hours),
+        max: hours.length === 0 ? 0 : Math.max(...hours),
+        unassignedShiftCount: schedule.shifts.filter(shift => shift.employee == null).length,
+    };
+}
+
+function renderWorkload(schedule) {
+    const workload = getWorkload(schedule);
+    const formatHours = hours => hours.toFixed(1);
+    const coefficientOfVariation = workload.mean === 0 ? 0 : workload.standardDeviation / workload.mean;
+    const summary = $("#workloadSummary").empty();
+    [
+        ["Average", `${formatHours(workload.mean)} h`, "The average hours per employee."],
+        ["Standard deviation", `${formatHours(workload.standardDeviation)} h (${(100 * coefficientOfVariation).toFixed(0)}%)`,
+            "How far the hours of an employee typically are from the average, also as a percentage of the average. Lower is fairer."],
+        ["Range", `${formatHours(workload.min)} - ${formatHours(workload.max)} h`,
+            "The hours of the employee with the fewest and of the one with the most hours."],
+        ["Unassigned shifts", workload.unassignedShiftCount, "Shifts without an employee."],
+    ].forEach(([label, value, description]) => summary.append($(`<div/>`).attr("title", description)
+        .append($(`<div class="text-muted small"/>`).text(label))
+        .append($(`<div class="fs-5 fw-bold"/>`).text(value))));
+
+    drawWorkloadChart($("#workloadChart"), workload);
+
+    const tbody = $("#workloadTableBody").empty();
+    workload.rows.forEach(row => {
+        const deviation = row.hours - workload.mean;
+        tbody.append($(`<tr/>`)
+            .append($(`<td/>`).text(row.name))
+            .append($(`<td class="text-end"/>`).text(formatHours(row.hours)))
+            .append($(`<td class="text-end"/>`).text((deviation > 0 ? "+" : "") + formatHours(deviation)))
+            .append($(`<td class="text-end"/>`).text(row.shiftCount))
+            .append($(`<td class="text-end"/>`).text(row.desired))
+            .append($(`<td class="text-end"/>`).text(row.undesired))
+            .append($(`<td class="text-end"/>`).text(row.unavailable))
+            .append($(`<td class="text-end"/>`).text(row.skillMismatches)));
+    });
+}
+
+// The required and assigned shifts of every location on every day of the schedule, in total and per required skill.
+function getCoverage(schedule, skill) {
+    const dates = [];
+    for (let date = scheduleStartDate; date.isBefore(scheduleEndDate); date = date.plusDays(1)) {
+        dates.push(date.toString());
+    }
+    const locations = [...new Set(schedule.shifts.map(shift => shift.location))];
+    const cells = new Map();
+    schedule.shifts
+        .filter(shift => skill === "" || shift.requiredSkill === skill)
+        .forEach(shift => {
+            const key = getCoverageKey(shift.location, shift.start.substring(0, 10));
+            if (!cells.has(key)) {
+                cells.set(key, {required: 0, assigned: 0, bySkill: new Map()});
+            }
+            const cell = cells.get(key);
+            if (!cell.bySkill.has(shift.requiredSkill)) {
+                cell.bySkill.set(shift.requiredSkill, {required: 0, assigned: 0});
+            }
+            const skillCell = cell.bySkill.get(shift.requiredSkill);
+            cell.required++;
+            skillCell.required++;
+            if (shift.employee != null) {
+                cell.assigned++;
+                skillCell.assigned++;
+            }
+        });
+    return {dates: dates, locations: locations, cells: cells};
+}
+
+function getCoverageKey(location, date) {
+    return `${location}|${date}`;
+}
+
+// The unassigned shifts of the selected heatmap cell, of the chosen skill.
+function getCoverageSelectionShifts(schedule) {
+    if (coverageSelection === null) {
+        return [];
     }
+    const skill = $("#coverageSkill").val();
+    return schedule.shifts.filter(shift => shift.employee == null
+        && shift.location === coverageSelection.location && shift.start.startsWith(coverageSelection.date)
+        && (skill === "" || shift.requiredSkill === skill));
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
+// Draws the locations by the days as a heatmap, where a redder cell has a larger share of unassigned shifts,
+// so that a shortage that returns every week stands out from a one-off gap.
+function renderCoverage(schedule) {
+    const skills = [...new Set(schedule.shifts.map(shift => shift.requiredSkill))].sort();
+    const skillSelect = $("#coverageSkill");
+    const skill = skills.includes(skillSelect.val()) ? skillSelect.val() : "";
+    skillSelect.empty().append($(`<option value=""/>`).text("All skills"))
+        .append(skills.map(skill => $("<option/>").val(skill).text(skill)))
+        .val(skill);
+
+    const coverage = getCoverage(schedule, skill);
+    const header = $("<tr/>").append($("<th/>").text("Location"));
+    coverage.dates.forEach(date => {
+        const localDate = JSJoda.LocalDate.parse(date);
+        header.append($(`<th class="text-center small"/>`)
+            .append($("<div/>").text(capitalize(localDate.dayOfWeek().name().substring(0, 3))))
+            .append($(`<div class="text-muted"/>`).text(date.substring(5))));
+    });
+    header.append($(`<th class="text-end"/>`).text("Unassigned"));
+
+    const tbody = $("<tbody/>");
+    coverage.locations.forEach(location => {
+        const row = $("<tr/>").append($("<th/>").text(location));
+        let unassigned = 0;
+        coverage.dates.forEach(date => {
+            const cell = coverage.cells.get(getCoverageKey(location, date));
+            if (cell === undefined) {
+                row.append($("<td/>"));
+                return;
+            }
+            unassigned += cell.required - cell.assigned;
+            const shortage = (cell.required - cell.assigned) / cell.required;
+            const selected = coverageSelection !== null
+                && coverageSelection.location === location && coverageSelection.date === date;
+            row.append($(`<td class="coverage-cell text-center small" role="button"/>`)
+                .attr("data-location", location)
+                .attr("data-date", date)
+                .attr("title", [...cell.bySkill.entries()].sort()
+                    .map(([skill, skillCell]) => `${skill}: ${skillCell.assigned} of ${skillCell.required} assigned`).join("\n"))
+                .css("background-color", shortage === 0 ? "#8ae23466" : `rgba(239, 41, 41, ${0.2 + 0.8 * shortage})`)
+                .css("outline", selected ? "2px solid #3E00FF" : "")
+                .text(`${cell.assigned}/${cell.required}`));
+        });
+        row.append($(`<td class="text-end fw-bold"/>`).text(unassigned));
+        tbody.append(row);
+    });
+    $("#coverageHeatmap").empty().append($("<thead/>").append(header)).append(tbody);
+
+    const shifts = getCoverageSelectionShifts(schedule);
+    $("#coverageShifts").toggle(coverageSelection !== null);
+    if (coverageSelection !== null) {
+        $("#coverageShiftsTitle").text(`Unassigned shifts at ${coverageSelection.location} on ${coverageSelection.date}`);
+        const shiftsBody = $("#coverageShiftsBody").empty();
+        if (shifts.length === 0) {
+            shiftsBody.append($("<tr/>").append($(`<td colspan="3" class="text-muted"/>`).text("All shifts are assigned.")));
+        }
+        shifts.forEach(shift => shiftsBody.append($("<tr/>")
+            .append($("<td/>").text(shift.start.replace("T", " ")))
+            .append($("<td/>").text(shift.end.replace("T", " ")))
+            .append($("<td/>").text(shift.requiredSkill))));
+    }
+}
 
-    $.each([...score.matchAll(/(-?\d*(\.\d+)?)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[3]] = parseFloat(parts[1], 10);
+// Draws the hours of every employee as horizontal bars, with the average as a dashed line
+// and one standard deviation around it as a shaded band.
+function drawWorkloadChart(chart, workload) {
+    chart.empty();
+    const labelWidth = 160;
+    const barHeight = 16;
+    const rowHeight = barHeight + 6;
+    const width = 800;
+    const height = workload.rows.length * rowHeight + 20;
+    const maxHours = Math.max(workload.max, workload.mean + workload.standardDeviation, 1);
+    const x = hours => labelWidth + (width - labelWidth - 50) * hours / maxHours;
+    chart.attr("viewBox", `0 0 ${width} ${height}`).attr("height", height);
+    const svgElement = (name, attributes, text) => {
+        const element = document.createElementNS("http://www.w3.org/2000/svg", name);
+        $.each(attributes, (attribute, value) => element.setAttribute(attribute, value));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    };
+
+    const bandStart = x(Math.max(workload.mean - workload.standardDeviation, 0));
+    chart.append(svgElement("rect", {x: bandStart, y: 0, width: x(workload.mean + workload.standardDeviation) - bandStart,
+        height: height - 20, fill: "#eeeeec"})); // Tango Aluminium
+    workload.rows.forEach((row, index) => {
+        const y = index * rowHeight + 3;
+        chart.append(svgElement("text", {x: labelWidth - 6, y: y + barHeight - 4, "text-anchor": "end", "font-size": 12}, row.name));
+        const bar = svgElement("rect", {x: labelWidth, y: y, width: x(row.hours) - labelWidth, height: barHeight, fill: "#729fcf"});
+        bar.append(svgElement("title", {}, `${row.name}: ${row.hours.toFixed(1)} hours in ${row.shiftCount} shifts`));
+        chart.append(bar);
+        chart.append(svgElement("text", {x: x(row.hours) + 4, y: y + barHeight - 4, "font-size": 11}, row.hours.toFixed(1)));
     });
+    chart.append(svgElement("line", {x1: x(workload.mean), y1: 0, x2: x(workload.mean), y2: height - 20,
+        stroke: "#2e3436", "stroke-dasharray": "4 3"})); // Tango Aluminium
+    chart.append(svgElement("text", {x: x(workload.mean), y: height - 6, "text-anchor": "middle", "font-size": 11},
+        `average ${workload.mean.toFixed(1)} h`));
+}
 
-    return components;
+// Moves the shift of a dragged item to its new start, keeping its duration, and to the group it was dropped on.
+function moveShift(schedule, item, moveToGroup) {
+    const shift = schedule.shifts[Number(item.id.substring("shift-".length))];
+    const duration = JSJoda.Duration.between(JSJoda.LocalDateTime.parse(shift.start), JSJoda.LocalDateTime.parse(shift.end));
+    const start = toLocalDateTime(item.start);
+    shift.start = start.toString();
+    shift.end = start.plus(duration).toString();
+    moveToGroup(shift, item.group);
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
+// Opens the dialog to make an employee unavailable, starting on the right-clicked day.
+function showSickLeave(employeeName, time) {
+    const date = toLocalDateTime(time).toLocalDate().toString();
+    $("#sickLeaveEmployee").text(employeeName);
+    $("#sickLeaveStartDate").val(date);
+    $("#sickLeaveEndDate").val(date);
+    bootstrap.Modal.getOrCreateInstance("#sickLeaveModal").show();
+}
+
+// While solving, the running solver gets the sick days as a problem change and reassigns the employee's shifts.
+// Otherwise the sick days become unavailable dates and the next solve reassigns the shifts.
+function callInSick() {
+    const employeeName = $("#sickLeaveEmployee").text();
+    const startDate = $("#sickLeaveStartDate").val();
+    const endDate = $("#sickLeaveEndDate").val();
+    $("#sickLeaveEndDate")[0].setCustomValidity(endDate !== "" && endDate < startDate
+        ? "The last sick day is before the first one." : "");
+    if (!$("#sickLeaveForm")[0].reportValidity()) {
+        return;
+    }
+    const sickDates = [];
+    for (let date = JSJoda.LocalDate.parse(startDate); !date.isAfter(JSJoda.LocalDate.parse(endDate)); date = date.plusDays(1)) {
+        sickDates.push(date.toString());
+    }
+    bootstrap.Modal.getInstance("#sickLeaveModal").hide();
+    if (scheduleId === null || loadedSchedule.solverStatus == null || loadedSchedule.solverStatus === "NOT_SOLVING") {
+        solverClient.applyChange(schedule => {
+            const employee = schedule.employees.find(employee => employee.name === employeeName);
+            employee.unavailableDates = [...new Set([...employee.unavailableDates, ...sickDates])];
+            refreshShiftEmployees(schedule, employee);
+        }, "sick leave");
+        return;
+    }
+    const shiftIds = loadedSchedule.shifts
+        .filter(shift => shift.employee != null && shift.employee.name === employeeName
+            && sickDates.some(date => shift.start.startsWith(date) || shift.end.startsWith(date)))
+        .map(shift => shift.id);
+    $.post(`/schedules/${scheduleId}/sick-leave?` + $.param({employee: employeeName, startDate: startDate, endDate: endDate}),
+        function () {
+            sickLeave = {employeeName: employeeName, sickDates: sickDates, shiftIds: shiftIds};
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            showError("Calling in sick failed.", xhr);
+        });
+}
+
+// The shifts embed their employee, which colors them, so they need the changed dates of that employee too.
+function refreshShiftEmployees(schedule, employee) {
+    schedule.shifts
+        .filter(shift => shift.employee != null && shift.employee.name === employee.name)
+        .forEach(shift => shift.employee = employee);
+}
+
+// Opens the availability calendar of an employee, with the dates of the schedule in weeks from Monday to Sunday.
+function showAvailability(employeeName) {
+    const employee = loadedSchedule.employees.find(employee => employee.name === employeeName);
+    const dates = new Map();
+    // A date in several lists shows the state that weighs most, as unavailable is a hard constraint.
+    employee.desiredDates.forEach(date => dates.set(date, "desired"));
+    employee.undesiredDates.forEach(date => dates.set(date, "undesired"));
+    employee.unavailableDates.forEach(date => dates.set(date, "unavailable"));
+    availability = {employeeName: employeeName, dates: dates};
+    $("#availabilityEmployee").text(employeeName);
+    renderAvailabilityCalendar();
+    bootstrap.Modal.getOrCreateInstance("#availabilityModal").show();
+}
+
+function renderAvailabilityCalendar() {
+    const $table = $(`<table class="table table-sm table-bordered text-center mb-0"/>`)
+        .append($("<thead/>").append($("<tr/>").append(JSJoda.DayOfWeek.values()
+            .map(dayOfWeek => $("<th/>").text(capitalize(dayOfWeek.name().substring(0, 3)))))));
+    const $body = $("<tbody/>").appendTo($table);
+    const calendarStart = scheduleStartDate.minusDays(scheduleStartDate.dayOfWeek().value() - 1);
+    for (let weekStart = calendarStart; weekStart.isBefore(scheduleEndDate); weekStart = weekStart.plusWeeks(1)) {
+        const $week = $("<tr/>").appendTo($body);
+        for (let date = weekStart; date.isBefore(weekStart.plusWeeks(1)); date = date.plusDays(1)) {
+            if (date.isBefore(scheduleStartDate) || !date.isBefore(scheduleEndDate)) {
+                $week.append($("<td/>"));
+                continue;
+            }
+            const state = AVAILABILITY_STATES.find(state => state.state === availability.dates.get(date.toString()));
+            const dayLabel = date.dayOfMonth() === 1 || date.equals(scheduleStartDate)
+                ? `${date.dayOfMonth()} ${capitalize(date.month().name().substring(0, 3))}` : `${date.dayOfMonth()}`;
+            $week.append($(`<td class="availability-day" role="button"/>`)
+                .attr("data-date", date.toString())
+                .attr("title", `${date}: ${state === undefined ? "No preference" : state.label}`)
+                .css("background-color", state === undefined ? "" : state.color)
+                .text(dayLabel));
         }
+    }
+    $("#availabilityCalendar").empty().append($table);
+}
+
+function capitalize(name) {
+    return name.charAt(0) + name.substring(1).toLowerCase();
+}
+
+// Changes a date to the next availability state, or back to no preference after the last one.
+function cycleAvailability(date) {
+    const index = AVAILABILITY_STATES.findIndex(state => state.state === availability.dates.get(date));
+    if (index === AVAILABILITY_STATES.length - 1) {
+        availability.dates.delete(date);
     } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
+        availability.dates.set(date, AVAILABILITY_STATES[index + 1].state);
     }
+    renderAvailabilityCalendar();
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
+// Sets the chosen availability state, such as undesired, on every schedule date of the chosen days of the week.
+function applyAvailabilityPattern() {
+    const days = $("#availabilityPatternDays").val();
+    const state = $("#availabilityPatternState").val();
+    const matches = date => {
+        const dayOfWeek = date.dayOfWeek().value();
+        switch (days) {
+            case "all":
+                return true;
+            case "weekdays":
+                return dayOfWeek <= 5;
+            case "weekends":
+                return dayOfWeek > 5;
+            default:
+                return dayOfWeek === Number(days);
         }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
+    };
+    for (let date = scheduleStartDate; date.isBefore(scheduleEndDate); date = date.plusDays(1)) {
+        if (!matches(date)) {
+            continue;
+        }
+        if (state === "") {
+            availability.dates.delete(date.toString());
+        } else {
+            availability.dates.set(date.toString(), state);
         }
     }
+    renderAvailabilityCalendar();
 }
 
-function stopSolving() {
-    $.delete(`/schedules/${scheduleId}`, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
+function saveAvailability() {
+    const edited = availability;
+    const getDates = state => [...edited.dates.keys()].filter(date => edited.dates.get(date) === state).sort();
+    const applied = solverClient.applyChange(schedule => {
+        const employee = schedule.employees.find(employee => employee.name === edited.employeeName);
+        employee.unavailableDates = getDates("unavailable");
+        employee.undesiredDates = getDates("undesired");
+        employee.desiredDates = getDates("desired");
+        refreshShiftEmployees(schedule, employee);
+    }, "availability");
+    // While solving, the dialog stays open with the edits, so they can be saved once solving stops.
+    if (applied) {
+        bootstrap.Modal.getInstance("#availabilityModal").hide();
+    }
+}
+
+// Selects the shifts of the sick employee in the first best solution that has the sick days.
+function highlightReassignedShifts(schedule) {
+    if (sickLeave === null) {
+        return;
+    }
+    const employee = schedule.employees.find(employee => employee.name === sickLeave.employeeName);
+    if (employee == null || !sickLeave.sickDates.every(date => employee.unavailableDates.includes(date))) {
+        return; // The solver has not processed the problem change yet.
+    }
+    highlightShifts(sickLeave.shiftIds);
+    sickLeave = null;
+}
+
+function describeShifts(schedule) {
+    return schedule.shifts.map(shift => ({
+        id: shift.id,
+        name: `${shift.location} ${shift.start.replace("T", " ")}`,
+        assignment: shift.employee == null ? null : shift.employee.name
+    }));
+}
+
+function highlightMatch(justification) {
+    highlightShifts(getJustificationFacts(justification, "requiredSkill").map(shift => shift.id));
+}
+
+function highlightShifts(shiftIds) {
+    // The timeline items of the shifts are keyed by their index in the schedule.
+    const itemIds = [];
+    $.each(loadedSchedule.shifts, (index, shift) => {
+        if (shiftIds.includes(shift.id)) {
+            itemIds.push('shift-' + index);
+        }
     });
+    byEmployeeTimeline.setSelection(itemIds, {focus: itemIds.length > 0});
+    byLocationTimeline.setSelection(itemIds, {focus: itemIds.length > 0});
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
+function getShiftEvents(schedule, employeeName) {
+    return schedule.shifts
+        .filter(shift => shift.employee != null && shift.employee.name === employeeName)
+        .map(shift => ({
+            uid: `shift-${shift.id}@employee-scheduling`,
+            start: shift.start,
+            end: shift.end,
+            summary: `${shift.requiredSkill} shift at ${shift.location}`,
+            location: shift.location,
+            description: `Required skill: ${shift.requiredSkill}`,
+        }));
+}
 
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
+function downloadShiftCalendar(employeeName) {
+    downloadCalendar(employeeName, getShiftEvents(loadedSchedule, employeeName));
+}
+
+function downloadAllShiftCalendars() {
+    if (loadedSchedule == null) {
+        return;
     }
+    downloadCalendars("shifts.zip", loadedSchedule.employees
+        .map(employee => ({name: employee.name, events: getShiftEvents(loadedSchedule, employee.name)})));
+}
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
-}
\ No newline at end of file
+// The employees and shifts as tables of a CSV file, see csv.js.
+function createCsvFormat() {
+    return {
+        tables: [
+            {
+                name: "Employees",
+                id: "name",
+                rows: schedule => schedule.employees,
+                columns: [
+                    {field: "name"},
+                    {field: "skills", list: true},
+                    {field: "unavailableDates", type: "date", list: true},
+                    {field: "undesiredDates", type: "date", list: true},
+                    {field: "desiredDates", type: "date", list: true},
+                ]
+            },
+            {
+                name: "Shifts",
+                id: "id",
+                rows: schedule => schedule.shifts,
+                columns: [
+                    {field: "id"},
+                    {field: "start", type: "datetime"},
+                    {field: "end", type: "datetime"},
+                    {field: "location"},
+                    {field: "requiredSkill"},
+                    {field: "employee", ref: "Employees", embed: true, optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => ({employees: tables.Employees, shifts: tables.Shifts}),
+    };
+}
@@ -5,13 +5,20 @@ import static io.restassured.RestAssured.given;
 import static org.awaitility.Awaitility.await;
 import static org.junit.jupiter.api.Assertions.assertEquals;
 import static org.junit.jupiter.api.Assertions.assertFalse;
+import static org.junit.jupiter.api.Assertions.assertNotEquals;
 import static org.junit.jupiter.api.Assertions.assertNotNull;
 import static org.junit.jupiter.api.Assertions.assertTrue;
 
 import java.time.Duration;
+import java.time.LocalDate;
+import java.util.List;
+import java.util.Map;
+import java.util.Optional;
 
+import ai.timefold.solver.core.api.score.buildin.hardsoftbigdecimal.HardSoftBigDecimalScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import org.acme.employeescheduling.domain.Employee;
 import org.acme.employeescheduling.domain.EmployeeSchedule;
 import org.acme.employeescheduling.domain.Shift;
 import org.junit.jupiter.api.Test;
@@ -19,6 +26,8 @@ import org.junit.jupiter.api.Timeout;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
+import io.restassured.response.ValidatableResponse;
 
 @QuarkusTest
 class EmployeeScheduleResourceTest {
@@ -61,4 +70,265 @@ class EmployeeScheduleResourceTest {
         }
         assertTrue(solution.getScore().isFeasible());
     }
+
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        EmployeeSchedule testSchedule = getDemoData();
+        String jobId = solve(testSchedule, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertTrue(events.stream().anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\"")));
+        assertTrue(events.get(events.size() - 1).contains("\"solverStatus\":\"NOT_SOLVING\""));
+
+        // Once solving has ended, the stream sends the final status and closes
+        List<String> eventsAfterSolving = getEvents(jobId);
+        assertEquals(1, eventsAfterSolving.size());
+        assertTrue(eventsAfterSolving.get(0).contains("\"solverStatus\":\"NOT_SOLVING\""));
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        EmployeeSchedule testSchedule = getDemoData();
+        String jobId = solve(testSchedule);
+        assertTrue(getJobIds().contains(jobId));
+
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertFalse(getJobIds().contains(jobId));
+        given()
+                .when().get("/schedules/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?employeeCount=12&daysInSchedule=3&locationCount=2&randomSeed=7";
+        EmployeeSchedule schedule = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(EmployeeSchedule.class);
+        assertEquals(12, schedule.getEmployees().size());
+        assertEquals(3, schedule.getShifts().stream().map(shift -> shift.getStart().toLocalDate()).distinct().count());
+        assertEquals(2, schedule.getShifts().stream().map(Shift::getLocation).distinct().count());
+
+        // The same seed generates the same data, another seed other data
+        assertEquals(get(generateUrl).asString(), get(generateUrl).asString());
+        assertNotEquals(get(generateUrl).asString(), get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?employeeCount=101")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertTrue(message.contains("employees"));
+
+        // The shifts are spread over the 5 shift times of the 2 locations on each of the 3 days
+        EmployeeSchedule scheduleWithShiftCount = get(generateUrl + "&shiftCount=40").then()
+                .statusCode(200)
+                .extract()
+                .as(EmployeeSchedule.class);
+        assertEquals(40, scheduleWithShiftCount.getShifts().size());
+        assertEquals(15, scheduleWithShiftCount.getShifts().stream()
+                .map(shift -> shift.getLocation() + shift.getStart()).distinct().count());
+        assertEquals(400, get("/demo-data/generate?shiftCount=0").statusCode());
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        EmployeeSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        EmployeeSchedule solution = get("/schedules/" + jobId).then().extract().as(EmployeeSchedule.class);
+        String constraint = "constraints.find { it.name == 'Undesired day for employee' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        HardSoftBigDecimalScore defaultWeight =
+                HardSoftBigDecimalScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        HardSoftBigDecimalScore defaultConstraintScore =
+                HardSoftBigDecimalScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        HardSoftBigDecimalScore defaultScore = HardSoftBigDecimalScore.parseScore(defaultAnalysis.getString("score"));
+
+        HardSoftBigDecimalScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("Undesired day for employee", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertEquals(0, HardSoftBigDecimalScore.parseScore(analysis.getString(constraint + ".weight"))
+                .compareTo(doubledWeight));
+        assertEquals(0, HardSoftBigDecimalScore.parseScore(analysis.getString(constraint + ".score"))
+                .compareTo(defaultConstraintScore.add(defaultConstraintScore)));
+        assertEquals(0, HardSoftBigDecimalScore.parseScore(analysis.getString("score"))
+                .compareTo(defaultScore.add(defaultConstraintScore)));
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        EmployeeSchedule testSchedule = getDemoData();
+        String jobId = solve(testSchedule, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(testSchedule)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertTrue(message.contains("spent limit"));
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        EmployeeSchedule testSchedule = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertTrue(solveWithInvalidRunOptions(testSchedule, Map.of("bestScoreLimit", "abc")).contains("best score limit"));
+        assertTrue(solveWithInvalidRunOptions(testSchedule, Map.of("bestScoreLimit", "0hard")).contains("best score limit"));
+        assertTrue(solveWithInvalidRunOptions(testSchedule, Map.of("moveThreadCount", "8")).contains("move thread count"));
+        // A rejected run leaves no job behind
+        assertEquals(jobIds, getJobIds());
+    }
+
+    @Test
+    void employeeCallsInSickWhileSolving() {
+        String jobId = solve(getDemoData());
+        awaitSolverStatus(jobId, SolverStatus.SOLVING_ACTIVE, Duration.ofMinutes(1));
+
+        // The employee who calls in sick, on a day that the best solution so far gives them a shift
+        Shift sickShift = await()
+                .atMost(Duration.ofMinutes(1))
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> get("/schedules/" + jobId).then().extract().as(EmployeeSchedule.class).getShifts().stream()
+                        .filter(shift -> shift.getEmployee() != null)
+                        .findFirst(), Optional::isPresent)
+                .orElseThrow();
+        String sickEmployeeName = sickShift.getEmployee().getName();
+        LocalDate sickDate = sickShift.getStart().toLocalDate();
+
+        callInSick(jobId, sickEmployeeName, sickDate).statusCode(202);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+
+        EmployeeSchedule solution = get("/schedules/" + jobId).then().extract().as(EmployeeSchedule.class);
+        Employee sickEmployee = solution.getEmployees().stream()
+                .filter(employee -> employee.getName().equals(sickEmployeeName))
+                .findFirst()
+                .orElseThrow();
+        assertTrue(sickEmployee.getUnavailableDates().contains(sickDate));
+        // The shifts of that day went to other employees
+        assertTrue(solution.getShifts().stream()
+                .noneMatch(shift -> sickEmployee.equals(shift.getEmployee()) && shift.isOverlappingWithDate(sickDate)));
+
+        // Only a job that is solving takes the change
+        callInSick(jobId, sickEmployeeName, sickDate).statusCode(409);
+    }
+
+    private static EmployeeSchedule getDemoData() {
+        return given()
+                .when().get("/demo-data/SMALL")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(EmployeeSchedule.class);
+    }
+
+    private static String solve(EmployeeSchedule problem) {
+        return solve(problem, Map.of());
+    }
+
+    private static String solve(EmployeeSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/schedules")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(EmployeeSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static ValidatableResponse callInSick(String jobId, String employeeName, LocalDate startDate) {
+        return given()
+                .queryParam("employee", employeeName)
+                .queryParam("startDate", startDate.toString())
+                .when().post("/schedules/" + jobId + "/sick-leave")
+                .then();
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/schedules/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/schedules/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/schedules/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/schedules").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(EmployeeSchedule solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/schedules/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
 }
@@ -1,7 +1,10 @@
 package org.acme.flighcrewscheduling.domain;
 
+import java.util.LinkedHashMap;
 import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.domain.solution.ConstraintWeightOverrides;
 import ai.timefold.solver.core.api.domain.solution.PlanningEntityCollectionProperty;
 import ai.timefold.solver.core.api.domain.solution.PlanningScore;
 import ai.timefold.solver.core.api.domain.solution.PlanningSolution;
@@ -10,6 +13,8 @@ import ai.timefold.solver.core.api.domain.valuerange.ValueRangeProvider;
 import ai.timefold.solver.core.api.score.buildin.hardsoftlong.HardSoftLongScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import com.fasterxml.jackson.annotation.JsonIgnore;
+
 @PlanningSolution
 public class FlightCrewSchedule {
 
@@ -32,6 +37,10 @@ public class FlightCrewSchedule {
     // Ignored by Timefold, used by the UI to display solve or stop solving button
     private SolverStatus solverStatus;
 
+    // Replaces the weights of the constraint provider, to tune or disable constraints without code changes.
+    @JsonIgnore
+    private ConstraintWeightOverrides<HardSoftLongScore> constraintWeightOverrides = ConstraintWeightOverrides.none();
+
     public FlightCrewSchedule() {
     }
 
@@ -91,4 +100,28 @@ public class FlightCrewSchedule {
     public void setSolverStatus(SolverStatus solverStatus) {
         this.solverStatus = solverStatus;
     }
+
+    public ConstraintWeightOverrides<HardSoftLongScore> getConstraintWeightOverrides() {
+        return constraintWeightOverrides;
+    }
+
+    public void setConstraintWeightOverrides(ConstraintWeightOverrides<HardSoftLongScore> constraintWeightOverrides) {
+        this.constraintWeightOverrides = constraintWeightOverrides;
+    }
+
+    // The overrides as JSON: the weight of each overridden constraint by name, such as "0hard/5soft".
+    public Map<String, String> getConstraintWeights() {
+        Map<String, String> constraintWeights = new LinkedHashMap<>();
+        for (String constraintName : constraintWeightOverrides.getKnownConstraintNames()) {
+            constraintWeights.put(constraintName, constraintWeightOverrides.getConstraintWeight(constraintName).toString());
+        }
+        return constraintWeights;
+    }
+
+    public void setConstraintWeights(Map<String, String> constraintWeights) {
+        Map<String, HardSoftLongScore> overrides = new LinkedHashMap<>();
+        constraintWeights.forEach((constraintName, weight) ->
+                overrides.put(constraintName, HardSoftLongScore.parseScore(weight)));
+        this.constraintWeightOverrides = ConstraintWeightOverrides.of(overrides);
+    }
 }
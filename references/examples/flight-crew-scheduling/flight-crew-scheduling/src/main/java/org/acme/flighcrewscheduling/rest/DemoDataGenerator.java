@@ -38,8 +38,39 @@ public class DemoDataGenerator {
     private static final String ATTENDANT_SKILL = "Flight attendant";
     private static final String PILOT_SKILL = "Pilot";
 
+    private static final int MAX_FLIGHT_COUNT = 500;
+    private static final int MAX_DAY_COUNT = 30;
+    private static final int MAX_CREW_TEAMS_PER_AIRPORT = 10;
+    private static final DemoDataParameters DEFAULT_PARAMETERS = new DemoDataParameters(14, 5, 2, 0);
+
+    /**
+     * The size of a generated schedule. The flights are round trips from two home airports,
+     * and each crew team has two pilots and two or three flight attendants.
+     */
+    public record DemoDataParameters(int flightCount, int dayCount, int crewTeamsPerAirport, int randomSeed) {
+
+        public DemoDataParameters {
+            if (flightCount < 2 || flightCount > MAX_FLIGHT_COUNT || flightCount % 2 != 0) {
+                throw new IllegalArgumentException("The number of flights (%d) must be even and between 2 and %d."
+                        .formatted(flightCount, MAX_FLIGHT_COUNT));
+            }
+            if (dayCount < 1 || dayCount > MAX_DAY_COUNT) {
+                throw new IllegalArgumentException("The number of days (%d) must be between 1 and %d."
+                        .formatted(dayCount, MAX_DAY_COUNT));
+            }
+            if (crewTeamsPerAirport < 1 || crewTeamsPerAirport > MAX_CREW_TEAMS_PER_AIRPORT) {
+                throw new IllegalArgumentException("The number of crew teams per airport (%d) must be between 1 and %d."
+                        .formatted(crewTeamsPerAirport, MAX_CREW_TEAMS_PER_AIRPORT));
+            }
+        }
+    }
+
     public FlightCrewSchedule generateDemoData() {
-        Random random = new Random(0);
+        return generateDemoData(DEFAULT_PARAMETERS);
+    }
+
+    public FlightCrewSchedule generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
         FlightCrewSchedule schedule = new FlightCrewSchedule();
         // Airports
         List<Airport> airports = List.of(
@@ -83,7 +114,7 @@ public class DemoDataGenerator {
 
         // Flights
         LocalDate firstDate = LocalDate.now();
-        int countDays = 5;
+        int countDays = parameters.dayCount();
         List<LocalDate> dates = new ArrayList<>(countDays);
         dates.add(firstDate);
         for (int i = 1; i < countDays; i++) {
@@ -95,7 +126,7 @@ public class DemoDataGenerator {
         List<LocalTime> times = IntStream.range(0, 23)
                 .mapToObj(i -> LocalTime.of(i, 0))
                 .toList();
-        int countFlights = 14;
+        int countFlights = parameters.flightCount();
         List<Flight> flights =
                 generateFlights(countFlights, LocalDateTime.now().plusMinutes(1), airports, homeAirports, dates, times,
                         distances, random);
@@ -104,7 +135,7 @@ public class DemoDataGenerator {
         List<FlightAssignment> flightAssignments = generateFlightAssignments(flights);
 
         // Employees
-        List<Employee> employees = generateEmployees(flights, dates, random);
+        List<Employee> employees = generateEmployees(flights, dates, parameters.crewTeamsPerAirport(), random);
 
         // Update problem facts
         schedule.setAirports(airports);
@@ -115,7 +146,8 @@ public class DemoDataGenerator {
         return schedule;
     }
 
-    private List<Employee> generateEmployees(List<Flight> flights, List<LocalDate> dates, Random random) {
+    private List<Employee> generateEmployees(List<Flight> flights, List<LocalDate> dates, int crewTeamsPerAirport,
+                                             Random random) {
         Supplier<String> nameSupplier = () -> {
             Function<String[], String> randomStringSelector = strings -> strings[random.nextInt(strings.length)];
             String firstName = randomStringSelector.apply(FIRST_NAMES);
@@ -129,11 +161,10 @@ public class DemoDataGenerator {
                 .toList();
 
         // two pilots and three attendants per airport
-        List<Employee> employees = new ArrayList<>(flightAirports.size() * 5);
+        List<Employee> employees = new ArrayList<>(flightAirports.size() * crewTeamsPerAirport * 5);
 
         AtomicInteger count = new AtomicInteger();
-        // Two teams per airport
-        flightAirports.forEach(airport -> IntStream.range(0, 2).forEach(i -> {
+        flightAirports.forEach(airport -> IntStream.range(0, crewTeamsPerAirport).forEach(i -> {
             employees.add(new Employee(String.valueOf(count.incrementAndGet()), nameSupplier.get(), airport, List.of(PILOT_SKILL)));
             employees.add(new Employee(String.valueOf(count.incrementAndGet()), nameSupplier.get(), airport, List.of(PILOT_SKILL)));
             employees.add(
@@ -1,4 +1,3 @@
-let autoRefreshIntervalId = null;
 const formatter = JSJoda.DateTimeFormatter.ofPattern("MM/dd/YYYY HH:mm").withLocale(JSJodaLocale.Locale.ENGLISH);
 
 const zoomMin = 1000 * 60 * 60 * 8 // 2 hours in milliseconds
@@ -22,29 +21,113 @@ const byFlightPanel = document.getElementById("byFlightPanel");
 let byFlightGroupData = new vis.DataSet();
 let byFlightItemData = new vis.DataSet();
 let byFlightTimeline = new vis.Timeline(byFlightPanel, byFlightItemData, byFlightGroupData, byTimelineOptions);
+trackTimelineWindow(byCrewTimeline);
+trackTimelineWindow(byFlightTimeline);
+// The flight times are fixed, so a flight can only be moved to another crew member.
+byCrewTimeline.setOptions({
+    editable: {updateTime: false, updateGroup: true, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => {
+            schedule.flightAssignments.find(assignment => assignment.id === item.id).employee = item.group;
+        }, "move");
+    },
+});
+bindCalendarDownloads(byCrewTimeline, downloadCrewCalendar);
 
 let scheduleId = null;
 let loadedSchedule = null;
 let viewType = "R";
 
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeFlightAssignments,
+    highlightEntities: highlightFlightAssignments,
+    csvFormat: createCsvFormat(),
+});
+
 $(document).ready(function () {
 
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
+    });
+    $("#exportCalendarsButton").click(function () {
+        downloadAllCrewCalendars();
     });
     $("#byCrewTab").click(function () {
         viewType = "R";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byFlightTab").click(function () {
         viewType = "F";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     // HACK to allow vis-timeline to work within Bootstrap tabs
     $("#byCrewTab").on('shown.bs.tab', function (event) {
@@ -54,52 +137,13 @@ $(document).ready(function () {
         byFlightTimeline.redraw();
     })
 
+    viewType = bindViewTabs({R: "byCrewTab", F: "byFlightTab"}, viewType);
+
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedSchedule));
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
     $("#info").text(`This dataset has ${schedule.employees.length} employees which need to be assigned ${schedule.flightAssignments.length} tasks on ${schedule.flights.length} flights.`);
 
     if (viewType === "R") {
@@ -125,7 +169,7 @@ function renderScheduleByCrew(schedule) {
 
     $.each(schedule.employees.sort((e1, e2) => e1.name.localeCompare(e2.name)), (_, employee) => {
         const crewIcon = getCrewIcon(employee);
-        let content = `<div class="d-flex flex-column"><div><h5 class="card-title mb-1">${employee.name} (${employee.homeAirport}) ${crewIcon}</h5></div>`;
+        let content = `<div class="d-flex flex-column"><div><h5 class="card-title mb-1">${employee.name} (${employee.homeAirport}) ${crewIcon}${getCalendarDownloadButton().prop("outerHTML")}</h5></div>`;
 
         byCrewGroupData.add({
             id: employee.id,
@@ -143,6 +187,7 @@ function renderScheduleByCrew(schedule) {
                     content: $(`<div />`).html(),
                     start: unavailableDatetime.atStartOfDay().toString(),
                     end: unavailableDatetime.atStartOfDay().withHour(23).withMinute(59).toString(),
+                    editable: false,
                     style: "background-color: gray; min-height: 50px"
                 });
             });
@@ -190,7 +235,7 @@ function renderScheduleByCrew(schedule) {
                 .append($(`<span/>`).text("All crew members have been assigned!")));
         unassignedCrew.append(banner);
     }
-    byCrewTimeline.setWindow(JSJoda.LocalDateTime.now().minusMinutes(1).toString(),
+    setTimelineWindow(byCrewTimeline, JSJoda.LocalDateTime.now().minusMinutes(1).toString(),
         JSJoda.LocalDateTime.now().plusDays(4).withHour(23).withMinute(59).toString());
     byCrewTimeline.redraw();
 }
@@ -258,167 +303,132 @@ function renderScheduleByFlight(schedule) {
         }
     });
 
-    byFlightTimeline.setWindow(JSJoda.LocalDateTime.now().minusMinutes(1).toString(),
+    setTimelineWindow(byFlightTimeline, JSJoda.LocalDateTime.now().minusMinutes(1).toString(),
         JSJoda.LocalDateTime.now().plusDays(4).withHour(23).withMinute(59).toString());
     byFlightTimeline.redraw();
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
+function describeFlightAssignments(schedule) {
+    return schedule.flightAssignments.map(assignment => {
+        const employee = schedule.employees.find(employee => employee.id === assignment.employee);
+        return {
+            id: assignment.id,
+            name: `${assignment.flight} ${assignment.requiredSkill}`,
+            assignment: employee == null ? null : employee.name
+        };
+    });
 }
 
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
-    }
+function highlightMatch(justification) {
+    const assignments = getJustificationFacts(justification, "indexInFlight");
+    const assignmentIds = assignments.map(assignment => assignment.id);
+    // A flight is serialized as its flight number once it already appeared earlier in the score analysis.
+    const flightNumbers = assignments.map(assignment => typeof assignment.flight === "object" ? assignment.flight.flightNumber : assignment.flight);
+    highlightTimelines(assignmentIds, flightNumbers);
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[2]] = parseInt(parts[1], 10);
-    });
-
-    return components;
+function highlightFlightAssignments(assignmentIds) {
+    const flightNumbers = loadedSchedule.flightAssignments
+        .filter(assignment => assignmentIds.includes(assignment.id))
+        .map(assignment => assignment.flight);
+    highlightTimelines(assignmentIds, [...new Set(flightNumbers)]);
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
-    }
+function highlightTimelines(assignmentIds, flightNumbers) {
+    byCrewTimeline.setSelection(assignmentIds, {focus: assignmentIds.length > 0});
+    byFlightTimeline.setSelection(flightNumbers, {focus: flightNumbers.length > 0});
 }
 
-function stopSolving() {
-    $.delete("/schedules/" + scheduleId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
-    });
+function getCrewEvents(schedule, employeeId) {
+    const airportMap = new Map(schedule.airports.map(airport => [airport.code, airport]));
+    const flightMap = new Map(schedule.flights.map(flight => [flight.flightNumber, flight]));
+    return schedule.flightAssignments
+        .filter(assignment => assignment.employee === employeeId)
+        .map(assignment => {
+            const flight = flightMap.get(assignment.flight);
+            const departureAirport = airportMap.get(flight.departureAirport);
+            return {
+                uid: `flight-assignment-${assignment.id}@flight-crew-scheduling`,
+                start: flight.departureUTCDateTime,
+                end: flight.arrivalUTCDateTime,
+                utc: true,
+                summary: `Flight ${flight.flightNumber} ${flight.departureAirport} → ${flight.arrivalAirport}`,
+                location: departureAirport ? `${departureAirport.name} (${departureAirport.code})` : flight.departureAirport,
+                description: `Role: ${assignment.requiredSkill}`,
+            };
+        });
 }
 
-function copyTextToClipboard(id) {
-    var text = $("#" + id).text().trim();
-
-    var dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
+function downloadCrewCalendar(employeeId) {
+    const employee = loadedSchedule.employees.find(employee => employee.id === employeeId);
+    downloadCalendar(employee.name, getCrewEvents(loadedSchedule, employeeId));
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
-
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
+function downloadAllCrewCalendars() {
+    if (loadedSchedule == null) {
+        return;
     }
+    downloadCalendars("crew.zip", loadedSchedule.employees
+        .map(employee => ({name: employee.name, events: getCrewEvents(loadedSchedule, employee.id)})));
+}
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
+// The airports, crew, flights and their assignments as tables of a CSV file, see csv.js.
+function createCsvFormat() {
+    return {
+        tables: [
+            {
+                name: "Airports",
+                id: "code",
+                rows: schedule => schedule.airports,
+                columns: [
+                    {field: "code"},
+                    {field: "name"},
+                    {field: "latitude", type: "number"},
+                    {field: "longitude", type: "number"},
+                ]
+            },
+            {
+                name: "Employees",
+                id: "id",
+                rows: schedule => schedule.employees,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "homeAirport", ref: "Airports"},
+                    {field: "skills", list: true},
+                    {field: "unavailableDays", type: "date", list: true},
+                ]
+            },
+            {
+                name: "Flights",
+                id: "flightNumber",
+                rows: schedule => schedule.flights,
+                columns: [
+                    {field: "flightNumber"},
+                    {field: "departureAirport", ref: "Airports"},
+                    {field: "departureUTCDateTime", type: "datetime"},
+                    {field: "arrivalAirport", ref: "Airports"},
+                    {field: "arrivalUTCDateTime", type: "datetime"},
+                ]
+            },
+            {
+                name: "FlightAssignments",
+                id: "id",
+                rows: schedule => schedule.flightAssignments,
+                columns: [
+                    {field: "id"},
+                    {field: "flight", ref: "Flights"},
+                    {field: "indexInFlight", type: "int"},
+                    {field: "requiredSkill"},
+                    {field: "employee", ref: "Employees", optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => ({
+            airports: tables.Airports,
+            employees: tables.Employees,
+            flights: tables.Flights,
+            flightAssignments: tables.FlightAssignments,
+        }),
+    };
 }
@@ -6,7 +6,10 @@ import static org.assertj.core.api.Assertions.assertThat;
 import static org.awaitility.Awaitility.await;
 
 import java.time.Duration;
+import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.score.buildin.hardsoftlong.HardSoftLongScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
 import org.acme.flighcrewscheduling.domain.FlightCrewSchedule;
@@ -14,6 +17,7 @@ import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
 
 @QuarkusTest
 class FlightCrewSchedulingResourceTest {
@@ -105,4 +109,212 @@ class FlightCrewSchedulingResourceTest {
         assertThat(analysis2).isNotNull();
     }
 
-}
\ No newline at end of file
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        FlightCrewSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertThat(events).anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\""));
+        assertThat(events.get(events.size() - 1)).contains("\"solverStatus\":\"NOT_SOLVING\"");
+
+        // Once solving has ended, the stream sends the final status and closes
+        assertThat(getEvents(jobId)).singleElement().asString().contains("\"solverStatus\":\"NOT_SOLVING\"");
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        FlightCrewSchedule schedule = getDemoData();
+        // A best score limit that no solution reaches, so that solving lasts until it is stopped
+        String jobId = solve(schedule, Map.of("bestScoreLimit", "1hard/*soft"));
+        assertThat(getJobIds()).contains(jobId);
+
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertThat(getJobIds()).doesNotContain(jobId);
+        given()
+                .when().get("/schedules/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?flightCount=20&dayCount=3&crewTeamsPerAirport=3&randomSeed=7";
+        FlightCrewSchedule schedule = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(FlightCrewSchedule.class);
+        assertThat(schedule.getFlights()).hasSize(20);
+        long departureAirportCount = schedule.getFlights().stream()
+                .map(flight -> flight.getDepartureAirport().getCode())
+                .distinct()
+                .count();
+        // 3 teams of 2 pilots and 2 or 3 flight attendants per airport
+        assertThat(schedule.getEmployees()).hasSizeBetween((int) departureAirportCount * 12, (int) departureAirportCount * 15);
+
+        // The same seed generates the same data, another seed other data
+        assertThat(get(generateUrl).asString()).isEqualTo(get(generateUrl).asString());
+        assertThat(get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString()).isNotEqualTo(get(generateUrl).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?flightCount=15")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("even");
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        FlightCrewSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        FlightCrewSchedule solution = get("/schedules/" + jobId).then().extract().as(FlightCrewSchedule.class);
+        String constraint = "constraints.find { it.name == 'First assignment not departing from home' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        HardSoftLongScore defaultWeight =
+                HardSoftLongScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        HardSoftLongScore defaultConstraintScore =
+                HardSoftLongScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        HardSoftLongScore defaultScore = HardSoftLongScore.parseScore(defaultAnalysis.getString("score"));
+
+        HardSoftLongScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("First assignment not departing from home", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertThat(HardSoftLongScore.parseScore(analysis.getString(constraint + ".weight"))
+                .compareTo(doubledWeight)).isZero();
+        assertThat(HardSoftLongScore.parseScore(analysis.getString(constraint + ".score"))
+                .compareTo(defaultConstraintScore.add(defaultConstraintScore))).isZero();
+        assertThat(HardSoftLongScore.parseScore(analysis.getString("score"))
+                .compareTo(defaultScore.add(defaultConstraintScore))).isZero();
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        FlightCrewSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(schedule)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("spent limit");
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        FlightCrewSchedule schedule = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "abc"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "0hard"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("moveThreadCount", "8"))).contains("move thread count");
+        // A rejected run leaves no job behind
+        assertThat(getJobIds()).isEqualTo(jobIds);
+    }
+
+    private static FlightCrewSchedule getDemoData() {
+        return given()
+                .when().get("/demo-data")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(FlightCrewSchedule.class);
+    }
+
+    private static String solve(FlightCrewSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/schedules")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(FlightCrewSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/schedules/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/schedules/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/schedules/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/schedules").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(FlightCrewSchedule solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/schedules/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
+}
@@ -1,8 +1,11 @@
 package org.acme.meetingschedule.domain;
 
+import java.util.LinkedHashMap;
 import java.util.List;
+import java.util.Map;
 import java.util.stream.Stream;
 
+import ai.timefold.solver.core.api.domain.solution.ConstraintWeightOverrides;
 import ai.timefold.solver.core.api.domain.solution.PlanningEntityCollectionProperty;
 import ai.timefold.solver.core.api.domain.solution.PlanningScore;
 import ai.timefold.solver.core.api.domain.solution.PlanningSolution;
@@ -39,6 +42,10 @@ public class MeetingSchedule {
 
     private SolverStatus solverStatus;
 
+    // Replaces the weights of the constraint provider, to tune or disable constraints without code changes.
+    @JsonIgnore
+    private ConstraintWeightOverrides<HardMediumSoftScore> constraintWeightOverrides = ConstraintWeightOverrides.none();
+
     public MeetingSchedule() {
     }
 
@@ -125,4 +132,28 @@ public class MeetingSchedule {
     public void setSolverStatus(SolverStatus solverStatus) {
         this.solverStatus = solverStatus;
     }
+
+    public ConstraintWeightOverrides<HardMediumSoftScore> getConstraintWeightOverrides() {
+        return constraintWeightOverrides;
+    }
+
+    public void setConstraintWeightOverrides(ConstraintWeightOverrides<HardMediumSoftScore> constraintWeightOverrides) {
+        this.constraintWeightOverrides = constraintWeightOverrides;
+    }
+
+    // The overrides as JSON: the weight of each overridden constraint by name, such as "0hard/5soft".
+    public Map<String, String> getConstraintWeights() {
+        Map<String, String> constraintWeights = new LinkedHashMap<>();
+        for (String constraintName : constraintWeightOverrides.getKnownConstraintNames()) {
+            constraintWeights.put(constraintName, constraintWeightOverrides.getConstraintWeight(constraintName).toString());
+        }
+        return constraintWeights;
+    }
+
+    public void setConstraintWeights(Map<String, String> constraintWeights) {
+        Map<String, HardMediumSoftScore> overrides = new LinkedHashMap<>();
+        constraintWeights.forEach((constraintName, weight) ->
+                overrides.put(constraintName, HardMediumSoftScore.parseScore(weight)));
+        this.constraintWeightOverrides = ConstraintWeightOverrides.of(overrides);
+    }
 }
@@ -33,21 +33,78 @@ public class DemoDataGenerator {
             {"Cole", "Fox", "Green", "Jones", "King", "Li", "Poe", "Rye", "Smith", "Watt", "Howe", "Lowe", "Wise", "Clay",
                     "Carr", "Hood", "Long", "Horn", "Haas", "Meza"};
 
+    // The demo meetings, which are numbered when there are more meetings.
+    private static final List<String> MEETING_TOPICS = List.of(
+            "Strategize B2B",
+            "Fast track e-business",
+            "Cross sell virtualization",
+            "Profitize multitasking",
+            "Transform one stop shop",
+            "Engage braindumps",
+            "Downsize data mining",
+            "Ramp up policies",
+            "On board synergies",
+            "Reinvigorate user experience",
+            "Strategize e-business",
+            "Fast track virtualization",
+            "Cross sell multitasking",
+            "Profitize one stop shop",
+            "Transform braindumps",
+            "Engage data mining",
+            "Downsize policies",
+            "Ramp up synergies",
+            "On board user experience",
+            "Reinvigorate B2B",
+            "Strategize virtualization",
+            "Fast track multitasking",
+            "Cross sell one stop shop",
+            "Reinvigorate multitasking");
+    private static final List<Integer> ROOM_CAPACITIES = List.of(30, 20, 16);
+    // The largest meeting has 10 required and 10 preferred attendees.
+    private static final int MIN_PERSON_COUNT = 20;
+    private static final int MAX_PERSON_COUNT = 500;
+    private static final int MAX_MEETING_COUNT = 500;
+    private static final int MAX_ROOM_COUNT = 20;
+    private static final int MAX_DAY_COUNT = 20;
+    private static final DemoDataParameters DEFAULT_PARAMETERS = new DemoDataParameters(20, 24, 3, 4, 0);
+
+    /**
+     * The size of a generated schedule. Each day has time grains of 15 minutes from 8:00 to 18:00.
+     */
+    public record DemoDataParameters(int personCount, int meetingCount, int roomCount, int dayCount, int randomSeed) {
+
+        public DemoDataParameters {
+            checkRange("people", personCount, MIN_PERSON_COUNT, MAX_PERSON_COUNT);
+            checkRange("meetings", meetingCount, 1, MAX_MEETING_COUNT);
+            checkRange("rooms", roomCount, 1, MAX_ROOM_COUNT);
+            checkRange("days", dayCount, 1, MAX_DAY_COUNT);
+        }
+
+        private static void checkRange(String name, int value, int min, int max) {
+            if (value < min || value > max) {
+                throw new IllegalArgumentException("The number of %s (%d) must be between %d and %d."
+                        .formatted(name, value, min, max));
+            }
+        }
+    }
+
     public MeetingSchedule generateDemoData() {
-        Random random = new Random(0);
+        return generateDemoData(DEFAULT_PARAMETERS);
+    }
+
+    public MeetingSchedule generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
         MeetingSchedule schedule = new MeetingSchedule();
         // People
-        int countPeople = 20;
-        List<Person> people = generatePeople(countPeople, random);
+        List<Person> people = generatePeople(parameters.personCount(), random);
         // Time grain
-        List<TimeGrain> timeGrains = generateTimeGrain();
+        List<TimeGrain> timeGrains = generateTimeGrain(parameters.dayCount());
         // Rooms
-        List<Room> rooms = List.of(
-                new Room("R1", "Room 1", 30),
-                new Room("R2", "Room 2", 20),
-                new Room("R3", "Room 3", 16));
+        List<Room> rooms = IntStream.range(0, parameters.roomCount())
+                .mapToObj(i -> new Room("R" + (i + 1), "Room " + (i + 1), ROOM_CAPACITIES.get(i % ROOM_CAPACITIES.size())))
+                .toList();
         // Meetings
-        List<Meeting> meetings = generateMeetings(people, random);
+        List<Meeting> meetings = generateMeetings(parameters.meetingCount(), people, random);
         // Meeting assignments
         List<MeetingAssignment> meetingAssignments = generateMeetingAssignments(meetings);
         // Update schedule
@@ -76,11 +133,11 @@ public class DemoDataGenerator {
                 .toList();
     }
 
-    private List<TimeGrain> generateTimeGrain() {
+    private List<TimeGrain> generateTimeGrain(int countDays) {
         List<TimeGrain> timeGrains = new ArrayList<>();
         LocalDate currentDate = LocalDate.now().plusDays(1);
         int count = 0;
-        while (currentDate.isBefore(LocalDate.now().plusDays(5))) {
+        while (currentDate.isBefore(LocalDate.now().plusDays(1 + countDays))) {
             LocalTime currentTime = LocalTime.of(8, 0);
             timeGrains.add(new TimeGrain(String.valueOf(++count), count,
                     LocalDateTime.of(currentDate, currentTime).getDayOfYear(),
@@ -96,33 +153,11 @@ public class DemoDataGenerator {
         return timeGrains;
     }
 
-    private List<Meeting> generateMeetings(List<Person> people, Random random) {
-        int count = 0;
-        List<Meeting> meetings = List.of(
-                new Meeting(String.valueOf(count++), "Strategize B2B"),
-                new Meeting(String.valueOf(count++), "Fast track e-business"),
-                new Meeting(String.valueOf(count++), "Cross sell virtualization"),
-                new Meeting(String.valueOf(count++), "Profitize multitasking"),
-                new Meeting(String.valueOf(count++), "Transform one stop shop"),
-                new Meeting(String.valueOf(count++), "Engage braindumps"),
-                new Meeting(String.valueOf(count++), "Downsize data mining"),
-                new Meeting(String.valueOf(count++), "Ramp up policies"),
-                new Meeting(String.valueOf(count++), "On board synergies"),
-                new Meeting(String.valueOf(count++), "Reinvigorate user experience"),
-                new Meeting(String.valueOf(count++), "Strategize e-business"),
-                new Meeting(String.valueOf(count++), "Fast track virtualization"),
-                new Meeting(String.valueOf(count++), "Cross sell multitasking"),
-                new Meeting(String.valueOf(count++), "Profitize one stop shop"),
-                new Meeting(String.valueOf(count++), "Transform braindumps"),
-                new Meeting(String.valueOf(count++), "Engage data mining"),
-                new Meeting(String.valueOf(count++), "Downsize policies"),
-                new Meeting(String.valueOf(count++), "Ramp up synergies"),
-                new Meeting(String.valueOf(count++), "On board user experience"),
-                new Meeting(String.valueOf(count++), "Reinvigorate B2B"),
-                new Meeting(String.valueOf(count++), "Strategize virtualization"),
-                new Meeting(String.valueOf(count++), "Fast track multitasking"),
-                new Meeting(String.valueOf(count++), "Cross sell one stop shop"),
-                new Meeting(String.valueOf(count), "Reinvigorate multitasking"));
+    private List<Meeting> generateMeetings(int countMeetings, List<Person> people, Random random) {
+        List<Meeting> meetings = IntStream.range(0, countMeetings)
+                .mapToObj(i -> new Meeting(String.valueOf(i), MEETING_TOPICS.get(i % MEETING_TOPICS.size())
+                        + (i < MEETING_TOPICS.size() ? "" : " " + (i / MEETING_TOPICS.size() + 1))))
+                .toList();
         // Duration
         List<Pair<Float, Integer>> durationGrainsCount = List.of(
                 new Pair<>(0.33f, 8),
@@ -0,0 +1,105 @@
+package org.acme.meetingschedule.rest;
+
+import java.time.Duration;
+import java.time.format.DateTimeParseException;
+import java.util.Set;
+import java.util.function.Function;
+
+import ai.timefold.solver.core.api.solver.SolverConfigOverride;
+import ai.timefold.solver.core.config.solver.SolverConfig;
+import ai.timefold.solver.core.config.solver.termination.TerminationConfig;
+
+/**
+ * The options of one solver run, which replace those of application.properties for that run only.
+ * An option that is null keeps the configured value.
+ *
+ * @param spentLimit how long to solve at most.
+ * @param unimprovedSpentLimit how long to solve at most without finding a better solution.
+ * @param bestScoreLimit the score to stop solving at, such as "0hard/*soft" to stop at the first feasible solution.
+ * @param moveThreadCount NONE, AUTO, 2 or 4. Other than NONE requires Timefold Solver Enterprise Edition.
+ */
+public record SolverRunOptions(Duration spentLimit, Duration unimprovedSpentLimit, String bestScoreLimit,
+        String moveThreadCount) {
+
+    // Every other move thread count needs its own solver manager, so only a few are allowed.
+    private static final Set<String> MOVE_THREAD_COUNTS =
+            Set.of(SolverConfig.MOVE_THREAD_COUNT_NONE, SolverConfig.MOVE_THREAD_COUNT_AUTO, "2", "4");
+
+    public SolverRunOptions {
+        checkPositive("spent limit", spentLimit);
+        checkPositive("unimproved spent limit", unimprovedSpentLimit);
+        if (moveThreadCount != null && !MOVE_THREAD_COUNTS.contains(moveThreadCount)) {
+            throw new IllegalArgumentException("The move thread count (%s) must be %s, %s, 2 or 4."
+                    .formatted(moveThreadCount, SolverConfig.MOVE_THREAD_COUNT_NONE, SolverConfig.MOVE_THREAD_COUNT_AUTO));
+        }
+    }
+
+    /**
+     * Reads the options of the query parameters of a solve request, where an empty parameter is the same as none.
+     *
+     * @param scoreParser parses a score of the solution's score type, such as {@code HardSoftScore::parseScore}
+     * @throws IllegalArgumentException if an option is invalid
+     */
+    public static SolverRunOptions parse(String spentLimit, String unimprovedSpentLimit, String bestScoreLimit,
+            String moveThreadCount, Function<String, ?> scoreParser) {
+        return new SolverRunOptions(parseDuration("spent limit", spentLimit),
+                parseDuration("unimproved spent limit", unimprovedSpentLimit),
+                parseBestScoreLimit(bestScoreLimit, scoreParser), emptyToNull(moveThreadCount));
+    }
+
+    /**
+     * @param configuredTermination the termination of application.properties, null if there is none
+     * @return the configured termination with the limits of these options
+     */
+    public <Solution_> SolverConfigOverride<Solution_> toConfigOverride(TerminationConfig configuredTermination) {
+        TerminationConfig termination = configuredTermination == null ? new TerminationConfig()
+                : configuredTermination.copyConfig();
+        if (spentLimit != null) {
+            termination.setSpentLimit(spentLimit);
+        }
+        if (unimprovedSpentLimit != null) {
+            termination.setUnimprovedSpentLimit(unimprovedSpentLimit);
+        }
+        if (bestScoreLimit != null) {
+            termination.setBestScoreLimit(bestScoreLimit);
+        }
+        return new SolverConfigOverride<Solution_>().withTerminationConfig(termination);
+    }
+
+    private static void checkPositive(String name, Duration duration) {
+        if (duration != null && (duration.isNegative() || duration.isZero())) {
+            throw new IllegalArgumentException("The %s (%s) must be longer than zero.".formatted(name, duration));
+        }
+    }
+
+    private static Duration parseDuration(String name, String text) {
+        if (text == null || text.isBlank()) {
+            return null;
+        }
+        try {
+            return Duration.parse(text);
+        } catch (DateTimeParseException e) {
+            throw new IllegalArgumentException("The %s (%s) must be an ISO-8601 duration, such as PT30S or PT2H."
+                    .formatted(name, text), e);
+        }
+    }
+
+    private static String parseBestScoreLimit(String text, Function<String, ?> scoreParser) {
+        String bestScoreLimit = emptyToNull(text);
+        if (bestScoreLimit == null) {
+            return null;
+        }
+        try {
+            scoreParser.apply(bestScoreLimit);
+        } catch (IllegalArgumentException e) {
+            throw new IllegalArgumentException("The best score limit (%s) is not a score of this problem. %s"
+                    .formatted(bestScoreLimit, e.getMessage()), e);
+        }
+        return bestScoreLimit;
+    }
+
+    private static String emptyToNull(String text) {
+        return text == null || text.isBlank() ? null : text.trim();
+    }
+
+}
@@ -1,4 +1,3 @@
-let autoRefreshIntervalId = null;
 const formatter = JSJoda.DateTimeFormatter.ofPattern("yyyy-MM-dd HH:mm:ss").withLocale(JSJodaLocale.Locale.ENGLISH);
 const startTime = formatter.format(JSJoda.LocalDateTime.now().withHour(20).withMinute(0).withSecond(0));
 const endTime = formatter.format(JSJoda.LocalDateTime.now().plusDays(1).withHour(8).withMinute(0).withSecond(0));
@@ -31,97 +30,152 @@ const byPersonPanel = document.getElementById("byPersonPanel");
 let byPersonGroupData = new vis.DataSet();
 let byPersonItemData = new vis.DataSet();
 let byPersonTimeline = new vis.Timeline(byPersonPanel, byPersonItemData, byPersonGroupData, byTimelineOptions);
+trackTimelineWindow(byRoomTimeline);
+trackTimelineWindow(byPersonTimeline);
+byRoomTimeline.setOptions({
+    editable: {updateTime: true, updateGroup: true, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => moveMeetingAssignment(schedule, item.assignment, item.start, item.group), "move");
+    },
+});
+// The attendees of a meeting are fixed, so a meeting can only be moved in time in the by person view.
+byPersonTimeline.setOptions({
+    editable: {updateTime: true, updateGroup: false, add: false, remove: false},
+    onMove: (item, callback) => {
+        callback(null); // The timeline is rendered again from the changed schedule.
+        solverClient.previewChange(schedule => moveMeetingAssignment(schedule, item.assignment, item.start, null), "move");
+    },
+});
+bindPinToggles(byRoomTimeline, byRoomItemData);
+bindPinToggles(byPersonTimeline, byPersonItemData);
+bindCalendarDownloads(byPersonTimeline, downloadPersonCalendar);
 
 let scheduleId = null;
 let loadedSchedule = null;
 let viewType = "R";
 
-// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
-const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
-const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
-let COLOR_MAP = new Map()
-    .set("R1", {bg: "#009E73", fg: "#FFFFFF"})
-    .set("R2", {bg: "#0072B2", fg: "#FFFFFF"})
-    .set("R3", {bg: "#E69F00", fg: "#FFFFFF"});
-let nextColorIndex = 0
-
-function pickColor(object) {
-    let color = COLOR_MAP.get(object);
-    if (color !== undefined) {
-        return color;
-    }
-    let index = nextColorIndex++;
-    color = {bg : BG_COLORS[index], fg: FG_COLORS[index]};
-    COLOR_MAP.set(object,color);
-    return color;
-}
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeMeetingAssignments,
+    highlightEntities: highlightMeetingAssignments,
+    csvFormat: createCsvFormat(),
+});
+
+resetColorMap([
+    ["R1", {bg: "#009E73", fg: "#FFFFFF"}],
+    ["R2", {bg: "#0072B2", fg: "#FFFFFF"}],
+    ["R3", {bg: "#E69F00", fg: "#FFFFFF"}],
+]);
 
 $(document).ready(function () {
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
+    });
+    $("#exportCalendarsButton").click(function () {
+        downloadAllPersonCalendars();
+    });
+    $("#pinButton").click(function () {
+        showPinModal();
+    });
+    $("#pinBeforeButton").click(function () {
+        const date = $("#pinBeforeDate").val();
+        if (date !== "") {
+            pinAssignments((schedule, assignment) => getStartDate(schedule, assignment).isBefore(JSJoda.LocalDate.parse(date)));
+        }
+    });
+    $("#pinRoomButton").click(function () {
+        const roomId = $("#pinRoomSelect").val();
+        pinAssignments((schedule, assignment) => assignment.room === roomId);
+    });
+    $("#unpinAllButton").click(function () {
+        bootstrap.Modal.getInstance("#pinModal").hide();
+        solverClient.applyChange(schedule => schedule.meetingAssignments.forEach(assignment => assignment.pinned = false), "unpin all");
     });
     $("#byRoomTab").click(function () {
         viewType = "R";
         byRoomTimeline.redraw();
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byPersonTab").click(function () {
         viewType = "P";
         byPersonTimeline.redraw();
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
+    viewType = bindViewTabs({R: "byRoomTab", P: "byPersonTab"}, viewType);
+
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedSchedule));
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
     $("#info").text(`This dataset has ${schedule.meetings.length} meetings which need to be assigned to ${schedule.people.length} people in ${schedule.rooms.length} rooms.`);
 
 
@@ -161,7 +215,7 @@ function renderScheduleByRoom(schedule) {
             unassigned.append($(`<div class="pl-1"/>`).append($(`<div class="card"/>`).append(unassignedElement)));
         } else {
             const color = pickColor(assignment.room);
-            const byRoomElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)));
+            const byRoomElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)).append(getPinToggle(assignment)));
             const timeGrain = timeGrainMap.get(assignment.startingTimeGrain);
             const startDate = JSJoda.LocalDate.now().withDayOfYear(timeGrain.dayOfYear);
             const startTime = JSJoda.LocalTime.of(0, 0, 0, 0)
@@ -170,11 +224,12 @@ function renderScheduleByRoom(schedule) {
             const endDateTime = startTime.plusMinutes(meet.durationInGrains * 15);
             byRoomItemData.add({
                 id: assignment.id,
+                assignment: assignment.id,
                 group: assignment.room,
                 content: byRoomElement.html(),
                 start: startDateTime.toString(),
                 end: endDateTime.toString(),
-                style: `min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
+                style: `${getPinnedStyle(assignment)}min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
             });
         }
     });
@@ -188,7 +243,7 @@ function renderScheduleByRoom(schedule) {
         unassigned.append(banner);
     }
 
-    byRoomTimeline.setWindow(JSJoda.LocalDateTime.now().plusDays(1).withHour(8).toString(),
+    setTimelineWindow(byRoomTimeline, JSJoda.LocalDateTime.now().plusDays(1).withHour(8).toString(),
         JSJoda.LocalDateTime.now().plusDays(1).withHour(17).withMinute(45).toString());
 }
 
@@ -199,7 +254,7 @@ function renderScheduleByPerson(schedule) {
     byPersonItemData.clear();
 
     $.each(schedule.people.sort((e1, e2) => e1.fullName.localeCompare(e2.fullName)), (_, person) => {
-        let content = `<div class="d-flex flex-column"><div><h5 class="card-title mb-1">${person.fullName}</h5></div>`;
+        let content = `<div class="d-flex flex-column"><div><h5 class="card-title mb-1">${person.fullName}${getCalendarDownloadButton().prop("outerHTML")}</h5></div>`;
         byPersonGroupData.add({
             id: person.id,
             content: content,
@@ -226,31 +281,33 @@ function renderScheduleByPerson(schedule) {
             const startDateTime = JSJoda.LocalDateTime.of(startDate, startTime);
             const endDateTime = startTime.plusMinutes(meet.durationInGrains * 15);
             meet.requiredAttendances.forEach(attendance => {
-                const byPersonElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)));
+                const byPersonElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)).append(getPinToggle(assignment)));
                 byPersonElement.append($("<div class='d-flex justify-content-center' />").append($(`<span class="badge bg-primary m-1"/>`).text("Required")));
                 if (meet.preferredAttendances.map(a => a.person).indexOf(attendance.person) >= 0) {
                     byPersonElement.append($("<div class='d-flex justify-content-center' />").append($(`<span class="badge bg-secondary m-1"/>`).text("Preferred")));
                 }
                 byPersonItemData.add({
                     id: `${assignment.id}-${attendance.person}`,
+                    assignment: assignment.id,
                     group: attendance.person,
                     content: byPersonElement.html(),
                     start: startDateTime.toString(),
                     end: endDateTime.toString(),
-                    style: `min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
+                    style: `${getPinnedStyle(assignment)}min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
                 });
             });
             meet.preferredAttendances.forEach(attendance => {
                 if (meet.requiredAttendances.map(a => a.person).indexOf(attendance.person) === -1) {
-                    const byPersonElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)));
+                    const byPersonElement = $("<div />").append($("<div class='d-flex justify-content-center' />").append($(`<h5 class="card-title mb-1"/>`).text(meet.topic)).append(getPinToggle(assignment)));
                     byPersonElement.append($("<div class='d-flex justify-content-center' />").append($(`<span class="badge bg-secondary m-1" />`).text("Preferred")));
                     byPersonItemData.add({
                         id: `${assignment.id}-${attendance.person}`,
+                        assignment: assignment.id,
                         group: attendance.person,
                         content: byPersonElement.html(),
                         start: startDateTime.toString(),
                         end: endDateTime.toString(),
-                        style: `min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
+                        style: `${getPinnedStyle(assignment)}min-height: 50px;background-color: ${color.bg};color:${color.fg} !important"`
                     });
                 }
             });
@@ -266,166 +323,226 @@ function renderScheduleByPerson(schedule) {
         unassigned.append(banner);
     }
 
-    byPersonTimeline.setWindow(JSJoda.LocalDateTime.now().plusDays(1).withHour(8).toString(),
+    setTimelineWindow(byPersonTimeline, JSJoda.LocalDateTime.now().plusDays(1).withHour(8).toString(),
         JSJoda.LocalDateTime.now().plusDays(1).withHour(17).withMinute(45).toString());
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
+function getPinToggle(assignment) {
+    return $(`<span class="pin-toggle fas ms-2"/>`)
+        .addClass(assignment.pinned ? "fa-lock" : "fa-lock-open opacity-50")
+        .attr("title", assignment.pinned ? "Pinned, click to unpin" : "Click to pin");
 }
 
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
-    }
+function getPinnedStyle(assignment) {
+    return assignment.pinned ? "border: 2px dashed #000;" : "";
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[2]] = parseInt(parts[1], 10);
+// Clicking the lock of a meeting pins or unpins it.
+function bindPinToggles(timeline, itemData) {
+    timeline.on("click", properties => {
+        if (properties.item == null || $(properties.event.target).closest(".pin-toggle").length === 0) {
+            return;
+        }
+        const assignmentId = itemData.get(properties.item).assignment;
+        solverClient.applyChange(schedule => {
+            const assignment = schedule.meetingAssignments.find(assignment => assignment.id === assignmentId);
+            assignment.pinned = !assignment.pinned;
+        }, "pin toggle");
     });
+}
 
-    return components;
+function showPinModal() {
+    const pinRoomSelect = $("#pinRoomSelect");
+    pinRoomSelect.children().remove();
+    loadedSchedule.rooms.forEach(room => pinRoomSelect.append($(`<option/>`).val(room.id).text(room.name)));
+    bootstrap.Modal.getOrCreateInstance("#pinModal").show();
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
+// Pins the assigned meetings that pass the filter, as an unassigned meeting cannot be pinned.
+function pinAssignments(filter) {
+    bootstrap.Modal.getInstance("#pinModal").hide();
+    solverClient.applyChange(schedule => schedule.meetingAssignments
+        .filter(assignment => assignment.room != null && assignment.startingTimeGrain != null)
+        .filter(assignment => filter(schedule, assignment))
+        .forEach(assignment => assignment.pinned = true), "pins");
+}
+
+function getStartDate(schedule, assignment) {
+    const timeGrain = schedule.timeGrains.find(timeGrain => timeGrain.id === assignment.startingTimeGrain);
+    return JSJoda.LocalDate.now().withDayOfYear(timeGrain.dayOfYear);
+}
+
+// Moves a meeting to the time grain that starts closest to where it was dropped on that day, and to another room if given.
+function moveMeetingAssignment(schedule, assignmentId, start, roomId) {
+    const startDateTime = toLocalDateTime(start);
+    const startingMinuteOfDay = startDateTime.hour() * 60 + startDateTime.minute();
+    const timeGrainsOfDay = schedule.timeGrains.filter(timeGrain => timeGrain.dayOfYear === startDateTime.dayOfYear());
+    if (timeGrainsOfDay.length === 0) {
+        return false;
+    }
+    const distance = timeGrain => Math.abs(timeGrain.startingMinuteOfDay - startingMinuteOfDay);
+    const timeGrain = timeGrainsOfDay.reduce((closest, timeGrain) => distance(timeGrain) < distance(closest) ? timeGrain : closest);
+    const assignment = schedule.meetingAssignments.find(assignment => assignment.id === assignmentId);
+    assignment.startingTimeGrain = timeGrain.id;
+    if (roomId !== null) {
+        assignment.room = roomId;
     }
 }
 
-function stopSolving() {
-    $.delete("/schedules/" + scheduleId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
+function describeMeetingAssignments(schedule) {
+    return schedule.meetingAssignments.map(assignment => {
+        const meet = schedule.meetings.find(meet => meet.id === assignment.meeting);
+        let description = null;
+        if (assignment.room != null && assignment.startingTimeGrain != null) {
+            const room = schedule.rooms.find(room => room.id === assignment.room);
+            const timeGrain = schedule.timeGrains.find(timeGrain => timeGrain.id === assignment.startingTimeGrain);
+            const startTime = JSJoda.LocalTime.MIDNIGHT.plusMinutes(timeGrain.startingMinuteOfDay);
+            description = `${room.name}, ${getStartDate(schedule, assignment)} ${startTime}`;
+        }
+        return {id: assignment.id, name: meet.topic, assignment: description};
     });
 }
 
-function copyTextToClipboard(id) {
-    var text = $("#" + id).text().trim();
+function highlightMatch(justification) {
+    highlightMeetingAssignments(getJustificationFacts(justification, "meeting").map(assignment => assignment.id));
+}
 
-    var dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
+function highlightMeetingAssignments(assignmentIds) {
+    byRoomTimeline.setSelection(assignmentIds, {focus: assignmentIds.length > 0});
+    const attendanceItemIds = byPersonItemData.getIds({
+        filter: item => assignmentIds.some(assignmentId => String(item.id).startsWith(assignmentId + "-"))
+    });
+    byPersonTimeline.setSelection(attendanceItemIds, {focus: attendanceItemIds.length > 0});
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
+function getPersonEvents(schedule, personId) {
+    const meetingMap = new Map(schedule.meetings.map(meeting => [meeting.id, meeting]));
+    const roomMap = new Map(schedule.rooms.map(room => [room.id, room]));
+    const timeGrainMap = new Map(schedule.timeGrains.map(timeGrain => [timeGrain.id, timeGrain]));
+    return schedule.meetingAssignments
+        .filter(assignment => assignment.room != null && assignment.startingTimeGrain != null)
+        .map(assignment => ({assignment, meeting: meetingMap.get(assignment.meeting)}))
+        .filter(({meeting}) => meeting.requiredAttendances.some(attendance => attendance.person === personId)
+            || meeting.preferredAttendances.some(attendance => attendance.person === personId))
+        .map(({assignment, meeting}) => {
+            const timeGrain = timeGrainMap.get(assignment.startingTimeGrain);
+            const start = JSJoda.LocalDate.now().withDayOfYear(timeGrain.dayOfYear).atStartOfDay()
+                .plusMinutes(timeGrain.startingMinuteOfDay);
+            const required = meeting.requiredAttendances.some(attendance => attendance.person === personId);
+            return {
+                uid: `meeting-assignment-${assignment.id}@meeting-scheduling`,
+                start: start.toString(),
+                end: start.plusMinutes(meeting.durationInGrains * 15).toString(),
+                summary: meeting.topic,
+                location: roomMap.get(assignment.room).name,
+                description: `${required ? "Required" : "Preferred"} attendance`,
+            };
+        });
+}
+
+function downloadPersonCalendar(personId) {
+    const person = loadedSchedule.people.find(person => person.id === personId);
+    downloadCalendar(person.fullName, getPersonEvents(loadedSchedule, personId));
+}
 
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
+function downloadAllPersonCalendars() {
+    if (loadedSchedule == null) {
+        return;
     }
+    downloadCalendars("meetings.zip", loadedSchedule.people
+        .map(person => ({name: person.fullName, events: getPersonEvents(loadedSchedule, person.id)})));
+}
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
-}
\ No newline at end of file
+// The people, time grains, rooms, meetings and their attendances and assignments as tables of a CSV file, see csv.js.
+// The JSON nests the attendances in their meeting, so that table is nested again on import.
+function createCsvFormat() {
+    const attendanceColumns = [
+        {field: "id"},
+        {field: "meeting", ref: "Meetings"},
+        {field: "person", ref: "People"},
+    ];
+    return {
+        tables: [
+            {
+                name: "People",
+                id: "id",
+                rows: schedule => schedule.people,
+                columns: [
+                    {field: "id"},
+                    {field: "fullName"},
+                ]
+            },
+            {
+                name: "TimeGrains",
+                id: "id",
+                rows: schedule => schedule.timeGrains,
+                columns: [
+                    {field: "id"},
+                    {field: "grainIndex", type: "int"},
+                    {field: "dayOfYear", type: "int"},
+                    {field: "startingMinuteOfDay", type: "int"},
+                ]
+            },
+            {
+                name: "Rooms",
+                id: "id",
+                rows: schedule => schedule.rooms,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                    {field: "capacity", type: "int"},
+                ]
+            },
+            {
+                name: "Meetings",
+                id: "id",
+                rows: schedule => schedule.meetings,
+                columns: [
+                    {field: "id"},
+                    {field: "topic"},
+                    {field: "speakers", ref: "People", list: true},
+                    {field: "content", optional: true},
+                    {field: "entireGroupMeeting", type: "boolean"},
+                    {field: "durationInGrains", type: "int"},
+                ]
+            },
+            {
+                name: "RequiredAttendances",
+                id: "id",
+                rows: schedule => schedule.meetings.flatMap(meeting => meeting.requiredAttendances),
+                columns: attendanceColumns
+            },
+            {
+                name: "PreferredAttendances",
+                id: "id",
+                rows: schedule => schedule.meetings.flatMap(meeting => meeting.preferredAttendances),
+                columns: attendanceColumns
+            },
+            {
+                name: "MeetingAssignments",
+                id: "id",
+                rows: schedule => schedule.meetingAssignments,
+                columns: [
+                    {field: "id"},
+                    {field: "meeting", ref: "Meetings"},
+                    {field: "pinned", type: "boolean"},
+                    {field: "startingTimeGrain", ref: "TimeGrains", optional: true},
+                    {field: "room", ref: "Rooms", optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => {
+            tables.Meetings.forEach(meeting => {
+                meeting.requiredAttendances = tables.RequiredAttendances.filter(a => a.meeting === meeting.id);
+                meeting.preferredAttendances = tables.PreferredAttendances.filter(a => a.meeting === meeting.id);
+            });
+            return {
+                people: tables.People,
+                timeGrains: tables.TimeGrains,
+                rooms: tables.Rooms,
+                meetings: tables.Meetings,
+                meetingAssignments: tables.MeetingAssignments,
+            };
+        },
+    };
+}
@@ -6,14 +6,21 @@ import static org.assertj.core.api.Assertions.assertThat;
 import static org.awaitility.Awaitility.await;
 
 import java.time.Duration;
+import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.score.buildin.hardmediumsoft.HardMediumSoftScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import org.acme.meetingschedule.domain.MeetingAssignment;
 import org.acme.meetingschedule.domain.MeetingSchedule;
+import org.acme.meetingschedule.domain.Room;
+import org.acme.meetingschedule.domain.TimeGrain;
 import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
 
 @QuarkusTest
 class MeetingSchedulingResourceTest {
@@ -105,4 +112,239 @@ class MeetingSchedulingResourceTest {
         assertThat(analysis2).isNotNull();
     }
 
-}
\ No newline at end of file
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        MeetingSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertThat(events).anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\""));
+        assertThat(events.get(events.size() - 1)).contains("\"solverStatus\":\"NOT_SOLVING\"");
+
+        // Once solving has ended, the stream sends the final status and closes
+        assertThat(getEvents(jobId)).singleElement().asString().contains("\"solverStatus\":\"NOT_SOLVING\"");
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        MeetingSchedule schedule = getDemoData();
+        // A best score limit that no solution reaches, so that solving lasts until it is stopped
+        String jobId = solve(schedule, Map.of("bestScoreLimit", "1hard/*medium/*soft"));
+        assertThat(getJobIds()).contains(jobId);
+
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertThat(getJobIds()).doesNotContain(jobId);
+        given()
+                .when().get("/schedules/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void solveKeepsPinnedAssignments() {
+        MeetingSchedule schedule = getDemoData();
+        MeetingAssignment pinnedAssignment = schedule.getMeetingAssignments().get(0);
+        TimeGrain pinnedTimeGrain = schedule.getTimeGrains().get(schedule.getTimeGrains().size() / 2);
+        Room pinnedRoom = schedule.getRooms().get(0);
+        pinnedAssignment.setStartingTimeGrain(pinnedTimeGrain);
+        pinnedAssignment.setRoom(pinnedRoom);
+        pinnedAssignment.setPinned(true);
+
+        // Long enough for the solver to assign and move the other meetings
+        String jobId = solve(schedule, Map.of("spentLimit", "PT5S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(30));
+
+        MeetingSchedule solution = get("/schedules/" + jobId).then().extract().as(MeetingSchedule.class);
+        assertThat(solution.getMeetingAssignments())
+                .filteredOn(assignment -> !assignment.getId().equals(pinnedAssignment.getId()))
+                .allMatch(assignment -> !assignment.isPinned()
+                        && assignment.getStartingTimeGrain() != null && assignment.getRoom() != null);
+        MeetingAssignment solvedAssignment = solution.getMeetingAssignments().stream()
+                .filter(assignment -> assignment.getId().equals(pinnedAssignment.getId()))
+                .findFirst()
+                .orElseThrow();
+        assertThat(solvedAssignment.isPinned()).isTrue();
+        assertThat(solvedAssignment.getStartingTimeGrain().getId()).isEqualTo(pinnedTimeGrain.getId());
+        assertThat(solvedAssignment.getRoom().getId()).isEqualTo(pinnedRoom.getId());
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?personCount=30&meetingCount=50&roomCount=5&dayCount=2&randomSeed=7";
+        MeetingSchedule schedule = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(MeetingSchedule.class);
+        assertThat(schedule.getPeople()).hasSize(30);
+        assertThat(schedule.getMeetings()).hasSize(50);
+        assertThat(schedule.getMeetingAssignments()).hasSize(50);
+        assertThat(schedule.getRooms()).hasSize(5);
+        // Every 15 minutes from 8:00 to 18:00
+        assertThat(schedule.getTimeGrains()).hasSize(2 * 40);
+
+        // The same seed generates the same data, another seed other data
+        assertThat(get(generateUrl).asString()).isEqualTo(get(generateUrl).asString());
+        assertThat(get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString()).isNotEqualTo(get(generateUrl).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?personCount=10")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("people");
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        MeetingSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        MeetingSchedule solution = get("/schedules/" + jobId).then().extract().as(MeetingSchedule.class);
+        String constraint = "constraints.find { it.name == 'Do all meetings as soon as possible' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        HardMediumSoftScore defaultWeight =
+                HardMediumSoftScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        HardMediumSoftScore defaultConstraintScore =
+                HardMediumSoftScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        HardMediumSoftScore defaultScore = HardMediumSoftScore.parseScore(defaultAnalysis.getString("score"));
+
+        HardMediumSoftScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("Do all meetings as soon as possible", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertThat(HardMediumSoftScore.parseScore(analysis.getString(constraint + ".weight"))
+                .compareTo(doubledWeight)).isZero();
+        assertThat(HardMediumSoftScore.parseScore(analysis.getString(constraint + ".score"))
+                .compareTo(defaultConstraintScore.add(defaultConstraintScore))).isZero();
+        assertThat(HardMediumSoftScore.parseScore(analysis.getString("score"))
+                .compareTo(defaultScore.add(defaultConstraintScore))).isZero();
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        MeetingSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(schedule)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("spent limit");
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        MeetingSchedule schedule = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "abc"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "0hard"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("moveThreadCount", "8"))).contains("move thread count");
+        // A rejected run leaves no job behind
+        assertThat(getJobIds()).isEqualTo(jobIds);
+    }
+
+    private static MeetingSchedule getDemoData() {
+        return given()
+                .when().get("/demo-data")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(MeetingSchedule.class);
+    }
+
+    private static String solve(MeetingSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/schedules")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(MeetingSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/schedules/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/schedules/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/schedules/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/schedules").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(MeetingSchedule solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/schedules/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
+}
@@ -4,10 +4,13 @@ import java.time.DayOfWeek;
 import java.time.LocalTime;
 import java.util.ArrayList;
 import java.util.List;
+import java.util.Random;
 
+import jakarta.ws.rs.DefaultValue;
 import jakarta.ws.rs.GET;
 import jakarta.ws.rs.Path;
 import jakarta.ws.rs.PathParam;
+import jakarta.ws.rs.QueryParam;
 import jakarta.ws.rs.core.MediaType;
 import jakarta.ws.rs.core.Response;
 
@@ -15,6 +18,7 @@ import org.acme.schooltimetabling.domain.Lesson;
 import org.acme.schooltimetabling.domain.Room;
 import org.acme.schooltimetabling.domain.Timeslot;
 import org.acme.schooltimetabling.domain.Timetable;
+import org.acme.schooltimetabling.rest.exception.ErrorInfo;
 import org.eclipse.microprofile.openapi.annotations.Operation;
 import org.eclipse.microprofile.openapi.annotations.enums.SchemaType;
 import org.eclipse.microprofile.openapi.annotations.media.Content;
@@ -33,6 +37,18 @@ public class TimetableDemoResource {
         LARGE
     }
 
+    private static final int MAX_TIMESLOTS_PER_DAY = 8;
+    private static final int MAX_ROOM_COUNT = 26;
+    private static final int MAX_STUDENT_GROUP_COUNT = 40;
+    // The subjects of the demo data with their teacher, who teaches the subject to at most 4 student groups.
+    private static final String[][] SUBJECT_TEACHERS = {
+            { "Math", "A. Turing" }, { "ICT", "A. Turing" },
+            { "Physics", "M. Curie" }, { "Chemistry", "M. Curie" }, { "French", "M. Curie" },
+            { "Biology", "C. Darwin" }, { "Geography", "C. Darwin" }, { "Geology", "C. Darwin" },
+            { "History", "I. Jones" }, { "Drama", "I. Jones" },
+            { "English", "P. Cruz" }, { "Spanish", "P. Cruz" },
+            { "Art", "S. Dali" }, { "Physical education", "C. Lewis" } };
+
     @APIResponses(value = {
             @APIResponse(responseCode = "200", description = "List of demo data represented as IDs.",
                     content = @Content(mediaType = MediaType.APPLICATION_JSON,
@@ -206,4 +222,77 @@ public class TimetableDemoResource {
         return Response.ok(new Timetable(demoData.name(), timeslots, rooms, lessons)).build();
     }
 
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "Unsolved generated timetable.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = Timetable.class))),
+            @APIResponse(responseCode = "400", description = "A size is out of range.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class)))})
+    @Operation(summary = "Generate an unsolved timetable of the given size.")
+    @GET
+    @Path("/generate")
+    public Response generateOfSize(
+            @Parameter(description = "The number of days, starting on Monday.")
+            @QueryParam("dayCount") @DefaultValue("5") int dayCount,
+            @Parameter(description = "The number of timeslots per day, with a lunch break after the third one.")
+            @QueryParam("timeslotsPerDay") @DefaultValue("5") int timeslotsPerDay,
+            @Parameter(description = "The number of rooms.")
+            @QueryParam("roomCount") @DefaultValue("6") int roomCount,
+            @Parameter(description = "The number of student groups.")
+            @QueryParam("studentGroupCount") @DefaultValue("4") int studentGroupCount,
+            @Parameter(description = "The number of lessons of each student group.")
+            @QueryParam("lessonsPerStudentGroup") @DefaultValue("20") int lessonsPerStudentGroup,
+            @Parameter(description = "The seed of the random choices, the same seed and sizes give the same timetable.")
+            @QueryParam("randomSeed") @DefaultValue("0") int randomSeed) {
+        try {
+            checkRange("days", dayCount, 1, DayOfWeek.values().length);
+            checkRange("timeslots per day", timeslotsPerDay, 1, MAX_TIMESLOTS_PER_DAY);
+            checkRange("rooms", roomCount, 1, MAX_ROOM_COUNT);
+            checkRange("student groups", studentGroupCount, 1, MAX_STUDENT_GROUP_COUNT);
+            // A student group cannot attend more lessons than there are timeslots.
+            checkRange("lessons per student group", lessonsPerStudentGroup, 1, dayCount * timeslotsPerDay);
+        } catch (IllegalArgumentException e) {
+            return Response.status(Response.Status.BAD_REQUEST)
+                    .type(MediaType.APPLICATION_JSON)
+                    .entity(new ErrorInfo(null, e.getMessage()))
+                    .build();
+        }
+        Random random = new Random(randomSeed);
+
+        List<Timeslot> timeslots = new ArrayList<>(dayCount * timeslotsPerDay);
+        for (int day = 0; day < dayCount; day++) {
+            for (int i = 0; i < timeslotsPerDay; i++) {
+                LocalTime startTime = LocalTime.of(i < 3 ? 8 : 10, 30).plusHours(i);
+                timeslots.add(new Timeslot(Integer.toString(timeslots.size()), DayOfWeek.of(day + 1), startTime,
+                        startTime.plusHours(1)));
+            }
+        }
+
+        List<Room> rooms = new ArrayList<>(roomCount);
+        for (int i = 0; i < roomCount; i++) {
+            rooms.add(new Room(Integer.toString(i), "Room " + (char) ('A' + i)));
+        }
+
+        List<Lesson> lessons = new ArrayList<>(studentGroupCount * lessonsPerStudentGroup);
+        for (int group = 0; group < studentGroupCount; group++) {
+            // 9th to 12th grade A, then 9th to 12th grade B, and so on.
+            String studentGroup = (9 + group % 4) + "th grade" + (studentGroupCount > 4 ? " " + (char) ('A' + group / 4) : "");
+            String teacherSuffix = group < 4 ? "" : " " + (group / 4 + 1);
+            for (int i = 0; i < lessonsPerStudentGroup; i++) {
+                String[] subjectTeacher = SUBJECT_TEACHERS[random.nextInt(SUBJECT_TEACHERS.length)];
+                lessons.add(new Lesson(Integer.toString(lessons.size()), subjectTeacher[0], subjectTeacher[1] + teacherSuffix,
+                        studentGroup));
+            }
+        }
+        return Response.ok(new Timetable("GENERATED", timeslots, rooms, lessons)).build();
+    }
+
+    private static void checkRange(String name, int value, int min, int max) {
+        if (value < min || value > max) {
+            throw new IllegalArgumentException("The number of %s (%d) must be between %d and %d."
+                    .formatted(name, value, min, max));
+        }
+    }
+
 }
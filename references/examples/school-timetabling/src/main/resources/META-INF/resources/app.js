@@ -1,88 +1,127 @@
-var autoRefreshIntervalId = null;
 const dateTimeFormatter = JSJoda.DateTimeFormatter.ofPattern('HH:mm')
 
 let demoDataId = null;
 let scheduleId = null;
 let loadedSchedule = null;
 
-// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
-const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
-const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
-let COLOR_MAP = new Map()
-let nextColorIndex = 0
-
-function pickColor(object) {
-  let color = COLOR_MAP.get(object);
-  if (color !== undefined) {
-    return color;
-  }
-  let index = nextColorIndex++;
-  color = {bg : BG_COLORS[index], fg: FG_COLORS[index]};
-  COLOR_MAP.set(object,color);
-  return color;
-}
+const solverClient = createSolverClient({
+  basePath: "/timetables",
+  scheduleName: "timetable",
+  getJobId: () => scheduleId,
+  setJobId: jobId => scheduleId = jobId,
+  getSchedule: () => loadedSchedule,
+  setSchedule: timetable => loadedSchedule = timetable,
+  demoDataPath: () => demoDataId === null ? null : "/demo-data/" + demoDataId,
+  render: renderSchedule,
+  highlightMatch: highlightMatch,
+  describeAssignments: describeLessons,
+  highlightEntities: highlightLessons,
+  csvFormat: createCsvFormat(),
+  checkOnlyPenalties: true,
+});
 
 $(document).ready(function () {
 
   $("#solveButton").click(function () {
-    solve();
+    solverClient.solve();
   });
   $("#stopSolvingButton").click(function () {
-    stopSolving();
+    solverClient.stopSolving();
   });
   $("#analyzeButton").click(function () {
-    analyze();
+    solverClient.analyze();
+  });
+  $("#jobsButton").click(function () {
+    solverClient.showJobs();
+  });
+  $("#undoButton").click(function () {
+    solverClient.undo();
+  });
+  $("#redoButton").click(function () {
+    solverClient.redo();
+  });
+  $("#revertSolveButton").click(function () {
+    solverClient.revertToBeforeLastSolve();
+  });
+  $("#keepForComparisonButton").click(function () {
+    solverClient.keepForComparison();
+  });
+  $("#compareButton").click(function () {
+    solverClient.compare();
+  });
+  $("#importJsonButton").click(function () {
+    solverClient.showImport("json");
+  });
+  $("#exportJsonButton").click(function () {
+    solverClient.exportJson();
+  });
+  $("#importCsvButton").click(function () {
+    solverClient.showImport("csv");
+  });
+  $("#exportCsvButton").click(function () {
+    solverClient.exportCsv();
+  });
+  $("#importModalButton").click(function () {
+    solverClient.importFile();
+  });
+  $("#editButton").click(function () {
+    solverClient.showEditor();
+  });
+  $("#generateButton").click(function () {
+    solverClient.showGenerate();
+  });
+  $("#generateModalButton").click(function () {
+    solverClient.generate();
+  });
+  $("#constraintWeightsButton").click(function () {
+    solverClient.showConstraintWeights();
+  });
+  $("#constraintWeightsApplyButton").click(function () {
+    solverClient.applyConstraintWeights();
+  });
+  $("#runOptionsButton").click(function () {
+    solverClient.showRunOptions();
+  });
+  $("#runOptionsModalButton").click(function () {
+    solverClient.saveRunOptions();
+  });
+  $("#printByRoomButton").click(function () {
+    printTimetable("room");
+  });
+  $("#printByTeacherButton").click(function () {
+    printTimetable("teacher");
+  });
+  $("#printByStudentGroupButton").click(function () {
+    printTimetable("studentGroup");
   });
 
+  bindViewTabs({R: "byRoomTab", T: "byTeacherTab", SG: "byStudentGroupTab"}, "R");
+
   setupAjax();
   fetchDemoData();
 });
 
-function setupAjax() {
-  $.ajaxSetup({
-    headers: {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-    }
-  });
-
-  // Extend jQuery to support $.put() and $.delete()
-  jQuery.each(["put", "delete"], function (i, method) {
-    jQuery[method] = function (url, data, callback, type) {
-      if (jQuery.isFunction(data)) {
-        type = type || callback;
-        callback = data;
-        data = undefined;
-      }
-      return jQuery.ajax({
-        url: url,
-        type: method,
-        dataType: type,
-        data: data,
-        success: callback
-      });
-    };
-  });
-}
-
 function fetchDemoData() {
   $.get("/demo-data", function (data) {
     data.forEach(item => {
       $("#testDataButton").append($('<a id="' + item + 'TestData" class="dropdown-item" href="#">' + item + '</a>'));
 
-      $("#" + item + "TestData").click(function () {
+      $("#" + item + "TestData").click(function (event) {
+        event.preventDefault(); // Keep the UI state in the URL hash.
         switchDataDropDownItemActive(item);
-        scheduleId = null;
+        solverClient.detachJob();
         demoDataId = item;
+        setUrlState("demoDataId", demoDataId);
 
-        refreshSchedule();
+        solverClient.refreshSchedule();
       });
     });
 
     // load first data set
-    demoDataId = data[0];
+    const urlDemoDataId = getUrlState("demoDataId");
+    demoDataId = data.includes(urlDemoDataId) ? urlDemoDataId : data[0];
     switchDataDropDownItemActive(demoDataId);
-    refreshSchedule();
+    solverClient.refreshSchedule();
   }).fail(function (xhr, ajaxOptions, thrownError) {
     // disable this page as there is no data
     let $demo = $("#demo");
@@ -97,30 +136,7 @@ function switchDataDropDownItemActive(newItem) {
   $("#" + newItem + "TestData").addClass(activeCssClass);
 }
 
-function refreshSchedule() {
-  let path = "/timetables/" + scheduleId;
-  if (scheduleId === null) {
-    if (demoDataId === null) {
-      alert("Please select a test data set.");
-      return;
-    }
-
-    path = "/demo-data/" + demoDataId;
-  }
-
-  $.getJSON(path, function (schedule) {
-    loadedSchedule = schedule;
-    renderSchedule(schedule);
-  })
-    .fail(function (xhr, ajaxOptions, thrownError) {
-      showError("Getting the timetable has failed.", xhr);
-      refreshSolvingButtons(false);
-    });
-}
-
 function renderSchedule(timetable) {
-  refreshSolvingButtons(timetable.solverStatus != null && timetable.solverStatus !== "NOT_SOLVING");
-  $("#score").text("Score: " + (timetable.score == null ? "?" : timetable.score));
   $("#info").text(`This dataset has ${timetable.lessons.length} lessons and ${timetable.rooms.length} rooms which need to be allocated to ${timetable.timeslots.length} timeslots.`);
 
   const timetableByRoom = $("#timetableByRoom");
@@ -211,6 +227,7 @@ function renderSchedule(timetable) {
   $.each(timetable.lessons, (index, lesson) => {
     const color = pickColor(lesson.subject);
     const lessonElement = $(`<div class="card" style="background-color: ${color.bg};color: ${color.fg}"/>`)
+      .attr("data-lesson-id", lesson.id)
       .append($(`<div class="card-body p-2"/>`)
         .append($(`<h5 class="card-title mb-1"/>`).text(lesson.subject))
         .append($(`<p class="card-text ms-2 mb-1"/>`)
@@ -236,171 +253,126 @@ function renderSchedule(timetable) {
   }
 }
 
-function solve() {
-  $.post("/timetables", JSON.stringify(loadedSchedule), function (data) {
-    scheduleId = data;
-    refreshSolvingButtons(true);
-  }).fail(function (xhr, ajaxOptions, thrownError) {
-      showError("Start solving failed.", xhr);
-      refreshSolvingButtons(false);
-    },
-    "text");
-}
-
-function analyze() {
-  new bootstrap.Modal("#scoreAnalysisModal").show()
-  const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-  scoreAnalysisModalContent.children().remove();
-  if (loadedSchedule.score == null) {
-    scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-  } else {
-    $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-    $.put("/timetables/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-      let constraints = scoreAnalysis.constraints;
-      constraints.sort((a, b) => {
-        let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-        if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-        if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-        if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-          return -1;
-        } else {
-          if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-          if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-          if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-            return -1;
-          } else {
-            if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-            if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-            return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-          }
-        }
-      });
-      constraints.map((e) => {
-        let components = getScoreComponents(e.weight);
-        e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-        e.weight = components[e.type];
-        let scores = getScoreComponents(e.score);
-        e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-      });
-      scoreAnalysis.constraints = constraints;
-
-      scoreAnalysisModalContent.children().remove();
-      scoreAnalysisModalContent.text("");
-
-      const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-      const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-        .append($(`<th></th>`))
-        .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-        .append($(`<th>Type</th>`))
-        .append($(`<th># Matches</th>`))
-        .append($(`<th>Weight</th>`))
-        .append($(`<th>Score</th>`))
-        .append($(`<th></th>`)));
-      analysisTable.append(analysisTHead);
-      const analysisTBody = $(`<tbody/>`)
-      $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-        let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-        if (!icon) icon = constraintAnalysis.weight < 0 && constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-        let row = $(`<tr/>`);
-        row.append($(`<td/>`).html(icon))
-          .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-          .append($(`<td/>`).text(constraintAnalysis.type))
-          .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-          .append($(`<td/>`).text(constraintAnalysis.weight))
-          .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-
-        analysisTBody.append(row);
-        row.append($(`<td/>`));
-      });
-      analysisTable.append(analysisTBody);
-      scoreAnalysisModalContent.append(analysisTable);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Analyze failed.", xhr);
-      },
-      "text");
-  }
-}
-
-function getScoreComponents(score) {
-  let components = {hard: 0, medium: 0, soft: 0};
-
-  $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-    components[parts[2]] = parseInt(parts[1], 10);
-  });
-
-  return components;
+function convertToId(str) {
+  // Base64 encoding without padding to avoid XSS
+  return btoa(str).replace(/=/g, "");
 }
 
-
-function refreshSolvingButtons(solving) {
-  if (solving) {
-    $("#solveButton").hide();
-    $("#stopSolvingButton").show();
-    if (autoRefreshIntervalId == null) {
-      autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-    }
-  } else {
-    $("#solveButton").show();
-    $("#stopSolvingButton").hide();
-    if (autoRefreshIntervalId != null) {
-      clearInterval(autoRefreshIntervalId);
-      autoRefreshIntervalId = null;
+function describeLessons(timetable) {
+  return timetable.lessons.map(lesson => {
+    let assignment = null;
+    if (lesson.timeslot != null && lesson.room != null) {
+      const timeslot = timetable.timeslots.find(timeslot => timeslot.id === lesson.timeslot);
+      const room = timetable.rooms.find(room => room.id === lesson.room);
+      assignment = `${timeslot.dayOfWeek.charAt(0) + timeslot.dayOfWeek.slice(1).toLowerCase()} `
+        + `${JSJoda.LocalTime.parse(timeslot.startTime).format(dateTimeFormatter)}, ${room.name}`;
     }
-  }
-}
-
-function stopSolving() {
-  $.delete("/timetables/" + scheduleId, function () {
-    refreshSolvingButtons(false);
-    refreshSchedule();
-  }).fail(function (xhr, ajaxOptions, thrownError) {
-    showError("Stop solving failed.", xhr);
+    return {id: lesson.id, name: `${lesson.subject} (${lesson.studentGroup})`, assignment: assignment};
   });
 }
 
-function convertToId(str) {
-  // Base64 encoding without padding to avoid XSS
-  return btoa(str).replace(/=/g, "");
+function highlightMatch(justification) {
+  highlightLessons(getJustificationFacts(justification, "subject").map(lesson => lesson.id));
 }
 
-function copyTextToClipboard(id) {
-  var text = $("#" + id).text().trim();
-
-  var dummy = document.createElement("textarea");
-  document.body.appendChild(dummy);
-  dummy.value = text;
-  dummy.select();
-  document.execCommand("copy");
-  document.body.removeChild(dummy);
+function highlightLessons(lessonIds) {
+  const ids = lessonIds.map(String);
+  highlightElements($("[data-lesson-id]").filter((_, element) => ids.includes($(element).attr("data-lesson-id"))));
 }
 
-function showError(title, xhr) {
-  let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-  let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-  let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-  let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
-
-  if (xhr.responseJSON && !serverErrorMessage) {
-    serverErrorMessage = JSON.stringify(xhr.responseJSON);
-    serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-    serverErrorId = `----`;
+// One printed page per room, teacher or student group, see print.js.
+function printTimetable(pageType) {
+  if (loadedSchedule == null) {
+    return;
+  }
+  const timetable = loadedSchedule;
+  const timeslots = timetable.timeslots.slice().sort((t1, t2) =>
+    JSJoda.DayOfWeek.valueOf(t1.dayOfWeek).compareTo(JSJoda.DayOfWeek.valueOf(t2.dayOfWeek))
+    || t1.startTime.localeCompare(t2.startTime));
+  const getDay = timeslot => timeslot.dayOfWeek.charAt(0) + timeslot.dayOfWeek.slice(1).toLowerCase();
+  const getTime = timeslot => `${JSJoda.LocalTime.parse(timeslot.startTime).format(dateTimeFormatter)}`
+    + ` - ${JSJoda.LocalTime.parse(timeslot.endTime).format(dateTimeFormatter)}`;
+  const days = [...new Set(timeslots.map(getDay))];
+  const times = [...new Set(timeslots.slice().sort((t1, t2) => t1.startTime.localeCompare(t2.startTime)).map(getTime))];
+  const timeslotMap = new Map(timetable.timeslots.map(timeslot => [timeslot.id, timeslot]));
+  const roomMap = new Map(timetable.rooms.map(room => [room.id, room]));
+  // In the JSON, the lesson.timeslot and lesson.room are only IDs of these objects.
+  const assignedLessons = timetable.lessons.filter(lesson => lesson.timeslot != null && lesson.room != null);
+  const getRoomName = lesson => roomMap.get(lesson.room).name;
+
+  let title, pageNames, getPageName, getDetails;
+  if (pageType === "room") {
+    title = "Timetable by room";
+    pageNames = timetable.rooms.map(room => room.name);
+    getPageName = getRoomName;
+    getDetails = lesson => [lesson.teacher, lesson.studentGroup];
+  } else if (pageType === "teacher") {
+    title = "Timetable by teacher";
+    pageNames = [...new Set(timetable.lessons.map(lesson => lesson.teacher))];
+    getPageName = lesson => lesson.teacher;
+    getDetails = lesson => [lesson.studentGroup, getRoomName(lesson)];
+  } else {
+    title = "Timetable by student group";
+    pageNames = [...new Set(timetable.lessons.map(lesson => lesson.studentGroup))];
+    getPageName = lesson => lesson.studentGroup;
+    getDetails = lesson => [lesson.teacher, getRoomName(lesson)];
   }
+  const pages = pageNames.map(pageName => ({
+    title: pageName,
+    items: assignedLessons
+      .filter(lesson => getPageName(lesson) === pageName)
+      .map(lesson => ({
+        day: getDay(timeslotMap.get(lesson.timeslot)),
+        time: getTime(timeslotMap.get(lesson.timeslot)),
+        title: lesson.subject,
+        details: getDetails(lesson),
+        color: pickColor(lesson.subject),
+      })),
+  }));
+  const legend = [...new Set(timetable.lessons.map(lesson => lesson.subject))]
+    .sort()
+    .map(subject => ({label: subject, color: pickColor(subject)}));
+  printTimetables(title, days, times, pages, legend);
+}
 
-  console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-  const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-      .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-      .append($(`<div class="toast-body"/>`)
-          .append($(`<p/>`).text(title))
-          .append($(`<pre/>`)
-              .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-          )
-      );
-  $("#notificationPanel").append(notification);
-  notification.toast({delay: 30000});
-  notification.toast('show');
+// The timeslots, rooms and lessons as tables of a CSV file, see csv.js.
+function createCsvFormat() {
+  return {
+    tables: [
+      {
+        name: "Timeslots",
+        id: "id",
+        rows: timetable => timetable.timeslots,
+        columns: [
+          {field: "id"},
+          {field: "dayOfWeek", type: "enum", values: ["MONDAY", "TUESDAY", "WEDNESDAY", "THURSDAY", "FRIDAY", "SATURDAY", "SUNDAY"]},
+          {field: "startTime", type: "time"},
+          {field: "endTime", type: "time"},
+        ]
+      },
+      {
+        name: "Rooms",
+        id: "id",
+        rows: timetable => timetable.rooms,
+        columns: [
+          {field: "id"},
+          {field: "name"},
+        ]
+      },
+      {
+        name: "Lessons",
+        id: "id",
+        rows: timetable => timetable.lessons,
+        columns: [
+          {field: "id"},
+          {field: "subject"},
+          {field: "teacher"},
+          {field: "studentGroup"},
+          {field: "timeslot", ref: "Timeslots", optional: true},
+          {field: "room", ref: "Rooms", optional: true},
+        ]
+      },
+    ],
+    toSchedule: tables => ({timeslots: tables.Timeslots, rooms: tables.Rooms, lessons: tables.Lessons}),
+  };
 }
@@ -4,18 +4,25 @@ import static io.restassured.RestAssured.get;
 import static io.restassured.RestAssured.given;
 import static org.awaitility.Awaitility.await;
 import static org.junit.jupiter.api.Assertions.assertEquals;
+import static org.junit.jupiter.api.Assertions.assertFalse;
+import static org.junit.jupiter.api.Assertions.assertNotEquals;
 import static org.junit.jupiter.api.Assertions.assertNotNull;
 import static org.junit.jupiter.api.Assertions.assertTrue;
 
 import java.time.Duration;
+import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.score.buildin.hardsoft.HardSoftScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import org.acme.schooltimetabling.domain.Lesson;
 import org.acme.schooltimetabling.domain.Timetable;
 import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
 
 @QuarkusTest
 class TimetableResourceTest {
@@ -97,4 +104,209 @@ class TimetableResourceTest {
         assertNotNull(analysis2); // Too long to validate in its entirety.
     }
 
-}
\ No newline at end of file
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        Timetable testTimetable = getDemoData();
+        String jobId = solve(testTimetable, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertTrue(events.stream().anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\"")));
+        assertTrue(events.get(events.size() - 1).contains("\"solverStatus\":\"NOT_SOLVING\""));
+
+        // Once solving has ended, the stream sends the final status and closes
+        List<String> eventsAfterSolving = getEvents(jobId);
+        assertEquals(1, eventsAfterSolving.size());
+        assertTrue(eventsAfterSolving.get(0).contains("\"solverStatus\":\"NOT_SOLVING\""));
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        Timetable testTimetable = getDemoData();
+        // A best score limit that no solution reaches, so that solving lasts until it is stopped
+        String jobId = solve(testTimetable, Map.of("bestScoreLimit", "1hard/*soft"));
+        assertTrue(getJobIds().contains(jobId));
+
+        given()
+                .when().delete("/timetables/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/timetables/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertFalse(getJobIds().contains(jobId));
+        given()
+                .when().get("/timetables/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?dayCount=3&timeslotsPerDay=4&roomCount=2&studentGroupCount=6"
+                + "&lessonsPerStudentGroup=10&randomSeed=7";
+        Timetable timetable = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(Timetable.class);
+        assertEquals(12, timetable.getTimeslots().size());
+        assertEquals(2, timetable.getRooms().size());
+        assertEquals(60, timetable.getLessons().size());
+        assertEquals(6, timetable.getLessons().stream().map(Lesson::getStudentGroup).distinct().count());
+
+        // The same seed generates the same data, another seed other data
+        assertEquals(get(generateUrl).asString(), get(generateUrl).asString());
+        assertNotEquals(get(generateUrl).asString(), get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?dayCount=1&timeslotsPerDay=4&lessonsPerStudentGroup=5")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertTrue(message.contains("lessons per student group"));
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        Timetable timetable = getDemoData();
+        String jobId = solve(timetable, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        Timetable solution = get("/timetables/" + jobId).then().extract().as(Timetable.class);
+        String constraint = "constraints.find { it.name == 'Teacher room stability' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        HardSoftScore defaultWeight = HardSoftScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        HardSoftScore defaultConstraintScore =
+                HardSoftScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        HardSoftScore defaultScore = HardSoftScore.parseScore(defaultAnalysis.getString("score"));
+
+        HardSoftScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("Teacher room stability", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertEquals(doubledWeight, HardSoftScore.parseScore(analysis.getString(constraint + ".weight")));
+        assertEquals(defaultConstraintScore.add(defaultConstraintScore),
+                HardSoftScore.parseScore(analysis.getString(constraint + ".score")));
+        assertEquals(defaultScore.add(defaultConstraintScore), HardSoftScore.parseScore(analysis.getString("score")));
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        Timetable testTimetable = getDemoData();
+        String jobId = solve(testTimetable, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(testTimetable)
+                .when().post("/timetables")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertTrue(message.contains("spent limit"));
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        Timetable testTimetable = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertTrue(solveWithInvalidRunOptions(testTimetable, Map.of("bestScoreLimit", "abc")).contains("best score limit"));
+        assertTrue(solveWithInvalidRunOptions(testTimetable, Map.of("bestScoreLimit", "0hard")).contains("best score limit"));
+        assertTrue(solveWithInvalidRunOptions(testTimetable, Map.of("moveThreadCount", "8")).contains("move thread count"));
+        // A rejected run leaves no job behind
+        assertEquals(jobIds, getJobIds());
+    }
+
+    private static Timetable getDemoData() {
+        return given()
+                .when().get("/demo-data/SMALL")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(Timetable.class);
+    }
+
+    private static String solve(Timetable problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/timetables")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(Timetable problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/timetables")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/timetables/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/timetables/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/timetables/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/timetables").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(Timetable solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/timetables/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
+}
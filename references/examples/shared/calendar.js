@@ -0,0 +1,186 @@
+/*
+ * iCalendar (.ics) files of personal schedules, so that each person can add their assignments to a calendar app.
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid identifies the event, so that a calendar app updates it when it is imported again.
+ * @property {string} start a local date and time, such as "2024-03-01T08:00".
+ * @property {string} end
+ * @property {boolean} [utc] whether start and end are in UTC instead of the time zone of the calendar app.
+ * @property {string} summary
+ * @property {string} [location]
+ * @property {string} [description]
+ */
+
+/**
+ * @param {string} name the name of the calendar, such as the name of the person.
+ * @param {Array<CalendarEvent>} events
+ * @returns {string} the content of an .ics file.
+ */
+function formatIcsCalendar(name, events) {
+    const timestamp = formatIcsDateTime(new Date().toISOString().substring(0, 19), true);
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Timefold//Quickstarts//EN", "CALSCALE:GREGORIAN",
+        `X-WR-CALNAME:${escapeIcsText(name)}`];
+    events.forEach(event => {
+        lines.push("BEGIN:VEVENT",
+            `UID:${event.uid}`,
+            `DTSTAMP:${timestamp}`,
+            `DTSTART:${formatIcsDateTime(event.start, event.utc)}`,
+            `DTEND:${formatIcsDateTime(event.end, event.utc)}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`);
+        if (event.location) {
+            lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+        }
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        }
+        lines.push("END:VEVENT");
+    });
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+function formatIcsDateTime(dateTime, utc) {
+    const parsed = JSJoda.LocalDateTime.parse(dateTime);
+    const pad = (value, length) => String(value).padStart(length, "0");
+    return `${pad(parsed.year(), 4)}${pad(parsed.monthValue(), 2)}${pad(parsed.dayOfMonth(), 2)}`
+        + `T${pad(parsed.hour(), 2)}${pad(parsed.minute(), 2)}${pad(parsed.second(), 2)}${utc ? "Z" : ""}`;
+}
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 bytes continue on the next line after a space.
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = "";
+    let partLength = 0;
+    for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        if (partLength + charLength > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = "";
+            partLength = 0;
+        }
+        part += char;
+        partLength += charLength;
+    }
+    parts.push(part);
+    return parts.join("\r\n ");
+}
+
+/**
+ * Downloads the calendar of one person.
+ * @param {string} name the name of the person.
+ * @param {Array<CalendarEvent>} events
+ */
+function downloadCalendar(name, events) {
+    downloadFile(`${toCalendarFileName(name)}.ics`, formatIcsCalendar(name, events), "text/calendar;charset=utf-8");
+}
+
+/**
+ * Downloads a zip file with the calendar of every person.
+ * @param {string} fileName the name of the zip file, such as "shifts.zip".
+ * @param {Array<{name: string, events: Array<CalendarEvent>}>} calendars
+ */
+function downloadCalendars(fileName, calendars) {
+    const usedFileNames = new Set();
+    const files = calendars.map(calendar => {
+        let calendarFileName = toCalendarFileName(calendar.name);
+        for (let i = 2; usedFileNames.has(calendarFileName); i++) {
+            calendarFileName = `${toCalendarFileName(calendar.name)}-${i}`;
+        }
+        usedFileNames.add(calendarFileName);
+        return {name: `${calendarFileName}.ics`, content: formatIcsCalendar(calendar.name, calendar.events)};
+    });
+    downloadFile(fileName, createZip(files), "application/zip");
+}
+
+function toCalendarFileName(name) {
+    return name.replace(/[^\p{L}\p{N}._-]+/gu, "_");
+}
+
+/**
+ * The per-person download button, for the group labels of a timeline or the row headers of a table.
+ */
+function getCalendarDownloadButton() {
+    return $(`<button type="button" class="calendar-download btn btn-light btn-sm p-1 ms-2" title="Download .ics"/>`)
+        .append($(`<span class="fas fa-calendar-alt"/>`));
+}
+
+/**
+ * Downloads the calendar of a person when the download button in their group label is clicked.
+ * @param {Object} timeline
+ * @param {function(*)} download downloads the calendar of the person with the given group id.
+ */
+function bindCalendarDownloads(timeline, download) {
+    timeline.on("click", properties => {
+        if (properties.what === "group-label" && $(properties.event.target).closest(".calendar-download").length > 0) {
+            download(properties.group);
+        }
+    });
+}
+
+/**
+ * Packs text files into a zip archive without compression, which is enough for a few calendars.
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const dosDate = (1 << 5) | 1; // 1980-01-01, because a date of 0 is invalid.
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true);
+        localHeader.setUint16(4, 20, true); // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+        localHeader.setUint16(12, dosDate, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true);
+        localHeader.setUint32(22, data.length, true);
+        localHeader.setUint16(26, name.length, true);
+        parts.push(localHeader, name, data);
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true);
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true);
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(14, dosDate, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, name.length, true);
+        centralHeader.setUint32(42, offset, true);
+        centralDirectory.push(centralHeader, name);
+        offset += localHeader.byteLength + name.length + data.length;
+    });
+    const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...centralDirectory, end], {type: "application/zip"});
+}
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
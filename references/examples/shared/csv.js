@@ -0,0 +1,449 @@
+/*
+ * CSV import and export of a schedule, so that its data can be edited in a spreadsheet.
+ *
+ * One CSV file holds several tables. Each table starts with a row with only its name in square brackets,
+ * such as "[Shifts]", followed by a header row with the field names and one row per item.
+ * A cell with a list separates its values with ";", and a cell with a map is written as "key=value;key=value".
+ * A ";", "=" or "\" inside such a value is escaped with a "\", such as "a\;b" for the single value "a;b".
+ * A reference to an item of another table is written as the id of that item.
+ * A cell that starts with "=", "+", "-" or "@", other than a number, is written with a leading "'",
+ * so that a spreadsheet shows it as text instead of running it as a formula.
+ */
+
+const CSV_LIST_SEPARATOR = ";";
+// Also matches a cell that already starts with "'" before a formula character, so that its own "'" survives an import.
+const CSV_FORMULA_START = /^'*[=+\-@]/;
+
+// Every schedule can override the weights of its constraints, which the tables of its format do not hold.
+const CSV_CONSTRAINT_WEIGHTS_TABLE = {
+    name: "ConstraintWeights",
+    rows: schedule => Object.entries(schedule.constraintWeights || {})
+        .map(([constraint, weight]) => ({constraint: constraint, weight: weight})),
+    columns: [
+        {field: "constraint"},
+        {field: "weight"},
+    ],
+};
+
+/**
+ * @typedef {Object} CsvColumn
+ * @property {string} field the field of the item, which is also the header of the column.
+ * @property {string} [type="string"] one of the keys of CSV_TYPES, or "enum".
+ * @property {Array<string>} [values] the allowed values of an "enum" column.
+ * @property {boolean} [list] whether the cell holds a list of values.
+ * @property {boolean} [map] whether the cell holds a map from keys to values.
+ * @property {string} [keyRef] the table whose ids the keys of a map must be.
+ * @property {string} [ref] the table whose items the values refer to by id.
+ * @property {boolean} [embed] whether a reference is read as the item itself instead of its id.
+ * @property {boolean} [optional] whether the cell may be empty, which is read as null.
+ *
+ * @typedef {Object} CsvTable
+ * @property {string} name the name of the table in the CSV file, such as "Shifts".
+ * @property {string} [id] the field that identifies the items, required if another table refers to them.
+ * @property {function(Object): Array<Object>} rows returns the items of a schedule to write in this table.
+ * @property {Array<CsvColumn>} columns
+ *
+ * @typedef {Object} CsvFormat
+ * @property {Array<CsvTable>} tables the tables in the order they are written.
+ * @property {function(Object<string, Array<Object>>): Object} toSchedule builds a schedule from the items
+ *           that were read, by table name.
+ */
+
+const CSV_TYPES = {
+    string: {description: "text", parse: value => value},
+    int: {description: "a whole number", parse: value => /^-?\d+$/.test(value) ? Number(value) : undefined},
+    number: {description: "a number", parse: value => /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : undefined},
+    boolean: {description: "true or false", parse: value => ({"true": true, "false": false})[value.toLowerCase()]},
+    date: {description: "a date such as 2024-03-01", parse: value => parseTemporal(JSJoda.LocalDate, value)},
+    // Spreadsheets tend to write a space between the date and the time.
+    datetime: {
+        description: "a date and time such as 2024-03-01T08:00",
+        parse: value => parseTemporal(JSJoda.LocalDateTime, value.replace(" ", "T"))
+    },
+    time: {description: "a time such as 08:00", parse: value => parseTemporal(JSJoda.LocalTime, value)},
+};
+
+function parseTemporal(type, value) {
+    try {
+        return type.parse(value).toString();
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * @param {CsvFormat} format
+ * @param {Object} schedule
+ * @returns {string} the CSV text of every table of the format.
+ */
+function writeCsvTables(format, schedule) {
+    const tablesByName = new Map(format.tables.map(table => [table.name, table]));
+    const lines = [];
+    [...format.tables, CSV_CONSTRAINT_WEIGHTS_TABLE].forEach(table => {
+        if (lines.length > 0) {
+            lines.push("");
+        }
+        lines.push(formatCsvRow([`[${table.name}]`]));
+        lines.push(formatCsvRow(table.columns.map(column => column.field)));
+        table.rows(schedule).forEach(item => lines.push(formatCsvRow(table.columns
+            .map(column => protectCsvFormula(formatCsvValue(column, item[column.field], tablesByName))))));
+    });
+    return lines.join("\r\n") + "\r\n";
+}
+
+function formatCsvValue(column, value, tablesByName) {
+    if (value == null) {
+        return "";
+    }
+    if (column.list) {
+        return value.map(item => escapeCsvListValue(formatCsvValue({...column, list: false}, item, tablesByName)))
+            .join(CSV_LIST_SEPARATOR);
+    }
+    if (column.map) {
+        return Object.entries(value).map(([key, item]) => `${escapeCsvListValue(key)}=${escapeCsvListValue(String(item))}`)
+            .join(CSV_LIST_SEPARATOR);
+    }
+    if (column.ref) {
+        // A reference is an object the first time the JSON mentions an item, and only its id after that.
+        return String(typeof value === "object" ? value[tablesByName.get(column.ref).id] : value);
+    }
+    return String(value);
+}
+
+function escapeCsvListValue(value) {
+    return value.replace(/[\\;=]/g, char => "\\" + char);
+}
+
+function protectCsvFormula(cell) {
+    return CSV_FORMULA_START.test(cell) && CSV_TYPES.number.parse(cell) === undefined ? "'" + cell : cell;
+}
+
+function formatCsvRow(cells) {
+    return cells.map(cell => /[",\r\n]|^\s|\s$/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell).join(",");
+}
+
+/**
+ * Reads the rows of a CSV text, with quoted cells as written by spreadsheets.
+ * @param {string} text
+ * @returns {Array<{line: number, cells: Array<string>}>} the rows, with the line on which each row starts.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = {line: 1, cells: []};
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === "\n") {
+                    line++;
+                }
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.cells.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++;
+            }
+            row.cells.push(cell);
+            rows.push(row);
+            line++;
+            row = {line: line, cells: []};
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== "" || row.cells.length > 0) {
+        row.cells.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Reads a schedule from a CSV text, checking every cell and every reference between the tables.
+ * @param {CsvFormat} format
+ * @param {string} text
+ * @returns {{schedule: ?Object, errors: Array<string>}} the schedule, or null with the lines and columns that failed.
+ */
+function readCsvTables(format, text) {
+    const errors = [];
+    const sections = splitCsvSections(format, text.replace(/^\uFEFF/, ""), errors);
+    // A file without the table, such as one of an older version, keeps the default weights.
+    const weightsSection = sections.get(CSV_CONSTRAINT_WEIGHTS_TABLE.name);
+    const constraintWeights = weightsSection === undefined ? []
+        : readCsvSection(CSV_CONSTRAINT_WEIGHTS_TABLE, weightsSection, errors);
+    const tablesByName = new Map(format.tables.map(table => [table.name, table]));
+    const itemsByTable = {};
+    const readTables = [];
+    format.tables.forEach(table => {
+        const section = sections.get(table.name);
+        if (section === undefined) {
+            errors.push(`The table [${table.name}] is missing.`);
+            return;
+        }
+        itemsByTable[table.name] = readCsvSection(table, section, errors);
+        readTables.push({table: table, section: section});
+    });
+
+    // All tables are read before resolving references, because a table can refer to one that comes later or to itself.
+    const itemIndexes = new Map();
+    readTables.forEach(({table, section}) => {
+        if (table.id === undefined) {
+            return;
+        }
+        const itemIndex = new Map();
+        itemsByTable[table.name].forEach((item, index) => {
+            const id = String(item[table.id]);
+            if (itemIndex.has(id)) {
+                errors.push(`Line ${section.rows[index].line}, column "${table.id}" of [${table.name}]: `
+                    + `the id "${id}" is used more than once.`);
+            }
+            itemIndex.set(id, item);
+        });
+        itemIndexes.set(table.name, itemIndex);
+    });
+    readTables.forEach(({table, section}) => {
+        itemsByTable[table.name].forEach((item, index) => {
+            table.columns.filter(column => column.ref || column.keyRef).forEach(column => {
+                const addError = message => errors.push(
+                    `Line ${section.rows[index].line}, column "${column.field}" of [${table.name}]: ${message}`);
+                if (column.keyRef) {
+                    const keyIndex = itemIndexes.get(column.keyRef);
+                    Object.keys(item[column.field] || {}).filter(key => keyIndex !== undefined && !keyIndex.has(key))
+                        .forEach(key => addError(`there is no item with id "${key}" in [${column.keyRef}].`));
+                }
+                const refIndex = itemIndexes.get(column.ref);
+                if (column.ref && refIndex !== undefined) { // A missing table is already reported.
+                    const resolve = id => {
+                        const target = refIndex.get(id);
+                        if (target === undefined) {
+                            addError(`there is no item with id "${id}" in [${column.ref}].`);
+                            return null;
+                        }
+                        return column.embed ? target : target[tablesByName.get(column.ref).id];
+                    };
+                    const value = item[column.field];
+                    if (column.list) {
+                        item[column.field] = value.map(resolve);
+                    } else if (value != null) {
+                        item[column.field] = resolve(value);
+                    }
+                }
+            });
+        });
+    });
+    if (errors.length > 0) {
+        return {schedule: null, errors: errors};
+    }
+    const schedule = format.toSchedule(itemsByTable);
+    if (weightsSection !== undefined) {
+        schedule.constraintWeights = Object.fromEntries(constraintWeights.map(row => [row.constraint, row.weight]));
+    }
+    return {schedule: schedule, errors: errors};
+}
+
+// Groups the rows by the table they belong to, each with its header row.
+function splitCsvSections(format, text, errors) {
+    const tableNames = [...format.tables, CSV_CONSTRAINT_WEIGHTS_TABLE].map(table => table.name);
+    const sections = new Map();
+    let section = null;
+    parseCsv(text).forEach(row => {
+        if (row.cells.every(cell => cell.trim() === "")) {
+            return;
+        }
+        const tableName = row.cells[0].trim().match(/^\[(.+)]$/);
+        if (tableName !== null && row.cells.slice(1).every(cell => cell.trim() === "")) {
+            if (!tableNames.includes(tableName[1])) {
+                errors.push(`Line ${row.line}: unknown table [${tableName[1]}], expected one of `
+                    + tableNames.map(name => `[${name}]`).join(", ") + ".");
+                section = {rows: []}; // Skips the rows of the unknown table.
+            } else if (sections.has(tableName[1])) {
+                errors.push(`Line ${row.line}: the table [${tableName[1]}] appears more than once.`);
+                section = {rows: []};
+            } else {
+                section = {line: row.line, header: null, rows: []};
+                sections.set(tableName[1], section);
+            }
+        } else if (section === null) {
+            errors.push(`Line ${row.line}: expected a table name such as [${tableNames[0]}] before the first row.`);
+            section = {rows: []};
+        } else if (section.header === null) {
+            section.header = row;
+        } else {
+            section.rows.push(row);
+        }
+    });
+    return sections;
+}
+
+function readCsvSection(table, section, errors) {
+    if (section.header === null) {
+        return [];
+    }
+    const headerLine = section.header.line;
+    const fields = table.columns.map(column => column.field);
+    const columnIndexes = new Map();
+    section.header.cells.forEach((cell, index) => {
+        const field = cell.trim();
+        if (!fields.includes(field)) {
+            errors.push(`Line ${headerLine}, column ${index + 1} of [${table.name}]: unknown column "${field}", `
+                + `expected one of ${fields.join(", ")}.`);
+        } else {
+            columnIndexes.set(field, index);
+        }
+    });
+    table.columns.filter(column => !columnIndexes.has(column.field) && !column.optional && !column.list && !column.map)
+        .forEach(column => errors.push(`Line ${headerLine}: the column "${column.field}" of [${table.name}] is missing.`));
+
+    return section.rows.map(row => {
+        const item = {};
+        table.columns.forEach(column => {
+            const index = columnIndexes.get(column.field);
+            const cell = index === undefined ? "" : unprotectCsvFormula((row.cells[index] || "").trim());
+            item[column.field] = readCsvCell(column, cell,
+                message => errors.push(`Line ${row.line}, column "${column.field}" of [${table.name}]: ${message}`));
+        });
+        return item;
+    });
+}
+
+// The leading "'" that an export writes before a cell that looks like a formula.
+function unprotectCsvFormula(cell) {
+    return cell.startsWith("'") && CSV_FORMULA_START.test(cell.substring(1)) ? cell.substring(1) : cell;
+}
+
+/**
+ * Splits a list cell, or a key=value pair of a map cell, at the separators that are not escaped with a "\".
+ * @param {string} text
+ * @param {string} separator
+ * @param {number} [limit] the most parts to return, the last one holding the rest of the text unsplit.
+ * @returns {Array<string>} the parts, still escaped.
+ */
+function splitCsvListValues(text, separator, limit = Infinity) {
+    const parts = [];
+    let part = "";
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === "\\" && i + 1 < text.length) {
+            part += text[i] + text[i + 1];
+            i++;
+        } else if (text[i] === separator && parts.length < limit - 1) {
+            parts.push(part);
+            part = "";
+        } else {
+            part += text[i];
+        }
+    }
+    parts.push(part);
+    return parts;
+}
+
+function unescapeCsvListValue(value) {
+    return value.replace(/\\(.)/g, "$1");
+}
+
+/**
+ * @param {string} cell a list cell
+ * @returns {Array<string>} the values of the list, without their escapes.
+ */
+function readCsvListValues(cell) {
+    return splitCsvListValues(cell, CSV_LIST_SEPARATOR).map(value => value.trim()).filter(value => value !== "")
+        .map(unescapeCsvListValue);
+}
+
+function readCsvCell(column, cell, addError) {
+    if (column.list) {
+        return readCsvListValues(cell).map(value => readCsvValue(column, value, addError));
+    }
+    if (column.map) {
+        const map = {};
+        splitCsvListValues(cell, CSV_LIST_SEPARATOR).map(entry => entry.trim()).filter(entry => entry !== "").forEach(entry => {
+            const pair = splitCsvListValues(entry, "=", 2);
+            if (pair.length < 2) {
+                addError(`"${entry}" is not a key=value pair.`);
+                return;
+            }
+            map[unescapeCsvListValue(pair[0].trim())] = readCsvValue(column, unescapeCsvListValue(pair[1].trim()), addError);
+        });
+        return map;
+    }
+    if (cell === "") {
+        if (!column.optional) {
+            addError("a value is required.");
+        }
+        return null;
+    }
+    return readCsvValue(column, cell, addError);
+}
+
+function readCsvValue(column, value, addError) {
+    if (column.ref) {
+        return value; // Resolved once all tables are read.
+    }
+    if (column.type === "enum") {
+        if (!column.values.includes(value)) {
+            addError(`"${value}" is not one of ${column.values.join(", ")}.`);
+        }
+        return value;
+    }
+    const type = CSV_TYPES[column.type || "string"];
+    const parsed = type.parse(value);
+    if (parsed === undefined) {
+        addError(`"${value}" is not ${type.description}.`);
+        return null;
+    }
+    return parsed;
+}
+
+/**
+ * Checks that a schedule read from a JSON file has every table and required field of the format,
+ * so that a file of another example or a truncated file is reported instead of failing to render.
+ * @param {CsvFormat} format
+ * @param {*} schedule
+ * @returns {Array<string>} what is missing, or nothing if the schedule has the expected shape.
+ */
+function checkScheduleShape(format, schedule) {
+    if (schedule === null || typeof schedule !== "object" || Array.isArray(schedule)) {
+        return ["The file does not hold a JSON object."];
+    }
+    const errors = [];
+    format.tables.forEach(table => {
+        let items;
+        try {
+            items = table.rows(schedule);
+        } catch (error) {
+            items = undefined; // A nested table whose parent items are missing.
+        }
+        if (!Array.isArray(items)) {
+            errors.push(`The file has no ${table.name}.`);
+            return;
+        }
+        items.forEach((item, index) => {
+            if (item === null || typeof item !== "object") {
+                errors.push(`${table.name} #${index + 1} is not an object.`);
+                return;
+            }
+            table.columns.forEach(column => {
+                const value = item[column.field];
+                if (value == null && !column.optional && !column.list && !column.map) {
+                    errors.push(`${table.name} #${index + 1} has no "${column.field}".`);
+                } else if (column.list && value != null && !Array.isArray(value)) {
+                    errors.push(`${table.name} #${index + 1} has a "${column.field}" that is not a list.`);
+                }
+            });
+        });
+    });
+    return errors;
+}
@@ -0,0 +1,234 @@
+/*
+ * Editor of the items of a schedule, such as employees, rooms and timeslots, to change the problem before solving.
+ *
+ * It edits the tables of the example's CSV format (see csv.js) as text cells, so every value is checked like a cell
+ * of an imported CSV file, and the edited tables are read back like an imported CSV file when they are applied.
+ * References between the tables are checked as soon as an item is saved or deleted.
+ */
+
+/**
+ * Opens the editor on a copy of the schedule.
+ * @param {CsvFormat} format
+ * @param {Object} schedule
+ * @param {function(Object): boolean} apply receives a schedule with only the edited tables,
+ *        and returns false if it cannot change the shown schedule, so the editor stays open with the edits.
+ */
+function openFactEditor(format, schedule, apply) {
+    const tablesByName = new Map(format.tables.map(table => [table.name, table]));
+    // The rows of each table as cells, as they would be written to a CSV file.
+    const rowsByTable = new Map(format.tables.map(table => [table.name, table.rows(schedule)
+        .map(item => table.columns.map(column => formatCsvValue(column, item[column.field], tablesByName)))]));
+    let shownTable = format.tables[0];
+    let editedRowIndex = null; // The row in the form, -1 for a new row, or null when no form is shown.
+
+    function getIds(tableName) {
+        const table = tablesByName.get(tableName);
+        const idIndex = table.columns.findIndex(column => column.field === table.id);
+        return rowsByTable.get(tableName).map(cells => cells[idIndex]);
+    }
+
+    // The items that refer to the item with the given id, as "[Table] id" descriptions.
+    function findReferences(tableName, id) {
+        const references = [];
+        format.tables.forEach(table => {
+            const idIndex = table.columns.findIndex(column => column.field === table.id);
+            table.columns.forEach((column, columnIndex) => {
+                if (column.ref !== tableName && column.keyRef !== tableName) {
+                    return;
+                }
+                rowsByTable.get(table.name).forEach((cells, rowIndex) => {
+                    const referredIds = splitCsvListValues(cells[columnIndex], CSV_LIST_SEPARATOR).map(value => {
+                        if (!column.map) {
+                            return value;
+                        }
+                        const [key, mapValue = ""] = splitCsvListValues(value, "=", 2);
+                        return column.ref === tableName ? mapValue : key;
+                    }).map(value => unescapeCsvListValue(value.trim()));
+                    if (referredIds.includes(id)) {
+                        references.push(`[${table.name}] ${idIndex < 0 ? `#${rowIndex + 1}` : cells[idIndex]}`);
+                    }
+                });
+            });
+        });
+        return references;
+    }
+
+    function render() {
+        const rows = rowsByTable.get(shownTable.name);
+        const tbody = $(`<tbody/>`);
+        rows.forEach((cells, rowIndex) => {
+            const row = $(`<tr/>`).appendTo(tbody);
+            cells.forEach(cell => row.append($(`<td class="text-truncate" style="max-width: 200px"/>`).text(cell).attr("title", cell)));
+            row.append($(`<td class="text-nowrap text-end"/>`)
+                .append($(`<button type="button" class="btn btn-light btn-sm p-1" title="Edit"/>`)
+                    .append($(`<span class="fas fa-pen"/>`))
+                    .click(() => showForm(rowIndex)))
+                .append($(`<button type="button" class="btn btn-light btn-sm p-1 ms-1" title="Delete"/>`)
+                    .append($(`<span class="fas fa-trash"/>`))
+                    .click(() => deleteRow(rowIndex))));
+        });
+        $("#editorRows").children().remove();
+        $("#editorRows")
+            .append($(`<div class="table-responsive" style="max-height: 40vh"/>`)
+                .append($(`<table class="table table-sm table-hover mb-2"/>`)
+                    .append($(`<thead class="sticky-top bg-white"/>`).append($(`<tr/>`)
+                        .append(shownTable.columns.map(column => $(`<th/>`).text(column.field)))
+                        .append($(`<th/>`))))
+                    .append(tbody)))
+            .append($(`<button type="button" class="btn btn-outline-primary btn-sm"/>`)
+                .append($(`<span class="fas fa-plus"/>`))
+                .append($(`<span/>`).text(` Add to ${shownTable.name}`))
+                .click(() => showForm(-1)));
+    }
+
+    function createInput(column, cell) {
+        if (column.ref) {
+            const select = $(`<select class="form-select form-select-sm"/>`).prop("multiple", !!column.list);
+            if (column.optional && !column.list) {
+                select.append($(`<option value=""/>`).text("(none)"));
+            }
+            getIds(column.ref).forEach(id => select.append($(`<option/>`).val(id).text(id)));
+            select.val(column.list ? readCsvListValues(cell) : cell);
+            return select;
+        }
+        if (!column.list && !column.map && (column.type === "enum" || column.type === "boolean")) {
+            const select = $(`<select class="form-select form-select-sm"/>`);
+            if (column.optional) {
+                select.append($(`<option value=""/>`).text("(none)"));
+            }
+            (column.type === "enum" ? column.values : ["true", "false"])
+                .forEach(value => select.append($(`<option/>`).val(value).text(value)));
+            return select.val(cell);
+        }
+        const inputTypes = {int: "number", number: "number", date: "date", datetime: "datetime-local", time: "time"};
+        const input = $(`<input class="form-control form-control-sm"/>`)
+            .attr("type", column.list || column.map ? "text" : (inputTypes[column.type] || "text"))
+            .val(cell);
+        if (column.type === "number" || column.type === "datetime" || column.type === "time") {
+            input.attr("step", "any");
+        }
+        if (column.map) {
+            input.attr("placeholder", `key=value${CSV_LIST_SEPARATOR}key=value`);
+        } else if (column.list) {
+            input.attr("placeholder", `value${CSV_LIST_SEPARATOR}value`);
+        }
+        return input;
+    }
+
+    function showForm(rowIndex) {
+        editedRowIndex = rowIndex;
+        const cells = rowIndex < 0 ? shownTable.columns.map(() => "") : rowsByTable.get(shownTable.name)[rowIndex];
+        const form = $(`<div class="card card-body mt-3"/>`)
+            .append($(`<h2 class="fs-6"/>`).text(rowIndex < 0 ? `New item of ${shownTable.name}` : `Edit ${shownTable.name} ${cells[0]}`));
+        shownTable.columns.forEach((column, columnIndex) => {
+            form.append($(`<div class="row mb-2"/>`)
+                .append($(`<label class="col-sm-3 col-form-label col-form-label-sm"/>`).text(column.field))
+                .append($(`<div class="col-sm-9"/>`)
+                    .append(createInput(column, cells[columnIndex]).attr("data-column-index", columnIndex))));
+        });
+        form.append($(`<div id="editorFormErrors"/>`))
+            .append($(`<div/>`)
+                .append($(`<button type="button" class="btn btn-primary btn-sm"/>`).text("Save").click(saveForm))
+                .append($(`<button type="button" class="btn btn-outline-secondary btn-sm ms-2"/>`).text("Cancel").click(closeForm)));
+        $("#editorForm").children().remove();
+        $("#editorForm").append(form);
+        $("#editorErrors").children().remove();
+    }
+
+    function closeForm() {
+        editedRowIndex = null;
+        $("#editorForm").children().remove();
+    }
+
+    function saveForm() {
+        const errors = [];
+        const cells = shownTable.columns.map((column, columnIndex) => {
+            const value = $(`#editorForm [data-column-index="${columnIndex}"]`).val();
+            // A select without options, such as a reference to an empty table, has no value.
+            const cell = Array.isArray(value) ? value.map(escapeCsvListValue).join(CSV_LIST_SEPARATOR) : (value ?? "").trim();
+            readCsvCell(column, cell, message => errors.push(`${column.field}: ${message}`));
+            return cell;
+        });
+        const rows = rowsByTable.get(shownTable.name);
+        if (shownTable.id !== undefined) {
+            const idIndex = shownTable.columns.findIndex(column => column.field === shownTable.id);
+            const id = cells[idIndex];
+            if (rows.some((otherCells, rowIndex) => rowIndex !== editedRowIndex && otherCells[idIndex] === id)) {
+                errors.push(`${shownTable.id}: the id "${id}" is already used.`);
+            }
+            if (editedRowIndex >= 0 && rows[editedRowIndex][idIndex] !== id) {
+                const references = findReferences(shownTable.name, rows[editedRowIndex][idIndex]);
+                if (references.length > 0) {
+                    errors.push(`${shownTable.id}: the id cannot change, as it is used by ${references.join(", ")}.`);
+                }
+            }
+        }
+        if (errors.length > 0) {
+            showErrors("#editorFormErrors", "The item cannot be saved:", errors);
+            return;
+        }
+        if (editedRowIndex < 0) {
+            rows.push(cells);
+        } else {
+            rows[editedRowIndex] = cells;
+        }
+        closeForm();
+        render();
+    }
+
+    function deleteRow(rowIndex) {
+        const rows = rowsByTable.get(shownTable.name);
+        if (shownTable.id !== undefined) {
+            const idIndex = shownTable.columns.findIndex(column => column.field === shownTable.id);
+            const references = findReferences(shownTable.name, rows[rowIndex][idIndex]);
+            if (references.length > 0) {
+                showErrors("#editorErrors", `${shownTable.name} ${rows[rowIndex][idIndex]} cannot be deleted, as it is used by:`,
+                    references);
+                return;
+            }
+        }
+        rows.splice(rowIndex, 1);
+        closeForm();
+        $("#editorErrors").children().remove();
+        render();
+    }
+
+    // Reads the edited tables like an imported CSV file, which checks them once more as a whole.
+    function applyEdits() {
+        const text = format.tables.map(table => [formatCsvRow([`[${table.name}]`]),
+            formatCsvRow(table.columns.map(column => column.field)),
+            ...rowsByTable.get(table.name).map(cells => formatCsvRow(cells.map(protectCsvFormula)))].join("\r\n")).join("\r\n\r\n");
+        const result = readCsvTables(format, text);
+        if (result.errors.length > 0) {
+            showErrors("#editorErrors", "The changes cannot be applied:", result.errors);
+            return;
+        }
+        if (apply(result.schedule)) {
+            bootstrap.Modal.getInstance("#editorModal").hide();
+        }
+    }
+
+    function showErrors(selector, title, errors) {
+        const errorList = $(`<ul class="mb-0"/>`);
+        errors.forEach(error => errorList.append($(`<li/>`).text(error)));
+        $(selector).children().remove();
+        $(selector).append($(`<div class="alert alert-danger mt-3 mb-0"/>`)
+            .append($(`<p/>`).text(title))
+            .append(errorList));
+    }
+
+    const tableSelect = $("#editorTable");
+    tableSelect.children().remove();
+    format.tables.forEach(table => tableSelect.append($(`<option/>`).val(table.name).text(table.name)));
+    tableSelect.val(shownTable.name).off("change").change(() => {
+        shownTable = tablesByName.get(tableSelect.val());
+        closeForm();
+        $("#editorErrors").children().remove();
+        render();
+    });
+    $("#editorApplyButton").off("click").click(applyEdits);
+    closeForm();
+    $("#editorErrors").children().remove();
+    render();
+    bootstrap.Modal.getOrCreateInstance("#editorModal").show();
+}
@@ -0,0 +1,77 @@
+/*
+ * Print mode for timetables: one page per room, person or group, with days as columns and times as rows,
+ * so that it can be pinned to a wall or saved as PDF through the browser print dialog.
+ * The page layout and page breaks are in print.css.
+ */
+
+/**
+ * @typedef {Object} PrintItem
+ * @property {string} day the label of the column, one of the days passed to printTimetables().
+ * @property {string} time the label of the row, one of the times passed to printTimetables().
+ * @property {string} title
+ * @property {Array<string>} [details] such as the teacher and the room.
+ * @property {{bg: string, fg: string}} color the color of pickColor(), which the legend explains.
+ */
+
+/**
+ * @typedef {Object} PrintPage
+ * @property {string} title such as the name of the room.
+ * @property {Array<PrintItem>} items
+ */
+
+/**
+ * Shows the pages in the print dialog. Everything else on the screen, such as the navbar and the buttons, is not printed.
+ * @param {string} title the title of every page, such as "Timetable by teacher".
+ * @param {Array<string>} days the column labels in order.
+ * @param {Array<string>} times the row labels in order.
+ * @param {Array<PrintPage>} pages
+ * @param {Array<{label: string, color: {bg: string, fg: string}}>} legend
+ */
+function printTimetables(title, days, times, pages, legend) {
+    $("#printView").remove();
+    const printView = $(`<div id="printView" class="print-view"/>`).appendTo("body");
+    pages.forEach(page => printView.append(createPrintPage(title, days, times, page, legend)));
+    $(window).one("afterprint", () => printView.remove());
+    window.print();
+}
+
+function createPrintPage(title, days, times, page, legend) {
+    const table = $(`<table class="print-timetable"/>`);
+    const headerRow = $("<tr>").appendTo($("<thead>").appendTo(table));
+    headerRow.append($("<th/>"));
+    days.forEach(day => headerRow.append($("<th/>").text(day)));
+    const tbody = $("<tbody>").appendTo(table);
+    times.forEach(time => {
+        const row = $("<tr>").appendTo(tbody);
+        row.append($("<th/>").text(time));
+        days.forEach(day => {
+            const cell = $("<td/>").appendTo(row);
+            page.items
+                .filter(item => item.day === day && item.time === time)
+                .forEach(item => cell.append(createPrintItem(item)));
+        });
+    });
+    return $(`<section class="print-page"/>`)
+        .append($(`<header class="print-header"/>`)
+            .append($("<h1/>").text(page.title))
+            .append($("<span/>").text(title)))
+        .append(table)
+        .append(createPrintLegend(legend));
+}
+
+function createPrintItem(item) {
+    const element = $(`<div class="print-item"/>`)
+        .css({"background-color": item.color.bg, "color": item.color.fg})
+        .append($("<strong/>").text(item.title));
+    (item.details || []).forEach(detail => element.append($("<div/>").text(detail)));
+    return element;
+}
+
+function createPrintLegend(legend) {
+    const element = $(`<div class="print-legend"/>`);
+    legend.forEach(entry => element
+        .append($(`<span class="print-legend-item"/>`)
+            .append($(`<span class="print-legend-color"/>`).css("background-color", entry.color.bg))
+            .append($("<span/>").text(entry.label))));
+    return element;
+}
@@ -0,0 +1,1399 @@
+// Shared solver client for the quickstart UIs.
+//
+// Every example's app.js creates one client with createSolverClient(), passing its REST base path,
+// accessors for its job id and loaded schedule, and the callback that renders a schedule.
+// The client owns the solve, stop, refresh and analyze flow, so that flow is maintained here once.
+// Each example's build copies this directory to META-INF/resources/shared, so it is served as /shared/solver-client.js.
+
+// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
+const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
+const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
+let COLOR_MAP = new Map();
+let nextColorIndex = 0;
+
+/**
+ * Forgets all picked colors.
+ * @param {Array<Array>} [presetColors] [object, {bg, fg}] pairs that keep a fixed color, for example a room name.
+ */
+function resetColorMap(presetColors = []) {
+    COLOR_MAP = new Map(presetColors);
+    nextColorIndex = 0;
+}
+
+function pickColor(object) {
+    let color = COLOR_MAP.get(object);
+    if (color !== undefined) {
+        return color;
+    }
+    let index = nextColorIndex++;
+    color = {bg: BG_COLORS[index], fg: FG_COLORS[index]};
+    COLOR_MAP.set(object, color);
+    return color;
+}
+
+function setupAjax() {
+    $.ajaxSetup({
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
+        }
+    });
+
+    // Extend jQuery to support $.put() and $.delete()
+    jQuery.each(["put", "delete"], function (i, method) {
+        jQuery[method] = function (url, data, callback, type) {
+            if (jQuery.isFunction(data)) {
+                type = type || callback;
+                callback = data;
+                data = undefined;
+            }
+            return jQuery.ajax({
+                url: url,
+                type: method,
+                dataType: type,
+                data: data,
+                success: callback
+            });
+        };
+    });
+}
+
+// How many earlier schedules undo can go back to.
+const HISTORY_LIMIT = 20;
+
+/**
+ * Creates the solve, stop, refresh and analyze flow of one example UI.
+ *
+ * @param {Object} config
+ * @param {string} config.basePath REST path of the solver resource, such as "/schedules" or "/timetables".
+ * @param {function(): ?string} config.getJobId returns the id of the current solver job, or null when none was submitted.
+ * @param {function(?string)} config.setJobId stores the id of the current solver job.
+ * @param {function(): Object} config.getSchedule returns the loaded schedule.
+ * @param {function(Object)} config.setSchedule stores a schedule that was fetched or imported.
+ * @param {string|function(): ?string} config.demoDataPath path of the demo data to load while there is no job,
+ *        or a function returning it, or null if no data set is selected.
+ * @param {function(Object)} config.render renders a schedule in the example's views.
+ * @param {string} [config.scheduleName="schedule"] what the solution is called in error messages.
+ * @param {function(Object)} [config.highlightMatch] highlights the items a constraint match justification is about.
+ *        Without it, the matches in the score analysis are listed but not clickable.
+ * @param {function(Object): Array<{id: *, name: string, assignment: ?string}>} [config.describeAssignments] lists
+ *        the planning entities of a schedule with a description of their planning variables, or null if unassigned.
+ *        Without it, comparing two solutions only compares their scores.
+ * @param {function(Array)} [config.highlightEntities] highlights the planning entities with the given ids.
+ * @param {CsvFormat} config.csvFormat the tables of a schedule in a CSV file, see csv.js.
+ *        A JSON file is checked against the same tables before it is imported,
+ *        and the problem fact editor of editor.js edits them.
+ * @param {Array<{field: string, label: string, min: number}>} [config.constraintProperties] the numeric fields of
+ *        the schedule's constraintProperties, which the constraint weights dialog shows above the weights.
+ * @param {boolean} [config.checkOnlyPenalties=false] whether the score analysis marks only the penalties without
+ *        matches as met, instead of every constraint without matches.
+ */
+function createSolverClient(config) {
+    const scheduleName = config.scheduleName || "schedule";
+    let eventSource = null;
+    let autoRefreshIntervalId = null;
+    let refreshInProgress = false;
+    let refreshQueued = false;
+    let solvingStartTime = null;
+    let scoreHistory = [];
+    // Whether the shown schedule has manual changes that no job or demo data set has.
+    let changedByHand = false;
+    // Snapshots of earlier schedules for undo and redo, the most recent last.
+    let undoHistory = [];
+    let redoHistory = [];
+    let beforeLastSolve = null;
+    let solving = false;
+    let keptForComparison = null;
+    let importType = "json";
+    // The rows of the constraint weights dialog, with the default weight of each constraint.
+    let constraintWeightRows = [];
+    // The query parameters of the solve request, such as {spentLimit: "PT5M"}. None keeps the configured values.
+    let runOptions = {};
+
+    function refreshSchedule() {
+        const jobId = config.getJobId();
+        let path = config.basePath + "/" + jobId;
+        if (jobId === null && changedByHand) {
+            // Fetching the demo data again would lose the manual changes.
+            showSchedule(config.getSchedule());
+            return $.Deferred().resolve().promise();
+        }
+        if (jobId === null) {
+            path = typeof config.demoDataPath === "function" ? config.demoDataPath() : config.demoDataPath;
+            if (path == null) {
+                alert("Please select a test data set.");
+                return $.Deferred().reject().promise();
+            }
+        }
+
+        return $.getJSON(path, function (schedule) {
+            showSchedule(schedule);
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            if (jobId !== null && xhr.status === 404) {
+                // The job was discarded or the server restarted since the job id was kept in the URL.
+                showSimpleError(`The ${scheduleName} of job ${jobId} no longer exists.`);
+                detachJob();
+                refreshSchedule();
+                return;
+            }
+            showError(`Getting the ${scheduleName} has failed.`, xhr);
+            refreshSolvingButtons(false);
+        });
+    }
+
+    // Fetches the full schedule at most once at a time: events that arrive during a fetch are folded into one more fetch.
+    function requestRefresh() {
+        if (refreshInProgress) {
+            refreshQueued = true;
+            return;
+        }
+        refreshInProgress = true;
+        refreshSchedule().always(function () {
+            refreshInProgress = false;
+            if (refreshQueued) {
+                refreshQueued = false;
+                requestRefresh();
+            }
+        });
+    }
+
+    function showSchedule(schedule) {
+        config.setSchedule(schedule);
+        if (config.getJobId() !== null) {
+            recordScore(schedule.score);
+        }
+        refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
+        $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
+        config.render(schedule);
+    }
+
+    function solve() {
+        const schedule = config.getSchedule();
+        const query = new URLSearchParams(runOptions).toString();
+        $.post(config.basePath + (query === "" ? "" : "?" + query), JSON.stringify(schedule), function (data) {
+            recordHistory(schedule, "solve");
+            beforeLastSolve = JSON.parse(JSON.stringify(schedule));
+            setJobId(data);
+            changedByHand = false;
+            solvingStartTime = Date.now();
+            scoreHistory = [];
+            drawScoreChart($("#scoreChart"), scoreHistory);
+            refreshSolvingButtons(true);
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            showError("Start solving failed.", xhr);
+            refreshSolvingButtons(false);
+        }, "text");
+    }
+
+    function setJobId(jobId) {
+        config.setJobId(jobId);
+        setUrlState("jobId", jobId);
+    }
+
+    /**
+     * Shows another job, or no job with null. The caller refreshes the schedule afterwards.
+     */
+    function attachJob(jobId) {
+        unsubscribeFromEvents();
+        setJobId(jobId);
+        changedByHand = false;
+        // The score chart only covers a job solved from this page, as the start time of another job is unknown.
+        solvingStartTime = null;
+        scoreHistory = [];
+        drawScoreChart($("#scoreChart"), scoreHistory);
+    }
+
+    function detachJob() {
+        attachJob(null);
+    }
+
+    function showJobs() {
+        bootstrap.Modal.getOrCreateInstance("#jobsModal").show();
+        const jobsModalContent = $("#jobsModalContent");
+        jobsModalContent.children().remove();
+        jobsModalContent.text("Loading...");
+        $.getJSON(config.basePath, function (jobIds) {
+            jobsModalContent.text("");
+            if (jobIds.length === 0) {
+                jobsModalContent.text("No jobs have been submitted yet.");
+                return;
+            }
+            const jobsTBody = $(`<tbody/>`);
+            jobsModalContent.append($(`<table class="table align-middle"/>`)
+                .append($(`<thead/>`).append($(`<tr/>`)
+                    .append($(`<th>Job</th>`))
+                    .append($(`<th>Status</th>`))
+                    .append($(`<th>Score</th>`))
+                    .append($(`<th></th>`))))
+                .append(jobsTBody));
+            $.each(jobIds, (_, jobId) => {
+                const jobCell = $(`<td/>`).append($(`<code/>`).text(jobId));
+                if (jobId === config.getJobId()) {
+                    jobCell.append($(`<span class="badge bg-primary ms-2"/>`).text("shown"));
+                }
+                const statusCell = $(`<td/>`).text("?");
+                const scoreCell = $(`<td/>`).text("?");
+                const actionsCell = $(`<td class="text-end text-nowrap"/>`);
+                jobsTBody.append($(`<tr/>`).append(jobCell, statusCell, scoreCell, actionsCell));
+
+                $.getJSON(config.basePath + "/" + jobId + "/status", function (status) {
+                    statusCell.text(status.solverStatus);
+                    scoreCell.text(status.score == null ? "?" : status.score);
+                    addJobActions(actionsCell, jobId, status.solverStatus !== "NOT_SOLVING");
+                }).fail(function (xhr, ajaxOptions, thrownError) {
+                    // The status of a job that failed while solving is its exception.
+                    statusCell.text(xhr.status === 500 ? "FAILED" : xhr.statusText);
+                    addJobActions(actionsCell, jobId, false);
+                });
+            });
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            showError("Getting the jobs has failed.", xhr);
+        });
+    }
+
+    function addJobActions(actionsCell, jobId, solving) {
+        const isShown = jobId === config.getJobId();
+        actionsCell
+            .append($(`<button type="button" class="btn btn-sm btn-outline-primary ms-1"/>`).text("Reattach")
+                .prop("disabled", isShown)
+                .click(() => {
+                    bootstrap.Modal.getInstance("#jobsModal").hide();
+                    attachJob(jobId);
+                    refreshSchedule();
+                }))
+            .append($(`<button type="button" class="btn btn-sm btn-outline-danger ms-1"/>`).text("Stop")
+                .prop("disabled", !solving)
+                .click(() => {
+                    $.delete(config.basePath + "/" + jobId, function () {
+                        if (isShown) {
+                            refreshSchedule();
+                        }
+                        showJobs();
+                    }).fail(function (xhr, ajaxOptions, thrownError) {
+                        showError("Stop solving failed.", xhr);
+                    });
+                }))
+            .append($(`<button type="button" class="btn btn-sm btn-outline-secondary ms-1"/>`).text("Discard")
+                .prop("disabled", solving)
+                .attr("title", solving ? "Stop the job before discarding it." : "")
+                .click(() => {
+                    $.delete(config.basePath + "/" + jobId + "?discard=true", function () {
+                        if (isShown) {
+                            detachJob();
+                            refreshSchedule();
+                        }
+                        showJobs();
+                    }).fail(function (xhr, ajaxOptions, thrownError) {
+                        showError("Discarding the job failed.", xhr);
+                    });
+                }));
+    }
+
+    /**
+     * Applies a manual change, such as a dragged timeline item, to a copy of the loaded schedule
+     * and shows how it changes the score, so the user can keep or undo it.
+     * @param {function(Object): (boolean|undefined)} change changes the given schedule copy,
+     *        or returns false if the change is not possible, for example an item dropped on a room instead of a bed.
+     * @param {string} [label="change"] what the change is called in the undo history, such as "move".
+     */
+    function previewChange(change, label = "change") {
+        const schedule = config.getSchedule();
+        if (!checkNotSolving(schedule)) {
+            return;
+        }
+        const changedSchedule = JSON.parse(JSON.stringify(schedule));
+        if (change(changedSchedule) === false) {
+            return;
+        }
+        const analyzePath = config.basePath + "/analyze?fetchPolicy=FETCH_SHALLOW";
+        $.when($.put(analyzePath, JSON.stringify(schedule)), $.put(analyzePath, JSON.stringify(changedSchedule)))
+            .done(function (before, after) {
+                changedSchedule.score = after[0].score;
+                showChangedSchedule(changedSchedule);
+                showChangePreview(schedule, before[0], after[0], label);
+            }).fail(function (xhr, ajaxOptions, thrownError) {
+                showError("Analyzing the change failed.", xhr);
+            });
+    }
+
+    /**
+     * Applies a manual change that does not need a preview, such as pinning, to the loaded schedule.
+     * @param {function(Object)} change changes the given schedule.
+     * @param {string} [label="change"] what the change is called in the undo history, such as "pin".
+     * @returns {boolean} false if the change was not applied, because the schedule is solving.
+     */
+    function applyChange(change, label = "change") {
+        const schedule = config.getSchedule();
+        if (!checkNotSolving(schedule)) {
+            return false;
+        }
+        recordHistory(schedule, label);
+        change(schedule);
+        keepChangedSchedule(schedule);
+        return true;
+    }
+
+    /**
+     * Shows a schedule that was imported from a file or generated, so that it can be solved and the import can be undone.
+     * @param {Object} schedule
+     * @param {string} [label="import"] what undo reverts, such as "generate".
+     */
+    function importSchedule(schedule, label = "import") {
+        if (config.getSchedule() != null) {
+            recordHistory(config.getSchedule(), label);
+        }
+        keepChangedSchedule(schedule);
+    }
+
+    function checkNotSolving(schedule) {
+        if (schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING") {
+            showSimpleError(`Stop solving before changing the ${scheduleName} by hand.`);
+            return false;
+        }
+        return true;
+    }
+
+    // The job's solution no longer matches the shown schedule, so solving again submits a new job.
+    function keepChangedSchedule(schedule) {
+        detachJob();
+        changedByHand = true;
+        showSchedule(schedule);
+    }
+
+    function showChangedSchedule(schedule) {
+        config.setSchedule(schedule);
+        $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
+        config.render(schedule);
+    }
+
+    function showChangePreview(originalSchedule, before, after, label) {
+        const changePreviewModalContent = $("#changePreviewModalContent");
+        changePreviewModalContent.children().remove();
+        changePreviewModalContent.text("");
+
+        const scoreComparison = compareScores(after.score, before.score);
+        changePreviewModalContent.append($(`<p/>`)
+            .append($(`<span/>`).text(`Score: ${before.score} → `))
+            .append($(`<b/>`).text(after.score)
+                .addClass(scoreComparison > 0 ? "text-success" : (scoreComparison < 0 ? "text-danger" : ""))));
+
+        const scoresBefore = new Map(before.constraints.map(constraint => [constraint.name, constraint.score]));
+        const changedConstraints = after.constraints
+            .filter(constraint => scoresBefore.get(constraint.name) !== constraint.score)
+            .sort((a, b) => compareScores(a.score, b.score));
+        if (changedConstraints.length === 0) {
+            changePreviewModalContent.append($(`<p/>`).text("No constraint changed."));
+        } else {
+            const changesTBody = $(`<tbody/>`);
+            $.each(changedConstraints, (_, constraint) => {
+                const scoreBefore = scoresBefore.get(constraint.name);
+                changesTBody.append($(`<tr/>`)
+                    .append($(`<td/>`).text(constraint.name))
+                    .append($(`<td/>`).text(scoreBefore))
+                    .append($(`<td/>`).text(constraint.score)
+                        .addClass(compareScores(constraint.score, scoreBefore) > 0 ? "text-success" : "text-danger")));
+            });
+            changePreviewModalContent.append($(`<table class="table"/>`)
+                .append($(`<thead/>`).append($(`<tr/>`)
+                    .append($(`<th>Constraint</th>`))
+                    .append($(`<th>Before</th>`))
+                    .append($(`<th>After</th>`))))
+                .append(changesTBody));
+        }
+
+        let kept = false;
+        $("#changePreviewKeepButton").off("click").click(() => {
+            kept = true;
+            bootstrap.Modal.getInstance("#changePreviewModal").hide();
+        });
+        $("#changePreviewUndoButton").off("click").click(() => {
+            bootstrap.Modal.getInstance("#changePreviewModal").hide();
+        });
+        // Closing the dialog in any other way than Keep undoes the change, so the previewed schedule never stays behind.
+        $("#changePreviewModal").off("hidden.bs.modal").one("hidden.bs.modal", () => {
+            if (kept) {
+                recordHistory(originalSchedule, label);
+                keepChangedSchedule(config.getSchedule());
+            } else {
+                showChangedSchedule(originalSchedule);
+            }
+        });
+        bootstrap.Modal.getOrCreateInstance("#changePreviewModal").show();
+    }
+
+    // Snapshots are deep copies, as some manual changes, such as pinning, change the shown schedule in place.
+    function takeSnapshot(schedule, label) {
+        return {schedule: JSON.parse(JSON.stringify(schedule)), label: label};
+    }
+
+    // Remembers the schedule as it was before a change, which starts a new line of history.
+    function recordHistory(schedule, label) {
+        undoHistory.push(takeSnapshot(schedule, label));
+        if (undoHistory.length > HISTORY_LIMIT) {
+            undoHistory.shift();
+        }
+        redoHistory = [];
+        refreshHistoryButtons();
+    }
+
+    function undo() {
+        moveThroughHistory(undoHistory, redoHistory);
+    }
+
+    function redo() {
+        moveThroughHistory(redoHistory, undoHistory);
+    }
+
+    function moveThroughHistory(from, to) {
+        const schedule = config.getSchedule();
+        if (from.length === 0 || !checkNotSolving(schedule)) {
+            return;
+        }
+        const snapshot = from.pop();
+        to.push(takeSnapshot(schedule, snapshot.label));
+        keepChangedSchedule(snapshot.schedule);
+        refreshHistoryButtons();
+    }
+
+    // Also undoable, as it is recorded like any other change.
+    function revertToBeforeLastSolve() {
+        const schedule = config.getSchedule();
+        if (beforeLastSolve === null || !checkNotSolving(schedule)) {
+            return;
+        }
+        recordHistory(schedule, "revert to before the last solve");
+        keepChangedSchedule(JSON.parse(JSON.stringify(beforeLastSolve)));
+    }
+
+    function refreshHistoryButtons() {
+        const lastUndo = undoHistory[undoHistory.length - 1];
+        const lastRedo = redoHistory[redoHistory.length - 1];
+        $("#undoButton").prop("disabled", solving || lastUndo === undefined)
+            .attr("title", lastUndo === undefined ? "Undo (Ctrl+Z)" : `Undo ${lastUndo.label} (Ctrl+Z)`);
+        $("#redoButton").prop("disabled", solving || lastRedo === undefined)
+            .attr("title", lastRedo === undefined ? "Redo (Ctrl+Y)" : `Redo ${lastRedo.label} (Ctrl+Y)`);
+        $("#revertSolveButton").prop("disabled", solving || beforeLastSolve === null);
+    }
+
+    // Keeps a copy of the shown schedule, such as a run that was stopped early, to compare a later solution with.
+    function keepForComparison() {
+        const schedule = config.getSchedule();
+        if (schedule == null) {
+            return;
+        }
+        keptForComparison = {schedule: JSON.parse(JSON.stringify(schedule)), keptAt: new Date()};
+        $("#compareButton").prop("disabled", false)
+            .attr("title", `Compare with the ${scheduleName} kept at ${keptForComparison.keptAt.toLocaleTimeString()}`
+                + ` (score ${schedule.score == null ? "?" : schedule.score})`);
+    }
+
+    function compare() {
+        if (keptForComparison === null) {
+            return;
+        }
+        const kept = keptForComparison.schedule;
+        const shown = config.getSchedule();
+        const compareModalContent = $("#compareModalContent");
+        compareModalContent.children().remove();
+        compareModalContent.text("");
+
+        compareModalContent.append($(`<table class="table w-auto"/>`)
+            .append($(`<thead/>`).append($(`<tr/>`)
+                .append($(`<th/>`))
+                .append($(`<th/>`).text(`Kept at ${keptForComparison.keptAt.toLocaleTimeString()}`))
+                .append($(`<th/>`).text("Shown"))))
+            .append($(`<tbody/>`).append($(`<tr/>`)
+                .append($(`<th/>`).text("Score"))
+                .append($(`<td/>`).text(kept.score == null ? "?" : kept.score))
+                .append($(`<td/>`).text(shown.score == null ? "?" : shown.score)))));
+
+        const constraintsDiv = $(`<div class="mb-3"/>`).text("Analyzing...");
+        compareModalContent.append($(`<h2 class="fs-6"/>`).text("Constraints"), constraintsDiv);
+        const analyzePath = config.basePath + "/analyze?fetchPolicy=FETCH_SHALLOW";
+        $.when($.put(analyzePath, JSON.stringify(kept)), $.put(analyzePath, JSON.stringify(shown)))
+            .done(function (keptAnalysis, shownAnalysis) {
+                showConstraintDeltas(constraintsDiv, keptAnalysis[0], shownAnalysis[0]);
+            }).fail(function (xhr, ajaxOptions, thrownError) {
+                constraintsDiv.text("");
+                showError("Analyzing the solutions failed.", xhr);
+            });
+
+        const changedIds = [];
+        if (config.describeAssignments) {
+            const keptAssignments = new Map(config.describeAssignments(kept).map(entity => [entity.id, entity]));
+            const changesTBody = $(`<tbody/>`);
+            $.each(config.describeAssignments(shown), (_, entity) => {
+                const keptEntity = keptAssignments.get(entity.id);
+                const keptAssignment = keptEntity === undefined ? null : keptEntity.assignment;
+                if (keptAssignment === entity.assignment) {
+                    return;
+                }
+                changedIds.push(entity.id);
+                const row = $(`<tr/>`)
+                    .append($(`<td/>`).text(entity.name))
+                    .append($(`<td/>`).text(keptAssignment == null ? "unassigned" : keptAssignment))
+                    .append($(`<td/>`).text(entity.assignment == null ? "unassigned" : entity.assignment));
+                if (config.highlightEntities) {
+                    row.css({cursor: 'pointer'}).click(() => {
+                        bootstrap.Modal.getInstance("#compareModal").hide();
+                        config.highlightEntities([entity.id]);
+                    });
+                }
+                changesTBody.append(row);
+            });
+            compareModalContent.append($(`<h2 class="fs-6"/>`).text(`Changed assignments (${changedIds.length})`));
+            if (changedIds.length === 0) {
+                compareModalContent.append($(`<p/>`).text("Every planning entity has the same assignment."));
+            } else {
+                compareModalContent.append($(`<table class="table table-hover"/>`)
+                    .append($(`<thead/>`).append($(`<tr/>`)
+                        .append($(`<th>Entity</th>`))
+                        .append($(`<th>Kept</th>`))
+                        .append($(`<th>Shown</th>`))))
+                    .append(changesTBody));
+            }
+        }
+
+        $("#compareHighlightButton").toggle(config.highlightEntities !== undefined && changedIds.length > 0)
+            .off("click").click(() => {
+                bootstrap.Modal.getInstance("#compareModal").hide();
+                config.highlightEntities(changedIds);
+            });
+        bootstrap.Modal.getOrCreateInstance("#compareModal").show();
+    }
+
+    function showConstraintDeltas(constraintsDiv, keptAnalysis, shownAnalysis) {
+        constraintsDiv.text("");
+        const keptScores = new Map(keptAnalysis.constraints.map(constraint => [constraint.name, constraint.score]));
+        const changedConstraints = shownAnalysis.constraints
+            .filter(constraint => keptScores.get(constraint.name) !== constraint.score)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const unchangedCount = shownAnalysis.constraints.length - changedConstraints.length;
+        if (changedConstraints.length > 0) {
+            const deltasTBody = $(`<tbody/>`);
+            $.each(changedConstraints, (_, constraint) => {
+                const keptScore = keptScores.get(constraint.name);
+                deltasTBody.append($(`<tr/>`)
+                    .append($(`<td/>`).text(constraint.name))
+                    .append($(`<td/>`).text(keptScore))
+                    .append($(`<td/>`).text(constraint.score))
+                    .append($(`<td/>`).text(getScoreDelta(keptScore, constraint.score))
+                        .addClass(compareScores(constraint.score, keptScore) > 0 ? "text-success" : "text-danger")));
+            });
+            constraintsDiv.append($(`<table class="table"/>`)
+                .append($(`<thead/>`).append($(`<tr/>`)
+                    .append($(`<th>Constraint</th>`))
+                    .append($(`<th>Kept</th>`))
+                    .append($(`<th>Shown</th>`))
+                    .append($(`<th>Delta</th>`))))
+                .append(deltasTBody));
+        }
+        constraintsDiv.append($(`<p class="text-muted"/>`).text(`${unchangedCount} constraint(s) have the same score.`));
+    }
+
+    // Downloads the shown schedule as JSON, in the same form as the REST API, to import it again later.
+    function exportJson() {
+        const schedule = config.getSchedule();
+        if (schedule == null) {
+            return;
+        }
+        downloadFile(`${scheduleName}.json`, JSON.stringify(schedule), "application/json");
+    }
+
+    // Downloads the shown schedule as one CSV file with a table per kind of item, to edit it in a spreadsheet.
+    function exportCsv() {
+        const schedule = config.getSchedule();
+        if (schedule == null) {
+            return;
+        }
+        downloadFile(`${scheduleName}.csv`, writeCsvTables(config.csvFormat, schedule), "text/csv;charset=utf-8");
+    }
+
+    /**
+     * Opens the import dialog for a JSON or a CSV file.
+     * @param {string} type "json" or "csv".
+     */
+    function showImport(type) {
+        importType = type;
+        $("#importModalLabel").text(`Import from a ${type.toUpperCase()} file`);
+        $("#csvImportHelp").toggle(type === "csv");
+        $("#importFile").val("").attr("accept", type === "csv" ? ".csv,text/csv" : ".json,application/json");
+        $("#importErrors").children().remove();
+        bootstrap.Modal.getOrCreateInstance("#importModal").show();
+    }
+
+    function importFile() {
+        const file = $("#importFile")[0].files[0];
+        if (file === undefined) {
+            showImportErrors([`Choose a ${importType.toUpperCase()} file to import.`]);
+            return;
+        }
+        file.text().then(text => {
+            const result = importType === "csv" ? readCsvTables(config.csvFormat, text) : readJsonSchedule(text);
+            if (result.errors.length > 0) {
+                showImportErrors(result.errors);
+                return;
+            }
+            bootstrap.Modal.getInstance("#importModal").hide();
+            clearTimelineWindow();
+            importSchedule(result.schedule);
+        }).catch(error => {
+            // The file could not be read, or the imported schedule could not be shown.
+            console.error(error);
+            showSimpleError(`Importing ${file.name} failed: ${error.message}`);
+        });
+    }
+
+    // Opens the editor of the problem facts, see editor.js. Applying the edits can be undone like any other change.
+    function showEditor() {
+        const schedule = config.getSchedule();
+        if (schedule == null || !checkNotSolving(schedule)) {
+            return;
+        }
+        // The edits replace the tables of the shown schedule, which keeps the fields that are not in them,
+        // such as the constraint weights, but not the outdated score.
+        openFactEditor(config.csvFormat, schedule, editedTables => applyChange(shownSchedule => {
+            Object.assign(shownSchedule, editedTables);
+            shownSchedule.score = null;
+        }, "edit"));
+    }
+
+    // Opens the dialog with the sizes and the random seed of the data to generate, which keeps the last values entered.
+    function showGenerate() {
+        $("#generateErrors").children().remove();
+        bootstrap.Modal.getOrCreateInstance("#generateModal").show();
+    }
+
+    // Asks the generate endpoint of the demo data for a schedule of the sizes in the dialog's form.
+    function generate() {
+        const form = $("#generateForm");
+        if (!form[0].reportValidity()) {
+            return;
+        }
+        const generateButton = $("#generateModalButton").prop("disabled", true);
+        // An empty optional field leaves its size to the generator.
+        const sizes = form.serializeArray().filter(field => field.value !== "");
+        $.getJSON("/demo-data/generate?" + $.param(sizes), function (schedule) {
+            bootstrap.Modal.getInstance("#generateModal").hide();
+            clearTimelineWindow();
+            importSchedule(schedule, "generate");
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : xhr.statusText;
+            $("#generateErrors").children().remove();
+            $("#generateErrors").append($(`<div class="alert alert-danger mt-3 mb-0"/>`)
+                .text(`Generating the ${scheduleName} has failed: ${message}`));
+        }).always(function () {
+            generateButton.prop("disabled", false);
+        });
+    }
+
+    // Opens the dialog with every constraint of the score analysis. Only soft constraints can be changed or disabled,
+    // because the hard ones define which schedules are feasible.
+    function showConstraintWeights() {
+        const schedule = config.getSchedule();
+        if (schedule == null || !checkNotSolving(schedule)) {
+            return;
+        }
+        // Without the overrides, the analysis has the default weight of every constraint, also of the disabled ones.
+        const defaultSchedule = {...schedule, constraintWeights: {}};
+        $.put(config.basePath + "/analyze?fetchPolicy=FETCH_SHALLOW", JSON.stringify(defaultSchedule), function (scoreAnalysis) {
+            renderConstraintWeights(schedule, scoreAnalysis.constraints);
+            bootstrap.Modal.getOrCreateInstance("#constraintWeightsModal").show();
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            showError("Analyzing the constraints failed.", xhr);
+        });
+    }
+
+    function renderConstraintWeights(schedule, constraints) {
+        const overrides = schedule.constraintWeights || {};
+        const form = $("#constraintWeightsForm");
+        form.children().remove();
+        (config.constraintProperties || []).forEach(property => {
+            const id = "constraintProperty-" + property.field;
+            form.append($(`<div class="row mb-3"/>`)
+                .append($(`<label class="col-sm-8 col-form-label"/>`).attr("for", id).text(property.label))
+                .append($(`<div class="col-sm-4"/>`)
+                    .append($(`<input type="number" class="form-control" step="1" required/>`)
+                        .attr({id: id, min: property.min})
+                        .val((schedule.constraintProperties || {})[property.field]))));
+        });
+
+        const tbody = $(`<tbody/>`);
+        constraintWeightRows = constraints
+            .map(constraint => ({name: constraint.name, defaultWeight: constraint.weight,
+                ...getConstraintWeightLevel(constraint.weight)}))
+            .sort((a, b) => SCORE_LEVELS.indexOf(a.level) - SCORE_LEVELS.indexOf(b.level) || a.name.localeCompare(b.name));
+        constraintWeightRows.forEach(row => {
+            const tr = $(`<tr/>`).appendTo(tbody);
+            row.enabledInput = $(`<input type="checkbox" class="form-check-input" checked/>`)
+                .attr("aria-label", `Enable ${row.name}`);
+            tr.append($(`<td/>`).append(row.enabledInput))
+                .append($(`<td/>`).text(row.name))
+                .append($(`<td/>`).text(row.level))
+                .append($(`<td class="text-end"/>`).text(row.value));
+            if (row.level !== "soft") {
+                row.enabledInput.prop("disabled", true);
+                tr.attr("title", "Only soft constraints can be changed.")
+                    .append($(`<td class="text-end"/>`).text(overrides[row.name] === undefined
+                        ? row.value : getConstraintWeightLevel(overrides[row.name]).value));
+                return;
+            }
+            const override = overrides[row.name] === undefined ? null : getConstraintWeightLevel(overrides[row.name]).value;
+            row.weightInput = $(`<input type="number" class="form-control form-control-sm text-end" min="0" step="1" required/>`)
+                .attr("aria-label", `Weight of ${row.name}`)
+                .val(override == null || override === 0 ? row.value : override);
+            row.enabledInput.prop("checked", override !== 0)
+                .change(() => row.weightInput.prop("disabled", !row.enabledInput.prop("checked")));
+            row.weightInput.prop("disabled", override === 0);
+            tr.append($(`<td style="width: 8rem"/>`).append(row.weightInput));
+        });
+        form.append($(`<table class="table table-sm align-middle mb-0"/>`)
+            .append($(`<thead/>`).append($(`<tr/>`)
+                .append($(`<th/>`).text("Enabled"))
+                .append($(`<th/>`).text("Constraint"))
+                .append($(`<th/>`).text("Type"))
+                .append($(`<th class="text-end"/>`).text("Default weight"))
+                .append($(`<th class="text-end"/>`).text("Weight"))))
+            .append(tbody));
+    }
+
+    // Keeps the weights that differ from the defaults as overrides in the schedule, so that the next solve uses them.
+    function applyConstraintWeights() {
+        const form = $("#constraintWeightsForm");
+        if (!form[0].reportValidity()) {
+            return;
+        }
+        const overrides = config.getSchedule().constraintWeights || {};
+        const constraintWeights = {};
+        constraintWeightRows.forEach(row => {
+            if (row.level !== "soft") {
+                // The dialog does not change them, but an imported schedule may have overrides for them.
+                if (overrides[row.name] !== undefined) {
+                    constraintWeights[row.name] = overrides[row.name];
+                }
+                return;
+            }
+            const weight = row.enabledInput.prop("checked") ? Number(row.weightInput.val()) : 0;
+            if (weight !== row.value) {
+                constraintWeights[row.name] = withSoftConstraintWeight(row.defaultWeight, weight);
+            }
+        });
+        const constraintProperties = config.constraintProperties || [];
+        bootstrap.Modal.getInstance("#constraintWeightsModal").hide();
+        applyChange(schedule => {
+            schedule.constraintWeights = constraintWeights;
+            if (constraintProperties.length > 0) {
+                schedule.constraintProperties = {...schedule.constraintProperties};
+                constraintProperties.forEach(property => schedule.constraintProperties[property.field] =
+                    Number($("#constraintProperty-" + property.field).val()));
+            }
+            schedule.score = null; // It was calculated with the old weights.
+        }, "constraint weights");
+    }
+
+    // Opens the dialog with the time limits, score limit and threads of the next solves, which keeps the last values entered.
+    function showRunOptions() {
+        bootstrap.Modal.getOrCreateInstance("#runOptionsModal").show();
+    }
+
+    // Keeps the options of the dialog for the next solves. The resource rejects invalid ones when solving starts.
+    function saveRunOptions() {
+        const form = $("#runOptionsForm");
+        if (!form[0].reportValidity()) {
+            return;
+        }
+        runOptions = {};
+        const spentLimit = $("#runOptionsSpentLimit").val();
+        if (spentLimit !== "") {
+            runOptions.spentLimit = `PT${spentLimit}${$("#runOptionsSpentLimitUnit").val()}`;
+        }
+        const unimprovedSpentLimit = $("#runOptionsUnimprovedSpentLimit").val();
+        if (unimprovedSpentLimit !== "") {
+            runOptions.unimprovedSpentLimit = `PT${unimprovedSpentLimit}${$("#runOptionsUnimprovedSpentLimitUnit").val()}`;
+        }
+        const bestScoreLimit = $("#runOptionsBestScoreLimit").val().trim();
+        if (bestScoreLimit !== "") {
+            runOptions.bestScoreLimit = bestScoreLimit;
+        }
+        const moveThreadCount = $("#runOptionsMoveThreadCount").val();
+        if (moveThreadCount !== "") {
+            runOptions.moveThreadCount = moveThreadCount;
+        }
+        $("#runOptionsButton").toggleClass("active", Object.keys(runOptions).length > 0);
+        bootstrap.Modal.getInstance("#runOptionsModal").hide();
+    }
+
+    // Checks the shape of the file before it replaces the shown schedule, which cannot render a different one.
+    function readJsonSchedule(text) {
+        let schedule;
+        try {
+            schedule = JSON.parse(text);
+        } catch (error) {
+            return {schedule: null, errors: [`The file is not valid JSON: ${error.message}`]};
+        }
+        const errors = checkScheduleShape(config.csvFormat, schedule);
+        if (errors.length > 0) {
+            return {schedule: null, errors: errors};
+        }
+        schedule.solverStatus = null; // The file may have been exported while solving.
+        return {schedule: schedule, errors: errors};
+    }
+
+    // Lists what failed in the import dialog itself, so the file can be fixed and imported again.
+    function showImportErrors(errors) {
+        const maxShownErrors = 50;
+        const errorList = $(`<ul class="mb-0"/>`);
+        errors.slice(0, maxShownErrors).forEach(error => errorList.append($(`<li/>`).text(error)));
+        if (errors.length > maxShownErrors) {
+            errorList.append($(`<li/>`).text(`And ${errors.length - maxShownErrors} more.`));
+        }
+        $("#importErrors").children().remove();
+        $("#importErrors").append($(`<div class="alert alert-danger mt-3 mb-0"/>`)
+            .append($(`<p/>`).text(`The file cannot be imported as a ${scheduleName}:`))
+            .append(errorList));
+    }
+
+    function stopSolving() {
+        $.delete(config.basePath + "/" + config.getJobId(), function () {
+            refreshSolvingButtons(false);
+            refreshSchedule();
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            showError("Stop solving failed.", xhr);
+        });
+    }
+
+    function refreshSolvingButtons(isSolving) {
+        solving = isSolving;
+        refreshHistoryButtons();
+        if (solving) {
+            $("#solveButton").hide();
+            $("#stopSolvingButton").show();
+            subscribeToEvents();
+        } else {
+            $("#solveButton").show();
+            $("#stopSolvingButton").hide();
+            unsubscribeFromEvents();
+        }
+    }
+
+    // Listens to the job's Server-Sent Events.
+    // Browsers without EventSource poll the lightweight status endpoint every 2 seconds instead.
+    function subscribeToEvents() {
+        if (eventSource != null || autoRefreshIntervalId != null || config.getJobId() === null) {
+            return;
+        }
+        if (typeof EventSource === "undefined") {
+            autoRefreshIntervalId = setInterval(pollStatus, 2000);
+            return;
+        }
+        eventSource = new EventSource(config.basePath + "/" + config.getJobId() + "/events");
+        eventSource.onmessage = function (event) {
+            handleStatus(JSON.parse(event.data));
+        };
+        eventSource.onerror = function () {
+            // The stream ends when solving ends or fails; the refresh shows which one and resubscribes if still solving.
+            unsubscribeFromEvents();
+            requestRefresh();
+        };
+    }
+
+    function pollStatus() {
+        $.getJSON(config.basePath + "/" + config.getJobId() + "/status", function (status) {
+            handleStatus(status);
+        }).fail(function (xhr, ajaxOptions, thrownError) {
+            // The full refresh reports the failure, for example an exception during solving.
+            requestRefresh();
+        });
+    }
+
+    // Fetches the full schedule only when the score changes or solving stops.
+    function handleStatus(status) {
+        recordScore(status.score);
+        const schedule = config.getSchedule();
+        if (schedule == null || status.score !== schedule.score || status.solverStatus !== schedule.solverStatus) {
+            requestRefresh();
+        }
+    }
+
+    // Keeps every new score with the seconds since solving started, for the chart next to the solve button.
+    function recordScore(score) {
+        if (score == null || solvingStartTime === null) {
+            return;
+        }
+        if (scoreHistory.length > 0 && scoreHistory[scoreHistory.length - 1].score === score) {
+            return;
+        }
+        scoreHistory.push({
+            elapsedSeconds: (Date.now() - solvingStartTime) / 1000,
+            score: score,
+            components: getScoreComponents(score),
+        });
+        drawScoreChart($("#scoreChart"), scoreHistory);
+    }
+
+    function unsubscribeFromEvents() {
+        if (eventSource != null) {
+            eventSource.close();
+            eventSource = null;
+        }
+        if (autoRefreshIntervalId != null) {
+            clearInterval(autoRefreshIntervalId);
+            autoRefreshIntervalId = null;
+        }
+    }
+
+    function analyze() {
+        new bootstrap.Modal("#scoreAnalysisModal").show()
+        const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
+        scoreAnalysisModalContent.children().remove();
+        const schedule = config.getSchedule();
+        if (schedule.score == null) {
+            scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
+        } else {
+            $('#scoreAnalysisScoreLabel').text(`(${schedule.score})`);
+            $.put(config.basePath + "/analyze?fetchPolicy=FETCH_ALL", JSON.stringify(schedule), function (scoreAnalysis) {
+                const constraints = scoreAnalysis.constraints;
+                constraints.forEach((e) => {
+                    let components = getScoreComponents(e.weight);
+                    e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
+                    e.weight = components[e.type];
+                    let scores = getScoreComponents(e.score);
+                    e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
+                });
+
+                const compareTypes = (a, b) => SCORE_LEVELS.indexOf(a.type) - SCORE_LEVELS.indexOf(b.type);
+                const columns = [
+                    {title: "Constraint", compare: (a, b) => a.name.localeCompare(b.name)},
+                    {title: "Type", compare: compareTypes},
+                    {title: "# Matches", compare: (a, b) => a.matches.length - b.matches.length},
+                    {title: "Weight", compare: (a, b) => compareTypes(a, b) || a.weight - b.weight},
+                    {title: "Score", compare: (a, b) => compareScores(a.score, b.score)},
+                ];
+                // Worst score first until the user sorts by another column.
+                let sortColumn = columns[4];
+                let sortAscending = true;
+
+                scoreAnalysisModalContent.children().remove();
+                scoreAnalysisModalContent.text("");
+
+                const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
+                const analysisHeaderRow = $(`<tr/>`).append($(`<th></th>`));
+                $.each(columns, (_, column) => {
+                    const sortIcon = $(`<span class="fas ms-1"/>`);
+                    column.header = $(`<th/>`).css({cursor: 'pointer', whiteSpace: 'nowrap'})
+                        .text(column.title)
+                        .append(sortIcon)
+                        .click(() => {
+                            sortAscending = sortColumn === column ? !sortAscending : true;
+                            sortColumn = column;
+                            renderRows();
+                        });
+                    column.sortIcon = sortIcon;
+                    analysisHeaderRow.append(column.header);
+                });
+                columns[0].header.css({textAlign: 'left'});
+                analysisHeaderRow.append($(`<th></th>`));
+                analysisTable.append($(`<thead/>`).append(analysisHeaderRow));
+                const analysisTBody = $(`<tbody/>`);
+                analysisTable.append(analysisTBody);
+                scoreAnalysisModalContent.append(analysisTable);
+                renderRows();
+
+                function renderRows() {
+                    $.each(columns, (_, column) => {
+                        column.sortIcon.removeClass('fa-sort-up fa-sort-down')
+                            .addClass(column === sortColumn ? (sortAscending ? 'fa-sort-up' : 'fa-sort-down') : '');
+                    });
+                    constraints.sort((a, b) => sortAscending ? sortColumn.compare(a, b) : sortColumn.compare(b, a));
+
+                    analysisTBody.children().remove();
+                    $.each(constraints, (index, constraintAnalysis) => {
+                        let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
+                        if (!icon) icon = constraintAnalysis.matches.length == 0 && (!config.checkOnlyPenalties || constraintAnalysis.weight < 0)
+                            ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
+
+                        let row = $(`<tr/>`);
+                        row.append($(`<td/>`).html(icon))
+                            .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
+                            .append($(`<td/>`).text(constraintAnalysis.type))
+                            .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
+                            .append($(`<td/>`).text(constraintAnalysis.weight))
+                            .append($(`<td/>`).text(constraintAnalysis.implicitScore));
+
+                        analysisTBody.append(row);
+
+                        if (constraintAnalysis.matches.length > 0) {
+                            let matchesRow = $(`<tr/>`).addClass("collapse").attr("id", "row" + index + "Collapse");
+                            let matchesListGroup = $(`<ul/>`).addClass('list-group').addClass('list-group-flush').css({textAlign: 'left'});
+
+                            $.each(constraintAnalysis.matches, (_, match) => {
+                                const matchItem = $(`<li/>`).addClass('list-group-item').addClass('list-group-item-light')
+                                    .append($(`<span/>`).text(describeJustification(match.justification)))
+                                    .append($(`<span class="badge bg-secondary float-end"/>`).text(match.score));
+                                if (config.highlightMatch) {
+                                    matchItem.addClass('list-group-item-action').css({cursor: 'pointer'}).click(() => {
+                                        bootstrap.Modal.getInstance("#scoreAnalysisModal").hide();
+                                        config.highlightMatch(match.justification);
+                                    });
+                                }
+                                matchesListGroup.append(matchItem);
+                            });
+
+                            matchesRow.append($(`<td/>`));
+                            matchesRow.append($(`<td/>`).attr('colspan', '6').append(matchesListGroup));
+                            analysisTBody.append(matchesRow);
+
+                            row.append($(`<td/>`).append($(`<a/>`).attr("data-toggle", "collapse").attr('href', "#row" + index + "Collapse").append($(`<span/>`).addClass('fas').addClass('fa-chevron-down')).click(e => {
+                                e.preventDefault(); // Keep the UI state in the URL hash.
+                                matchesRow.collapse('toggle');
+                                let target = $(e.target);
+                                if (target.hasClass('fa-chevron-down')) {
+                                    target.removeClass('fa-chevron-down').addClass('fa-chevron-up');
+                                } else {
+                                    target.removeClass('fa-chevron-up').addClass('fa-chevron-down');
+                                }
+                            })));
+                        } else {
+                            row.append($(`<td/>`));
+                        }
+                    });
+                }
+            }).fail(function (xhr, ajaxOptions, thrownError) {
+                showError("Analyze failed.", xhr);
+            }, "text");
+        }
+    }
+
+    // Undo and redo shortcuts, unless a form field handles them itself or a dialog is open.
+    $(document).keydown(function (event) {
+        if (!(event.ctrlKey || event.metaKey) || $(event.target).is("input, textarea, select") || $(".modal.show").length > 0) {
+            return;
+        }
+        const key = event.key.toLowerCase();
+        if (key === "z" && !event.shiftKey) {
+            event.preventDefault();
+            undo();
+        } else if (key === "y" || (key === "z" && event.shiftKey)) {
+            event.preventDefault();
+            redo();
+        }
+    });
+
+    // Reconnects to the job kept in the URL, if the page was reloaded while it was shown.
+    const urlJobId = getUrlState("jobId");
+    if (urlJobId !== null) {
+        config.setJobId(urlJobId);
+    }
+
+    return {
+        refreshSchedule: refreshSchedule,
+        showSchedule: showSchedule,
+        solve: solve,
+        stopSolving: stopSolving,
+        refreshSolvingButtons: refreshSolvingButtons,
+        analyze: analyze,
+        showJobs: showJobs,
+        detachJob: detachJob,
+        previewChange: previewChange,
+        applyChange: applyChange,
+        importSchedule: importSchedule,
+        undo: undo,
+        redo: redo,
+        revertToBeforeLastSolve: revertToBeforeLastSolve,
+        keepForComparison: keepForComparison,
+        compare: compare,
+        exportJson: exportJson,
+        exportCsv: exportCsv,
+        showImport: showImport,
+        importFile: importFile,
+        showEditor: showEditor,
+        showGenerate: showGenerate,
+        generate: generate,
+        showConstraintWeights: showConstraintWeights,
+        applyConstraintWeights: applyConstraintWeights,
+        showRunOptions: showRunOptions,
+        saveRunOptions: saveRunOptions,
+    };
+}
+
+// UI state kept in the URL hash, such as "#jobId=...&viewType=R", so that a reload or a shared link restores it.
+function getUrlState(key) {
+    return new URLSearchParams(window.location.hash.substring(1)).get(key);
+}
+
+function setUrlState(key, value) {
+    const state = new URLSearchParams(window.location.hash.substring(1));
+    if (value == null) {
+        state.delete(key);
+    } else {
+        state.set(key, value);
+    }
+    const hash = state.toString();
+    history.replaceState(null, "", hash === "" ? window.location.pathname + window.location.search : "#" + hash);
+}
+
+/**
+ * Shows the tab of the view type kept in the URL, and keeps the URL up to date when another tab is shown.
+ * viewTabs maps each view type to the id of its tab button. Returns the view type that is shown.
+ */
+function bindViewTabs(viewTabs, defaultViewType) {
+    $.each(viewTabs, (viewType, tabId) => {
+        $("#" + tabId).on("shown.bs.tab", () => setUrlState("viewType", viewType));
+    });
+    const urlViewType = getUrlState("viewType");
+    if (urlViewType === null || viewTabs[urlViewType] === undefined) {
+        return defaultViewType;
+    }
+    bootstrap.Tab.getOrCreateInstance("#" + viewTabs[urlViewType]).show();
+    return urlViewType;
+}
+
+/**
+ * Sets the window of the timeline to the date range kept in the URL, or to the given range if there is none.
+ */
+function setTimelineWindow(timeline, start, end) {
+    const from = getUrlState("from");
+    const to = getUrlState("to");
+    if (from !== null && to !== null) {
+        timeline.setWindow(from, to);
+    } else {
+        timeline.setWindow(start, end);
+    }
+}
+
+/**
+ * Keeps the date range in the URL up to date when the user moves or zooms the timeline.
+ */
+function trackTimelineWindow(timeline) {
+    timeline.on("rangechanged", properties => {
+        if (properties.byUser) {
+            setUrlState("from", properties.start.toISOString());
+            setUrlState("to", properties.end.toISOString());
+        }
+    });
+}
+
+function clearTimelineWindow() {
+    setUrlState("from", null);
+    setUrlState("to", null);
+}
+
+/**
+ * Converts a date reported by vis-timeline, such as the new start of a dragged item, back to a JSJoda.LocalDateTime.
+ * The timeline parsed the schedule's LocalDateTime strings in the browser's time zone, so the local fields are used.
+ */
+function toLocalDateTime(date) {
+    return JSJoda.LocalDateTime.of(date.getFullYear(), date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes());
+}
+
+const SCORE_LEVELS = ["hard", "medium", "soft"];
+
+/**
+ * Compares two score strings level by level, hard first, so that an ascending sort puts the worst score first.
+ * Decimal levels, as in a HardSoftBigDecimalScore, compare by value too.
+ */
+function compareScores(a, b) {
+    const aComponents = getScoreComponents(a), bComponents = getScoreComponents(b);
+    for (const level of SCORE_LEVELS) {
+        if (aComponents[level] !== bComponents[level]) {
+            return aComponents[level] < bComponents[level] ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * The difference between two scores of the same type, per level, such as "0hard/+120soft".
+ */
+function getScoreDelta(before, after) {
+    const beforeComponents = getScoreComponents(before), afterComponents = getScoreComponents(after);
+    return SCORE_LEVELS.filter(level => after.includes(level))
+        .map(level => {
+            const delta = afterComponents[level] - beforeComponents[level];
+            return (delta > 0 ? "+" : "") + delta + level;
+        })
+        .join("/");
+}
+
+const SCORE_LEVEL_COLORS = {
+    hard: {color: "#C10020", name: "red"},
+    medium: {color: "#E69F00", name: "orange"},
+    soft: {color: "#0072B2", name: "blue"},
+};
+
+/**
+ * Draws the scores seen while solving as a step line per score level.
+ * Each level is scaled to its own range, because hard and soft penalties usually differ by orders of magnitude.
+ *
+ * @param {jQuery} chart the SVG element to draw in
+ * @param {Array<{elapsedSeconds: number, score: string, components: Object}>} history the scores, oldest first
+ */
+function drawScoreChart(chart, history) {
+    chart.empty();
+    if (history.length === 0) {
+        chart.hide();
+        return;
+    }
+    chart.show();
+    const width = Number(chart.attr("width"));
+    const height = Number(chart.attr("height"));
+    const padding = 3;
+    const totalSeconds = Math.max(history[history.length - 1].elapsedSeconds, 0.001);
+    const x = point => padding + (width - 2 * padding) * point.elapsedSeconds / totalSeconds;
+    const levels = SCORE_LEVELS.filter(level => history.some(point => point.score.includes(level)));
+
+    $.each(levels, (_, level) => {
+        const values = history.map(point => point.components[level]);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const y = value => max === min ? height / 2 : padding + (height - 2 * padding) * (max - value) / (max - min);
+        const points = [];
+        $.each(history, (index, point) => {
+            if (index > 0) {
+                points.push(`${x(point).toFixed(1)},${y(values[index - 1]).toFixed(1)}`);
+            }
+            points.push(`${x(point).toFixed(1)},${y(values[index]).toFixed(1)}`);
+        });
+        const line = document.createElementNS("http://www.w3.org/2000/svg", "polyline");
+        line.setAttribute("points", points.join(" "));
+        line.setAttribute("fill", "none");
+        line.setAttribute("stroke", SCORE_LEVEL_COLORS[level].color);
+        line.setAttribute("stroke-width", "1.5");
+        chart.append(line);
+    });
+
+    const last = history[history.length - 1];
+    const title = document.createElementNS("http://www.w3.org/2000/svg", "title");
+    const legend = levels.map(level => `${level} in ${SCORE_LEVEL_COLORS[level].name}`).join(", ");
+    title.textContent = `Score over time (${legend}): ${last.score} after ${last.elapsedSeconds.toFixed(1)}s`;
+    chart.append(title);
+}
+
+function getScoreComponents(score) {
+    let components = {hard: 0, medium: 0, soft: 0};
+
+    // Also matches decimal levels, as employee and tournament scheduling parsed their BigDecimal scores before.
+    // A bendable score, such as "[0]hard/[0/-5]soft", has no single level value and keeps all levels at 0.
+    $.each([...score.matchAll(/(-?\d+(\.\d+)?)(hard|medium|soft)/g)], (i, parts) => {
+        components[parts[3]] = parseFloat(parts[1]);
+    });
+
+    return components;
+}
+
+/**
+ * The level of a constraint weight, which is the first level that is not zero, and the weight at that level,
+ * such as {level: "soft", value: 10} for "0hard/10soft". Bendable weights, such as "[0]hard/[0/1/0]soft", too.
+ */
+function getConstraintWeightLevel(weight) {
+    for (const [, numbers, level] of weight.matchAll(/\[?([-\d./]*)\]?(hard|medium|soft)/g)) {
+        const value = numbers.split("/").filter(number => number !== "").map(Number).find(number => number !== 0);
+        if (value !== undefined) {
+            return {level: level, value: value};
+        }
+    }
+    return {level: "soft", value: 0};
+}
+
+/**
+ * The given soft constraint weight with another value at its level, such as "0hard/5soft" for "0hard/10soft" and 5.
+ * A value of 0 disables the constraint.
+ */
+function withSoftConstraintWeight(weight, value) {
+    return weight.replace(/\[?[-\d./]*\]?soft$/, soft => soft.replace(/-?\d+(\.\d+)?/g,
+        number => Number(number) !== 0 ? String(value) : number));
+}
+
+// A custom justification describes itself; the default one only lists the matched facts.
+function describeJustification(justification) {
+    if (justification.description) {
+        return justification.description;
+    }
+    return (justification.facts || []).map(fact => typeof fact === "object" && fact !== null
+        ? (fact.id ?? fact.name ?? JSON.stringify(fact))
+        : fact).join(", ");
+}
+
+/**
+ * Returns the facts of a default constraint justification that have the given property,
+ * which tells the example's entities apart from the other facts of a match.
+ */
+function getJustificationFacts(justification, property) {
+    return (justification.facts || []).filter(fact => typeof fact === "object" && fact !== null && fact[property] !== undefined);
+}
+
+/**
+ * Outlines the given elements, and only those, as the ones a constraint match is about.
+ */
+function highlightElements(elements) {
+    $(".match-highlight").removeClass("match-highlight border-danger border-3");
+    elements.addClass("match-highlight border-danger border-3");
+    if (elements.length > 0) {
+        elements[0].scrollIntoView({block: "center"});
+    }
+}
+
+/**
+ * Saves the given text or Blob as a file through the browser's downloads.
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], {type: type}));
+    const link = $("<a/>").attr({href: url, download: fileName}).appendTo("body");
+    link[0].click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function copyTextToClipboard(id) {
+    var text = $("#" + id).text().trim();
+
+    var dummy = document.createElement("textarea");
+    document.body.appendChild(dummy);
+    dummy.value = text;
+    dummy.select();
+    document.execCommand("copy");
+    document.body.removeChild(dummy);
+}
+
+function showSimpleError(title) {
+    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
+        .append($(`<div class="toast-header bg-danger">
+                 <strong class="me-auto text-dark">Error</strong>
+                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
+               </div>`))
+        .append($(`<div class="toast-body"/>`)
+            .append($(`<p/>`).text(title))
+        );
+    $("#notificationPanel").append(notification);
+    notification.toast({delay: 30000});
+    notification.toast('show');
+}
+
+function showError(title, xhr) {
+    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
+    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
+    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
+    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
+
+    if (xhr.responseJSON && !serverErrorMessage) {
+        serverErrorMessage = JSON.stringify(xhr.responseJSON);
+        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
+        serverErrorId = `----`;
+    }
+
+    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
+    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
+        .append($(`<div class="toast-header bg-danger">
+                 <strong class="me-auto text-dark">Error</strong>
+                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
+               </div>`))
+        .append($(`<div class="toast-body"/>`)
+            .append($(`<p/>`).text(title))
+            .append($(`<pre/>`)
+                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
+            )
+        );
+    $("#notificationPanel").append(notification);
+    notification.toast({delay: 30000});
+    notification.toast('show');
+}
@@ -8,13 +8,20 @@ import static org.acme.taskassigning.domain.Priority.CRITICAL;
 import static org.acme.taskassigning.domain.Priority.MAJOR;
 import static org.acme.taskassigning.domain.Priority.MINOR;
 
+import java.util.ArrayList;
+import java.util.Collections;
+import java.util.HashMap;
+import java.util.LinkedHashMap;
 import java.util.List;
 import java.util.Map;
+import java.util.Random;
 
 import jakarta.enterprise.context.ApplicationScoped;
 
+import org.acme.taskassigning.domain.Affinity;
 import org.acme.taskassigning.domain.Customer;
 import org.acme.taskassigning.domain.Employee;
+import org.acme.taskassigning.domain.Priority;
 import org.acme.taskassigning.domain.Task;
 import org.acme.taskassigning.domain.TaskAssigningSolution;
 import org.acme.taskassigning.domain.TaskType;
@@ -43,6 +50,35 @@ public class DemoDataGenerator {
     private static final Customer STONE_LIMITED_CUSTOMER = new Customer("3", "Stone Limited");
     private static final Customer WOOD_EXPRESS_CUSTOMER = new Customer("4", "Wood Express");
 
+    private static final List<String> SKILLS = List.of(PROBLEM_SOLVING_SKILL, TEAM_BUILDING_SKILL,
+            BUSINESS_STORYTELLING_SKILL, RISK_MANAGEMENT_SKILL, CREATIVE_THINKING_SKILL, STRATEGIC_PLANNING_SKILL);
+    private static final List<TaskType> TASK_TYPES =
+            List.of(IMPROVE_SALES_TASK_TYPE, EXPAND_TAX_TASK_TYPE, SHRINK_VAT_TASK_TYPE, APPROVE_LEGAL_TASK_TYPE);
+    private static final List<String> CUSTOMER_NAMES = List.of("Steel Inc", "Paper Corp", "Stone Limited", "Wood Express",
+            "Glass Works", "Clay Company", "Sand Group", "Iron Traders");
+    private static final String[] FIRST_NAMES = { "Amy", "Beth", "Carl", "Dan", "Elsa", "Flo", "Gus", "Hugo", "Ivy", "Jay" };
+    private static final String[] LAST_NAMES = { "Cole", "Fox", "Green", "Jones", "King", "Li", "Poe", "Rye", "Smith", "Watt" };
+    private static final int MAX_TASK_COUNT = 1000;
+
+    /**
+     * The size of a generated plan, with the task types and skills of the demo data.
+     */
+    public record DemoDataParameters(int employeeCount, int taskCount, int customerCount, int randomSeed) {
+
+        public DemoDataParameters {
+            checkRange("employees", employeeCount, FIRST_NAMES.length * LAST_NAMES.length);
+            checkRange("tasks", taskCount, MAX_TASK_COUNT);
+            checkRange("customers", customerCount, CUSTOMER_NAMES.size());
+        }
+
+        private static void checkRange(String name, int value, int max) {
+            if (value < 1 || value > max) {
+                throw new IllegalArgumentException("The number of %s (%d) must be between 1 and %d."
+                        .formatted(name, value, max));
+            }
+        }
+    }
+
     public TaskAssigningSolution generateDemoData() {
         TaskAssigningSolution plan = new TaskAssigningSolution();
         // Customers
@@ -61,6 +97,46 @@ public class DemoDataGenerator {
         return plan;
     }
 
+    public TaskAssigningSolution generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
+        List<Customer> customers = new ArrayList<>(parameters.customerCount());
+        for (int i = 0; i < parameters.customerCount(); i++) {
+            customers.add(new Customer(Integer.toString(i + 1), CUSTOMER_NAMES.get(i)));
+        }
+
+        // The first names of the demo employees, followed by full names when there are more employees.
+        List<Employee> employees = new ArrayList<>(parameters.employeeCount());
+        for (int i = 0; i < parameters.employeeCount(); i++) {
+            String fullName = i < FIRST_NAMES.length ? FIRST_NAMES[i]
+                    : FIRST_NAMES[i % FIRST_NAMES.length] + " " + LAST_NAMES[i / FIRST_NAMES.length - 1];
+            List<String> shuffledSkills = new ArrayList<>(SKILLS);
+            Collections.shuffle(shuffledSkills, random);
+            List<String> skills = List.copyOf(shuffledSkills.subList(0, random.nextInt(2, 4)));
+            Map<Customer, Affinity> customerToAffinity = new LinkedHashMap<>();
+            customers.forEach(customer -> customerToAffinity.put(customer,
+                    Affinity.values()[random.nextInt(Affinity.values().length)]));
+            employees.add(new Employee(Integer.toString(i + 1), fullName, skills, customerToAffinity));
+        }
+
+        // Half of the tasks are minor, a third major and the rest critical.
+        List<Task> tasks = new ArrayList<>(parameters.taskCount());
+        Map<TaskType, Integer> taskTypeToCount = new HashMap<>();
+        for (int i = 0; i < parameters.taskCount(); i++) {
+            TaskType taskType = TASK_TYPES.get(random.nextInt(TASK_TYPES.size()));
+            double priorityChoice = random.nextDouble();
+            Priority priority = priorityChoice < 0.5 ? MINOR : priorityChoice < 0.85 ? MAJOR : CRITICAL;
+            tasks.add(new Task(Integer.toString(i + 1), taskType, taskTypeToCount.merge(taskType, 1, Integer::sum),
+                    customers.get(random.nextInt(customers.size())), priority));
+        }
+
+        TaskAssigningSolution plan = new TaskAssigningSolution();
+        plan.setTaskTypes(TASK_TYPES);
+        plan.setCustomers(customers);
+        plan.setEmployees(employees);
+        plan.setTasks(tasks);
+        return plan;
+    }
+
     private List<Task> generateTasks() {
         return List.of(
                 new Task("1", SHRINK_VAT_TASK_TYPE, 1, PAPER_CORP_CUSTOMER, MINOR),
@@ -1,15 +1,20 @@
 package org.acme.taskassigning.rest;
 
 import jakarta.inject.Inject;
+import jakarta.ws.rs.DefaultValue;
 import jakarta.ws.rs.GET;
 import jakarta.ws.rs.Path;
+import jakarta.ws.rs.QueryParam;
 import jakarta.ws.rs.core.MediaType;
 import jakarta.ws.rs.core.Response;
 
 import org.acme.taskassigning.domain.TaskAssigningSolution;
+import org.acme.taskassigning.rest.DemoDataGenerator.DemoDataParameters;
+import org.acme.taskassigning.rest.exception.ErrorInfo;
 import org.eclipse.microprofile.openapi.annotations.Operation;
 import org.eclipse.microprofile.openapi.annotations.media.Content;
 import org.eclipse.microprofile.openapi.annotations.media.Schema;
+import org.eclipse.microprofile.openapi.annotations.parameters.Parameter;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponse;
 import org.eclipse.microprofile.openapi.annotations.responses.APIResponses;
 import org.eclipse.microprofile.openapi.annotations.tags.Tag;
@@ -35,4 +40,34 @@ public class TaskAssigningDemoResource {
         return Response.ok(dataGenerator.generateDemoData()).build();
     }
 
+    @APIResponses(value = {
+            @APIResponse(responseCode = "200", description = "Unsolved generated schedule.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = TaskAssigningSolution.class))),
+            @APIResponse(responseCode = "400", description = "A size is out of range.",
+                    content = @Content(mediaType = MediaType.APPLICATION_JSON,
+                            schema = @Schema(implementation = ErrorInfo.class))) })
+    @Operation(summary = "Generate an unsolved schedule of the given size.")
+    @GET
+    @Path("/generate")
+    public Response generateOfSize(
+            @Parameter(description = "The number of employees, each with 2 or 3 skills.")
+            @QueryParam("employeeCount") @DefaultValue("8") int employeeCount,
+            @Parameter(description = "The number of tasks.")
+            @QueryParam("taskCount") @DefaultValue("28") int taskCount,
+            @Parameter(description = "The number of customers.")
+            @QueryParam("customerCount") @DefaultValue("4") int customerCount,
+            @Parameter(description = "The seed of the random choices, the same seed and sizes give the same schedule.")
+            @QueryParam("randomSeed") @DefaultValue("0") int randomSeed) {
+        try {
+            return Response.ok(dataGenerator.generateDemoData(
+                    new DemoDataParameters(employeeCount, taskCount, customerCount, randomSeed))).build();
+        } catch (IllegalArgumentException e) {
+            return Response.status(Response.Status.BAD_REQUEST)
+                    .type(MediaType.APPLICATION_JSON)
+                    .entity(new ErrorInfo(null, e.getMessage()))
+                    .build();
+        }
+    }
+
 }
@@ -1,5 +1,3 @@
-let autoRefreshIntervalId = null;
-
 const byEmployeePanel = document.getElementById("byEmployeePanel");
 const byEmployeeTimelineOptions = {
     timeAxis: {scale: "hour", step: 1},
@@ -12,91 +10,102 @@ const byEmployeeTimelineOptions = {
 const byEmployeeGroupData = new vis.DataSet();
 const byEmployeeItemData = new vis.DataSet();
 const byEmployeeTimeline = new vis.Timeline(byEmployeePanel, byEmployeeItemData, byEmployeeGroupData, byEmployeeTimelineOptions);
+trackTimelineWindow(byEmployeeTimeline);
 
 let planId = null;
 let loadedPlan = null;
 let viewType = "E";
 
-// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
-const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
-const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
-let COLOR_MAP = new Map()
-let nextColorIndex = 0
-
-function pickColor(object) {
-    let color = COLOR_MAP.get(object);
-    if (color !== undefined) {
-        return color;
-    }
-    let index = nextColorIndex++;
-    color = {bg : BG_COLORS[index], fg: FG_COLORS[index]};
-    COLOR_MAP.set(object,color);
-    return color;
-}
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => planId,
+    setJobId: jobId => planId = jobId,
+    getSchedule: () => loadedPlan,
+    setSchedule: plan => loadedPlan = plan,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeTasks,
+    highlightEntities: highlightTasks,
+    csvFormat: createCsvFormat(),
+});
 
 $(document).ready(function () {
 
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
     });
     $("#byEmployeeTab").click(function () {
         viewType = "E";
         byEmployeeTimeline.redraw();
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
 
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + planId;
-    if (planId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (plan) {
-        loadedPlan = plan;
-        $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedPlan));
-        renderSchedule(plan);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(plan) {
-    refreshSolvingButtons(plan.solverStatus != null && plan.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (plan.score == null ? "?" : plan.score));
     $("#info").text(`This dataset has ${plan.tasks.length} tasks and ${plan.employees.length} employees.`);
 
     if (viewType === "E") {
@@ -223,166 +232,89 @@ function renderScheduleByEmployee(plan) {
         unassigned.append(banner);
     }
 
-    byEmployeeTimeline.setWindow(JSJoda.LocalDateTime.now().withHour(8).withMinute(0).toString(),
+    setTimelineWindow(byEmployeeTimeline, JSJoda.LocalDateTime.now().withHour(8).withMinute(0).toString(),
         JSJoda.LocalDateTime.now().withHour(12).withMinute(0).toString());
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedPlan), function (data) {
-        planId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
-}
-
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedPlan.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedPlan.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedPlan), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
-    }
-}
-
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?[0-9]+)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[2]] = parseInt(parts[1], 10);
-    });
-
-    return components;
+// A task is assigned to an employee and to its position in that employee's task list.
+function describeTasks(plan) {
+    const taskTypeMap = new Map();
+    plan.taskTypes.forEach(t => taskTypeMap.set(t.code, t));
+    const assignments = new Map();
+    plan.employees.forEach(e => e.tasks.forEach((taskId, index) => assignments.set(taskId, `${e.fullName} #${index + 1}`)));
+    return plan.tasks.map(task => ({
+        id: task.id,
+        name: `${taskTypeMap.get(task.taskType).title}-${task.indexInTaskType}`,
+        assignment: assignments.get(task.id) || null
+    }));
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
-    }
+function highlightMatch(justification) {
+    // Tasks are serialized with their id only once they already appeared earlier in the score analysis.
+    highlightTasks((justification.facts || [])
+        .map(fact => typeof fact === "object" && fact !== null ? (fact.taskType !== undefined ? fact.id : null) : fact)
+        .filter(id => id != null));
 }
 
-function stopSolving() {
-    $.delete("/schedules/" + planId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
-    });
+function highlightTasks(taskIds) {
+    byEmployeeTimeline.setSelection(taskIds, {focus: taskIds.length > 0});
 }
 
-function copyTextToClipboard(id) {
-    let text = $("#" + id).text().trim();
-
-    let dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
+// The task types, customers, tasks and employees with their task lists as tables of a CSV file, see csv.js.
+function createCsvFormat() {
+    return {
+        tables: [
+            {
+                name: "TaskTypes",
+                id: "code",
+                rows: plan => plan.taskTypes,
+                columns: [
+                    {field: "code"},
+                    {field: "title"},
+                    {field: "baseDuration", type: "int"},
+                    {field: "requiredSkills", list: true},
+                ]
+            },
+            {
+                name: "Customers",
+                id: "id",
+                rows: plan => plan.customers,
+                columns: [
+                    {field: "id"},
+                    {field: "name"},
+                ]
+            },
+            {
+                name: "Tasks",
+                id: "id",
+                rows: plan => plan.tasks,
+                columns: [
+                    {field: "id"},
+                    {field: "taskType", ref: "TaskTypes"},
+                    {field: "indexInTaskType", type: "int"},
+                    {field: "customer", ref: "Customers"},
+                    {field: "minStartTime", type: "int"},
+                    {field: "priority", type: "enum", values: ["MINOR", "MAJOR", "CRITICAL"]},
+                ]
+            },
+            {
+                name: "Employees",
+                id: "id",
+                rows: plan => plan.employees,
+                columns: [
+                    {field: "id"},
+                    {field: "fullName"},
+                    {field: "skills", list: true},
+                    {field: "customerToAffinity", type: "enum", values: ["NONE", "LOW", "MEDIUM", "HIGH"], map: true, keyRef: "Customers"},
+                    {field: "tasks", ref: "Tasks", list: true},
+                ]
+            },
+        ],
+        toSchedule: tables => ({
+            taskTypes: tables.TaskTypes,
+            customers: tables.Customers,
+            tasks: tables.Tasks,
+            employees: tables.Employees,
+        }),
+    };
 }
-
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
-
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
-    }
-
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
-}
\ No newline at end of file
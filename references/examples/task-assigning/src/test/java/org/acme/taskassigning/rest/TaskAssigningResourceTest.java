@@ -6,7 +6,10 @@ import static org.assertj.core.api.Assertions.assertThat;
 import static org.awaitility.Awaitility.await;
 
 import java.time.Duration;
+import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.score.buildin.bendable.BendableScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
 import org.acme.taskassigning.domain.TaskAssigningSolution;
@@ -14,6 +17,7 @@ import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
 
 @QuarkusTest
 class TaskAssigningResourceTest {
@@ -105,4 +109,207 @@ class TaskAssigningResourceTest {
         assertThat(analysis2).isNotNull();
     }
 
-}
\ No newline at end of file
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        TaskAssigningSolution schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertThat(events).anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\""));
+        assertThat(events.get(events.size() - 1)).contains("\"solverStatus\":\"NOT_SOLVING\"");
+
+        // Once solving has ended, the stream sends the final status and closes
+        assertThat(getEvents(jobId)).singleElement().asString().contains("\"solverStatus\":\"NOT_SOLVING\"");
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        TaskAssigningSolution schedule = getDemoData();
+        // A best score limit that no solution reaches, so that solving lasts until it is stopped
+        String jobId = solve(schedule, Map.of("bestScoreLimit", "[1]hard/[*/*/*]soft"));
+        assertThat(getJobIds()).contains(jobId);
+
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertThat(getJobIds()).doesNotContain(jobId);
+        given()
+                .when().get("/schedules/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?employeeCount=15&taskCount=60&customerCount=6&randomSeed=7";
+        TaskAssigningSolution schedule = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(TaskAssigningSolution.class);
+        assertThat(schedule.getEmployees()).hasSize(15);
+        assertThat(schedule.getTasks()).hasSize(60);
+        assertThat(schedule.getCustomers()).hasSize(6);
+
+        // The same seed generates the same data, another seed other data
+        assertThat(get(generateUrl).asString()).isEqualTo(get(generateUrl).asString());
+        assertThat(get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString()).isNotEqualTo(get(generateUrl).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?customerCount=9")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("customers");
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        TaskAssigningSolution schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        TaskAssigningSolution solution = get("/schedules/" + jobId).then().extract().as(TaskAssigningSolution.class);
+        String constraint = "constraints.find { it.name == 'Minimize unassigned tasks' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        BendableScore defaultWeight = BendableScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        BendableScore defaultConstraintScore =
+                BendableScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        BendableScore defaultScore = BendableScore.parseScore(defaultAnalysis.getString("score"));
+
+        BendableScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("Minimize unassigned tasks", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertThat(BendableScore.parseScore(analysis.getString(constraint + ".weight"))
+                .compareTo(doubledWeight)).isZero();
+        assertThat(BendableScore.parseScore(analysis.getString(constraint + ".score"))
+                .compareTo(defaultConstraintScore.add(defaultConstraintScore))).isZero();
+        assertThat(BendableScore.parseScore(analysis.getString("score"))
+                .compareTo(defaultScore.add(defaultConstraintScore))).isZero();
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        TaskAssigningSolution schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(schedule)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("spent limit");
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        TaskAssigningSolution schedule = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "abc"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "0hard"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("moveThreadCount", "8"))).contains("move thread count");
+        // A rejected run leaves no job behind
+        assertThat(getJobIds()).isEqualTo(jobIds);
+    }
+
+    private static TaskAssigningSolution getDemoData() {
+        return given()
+                .when().get("/demo-data")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(TaskAssigningSolution.class);
+    }
+
+    private static String solve(TaskAssigningSolution problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/schedules")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(TaskAssigningSolution problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/schedules/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/schedules/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/schedules/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/schedules").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(TaskAssigningSolution solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/schedules/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
+}
@@ -16,23 +16,53 @@ import org.acme.tournamentschedule.domain.UnavailabilityPenalty;
 @ApplicationScoped
 public class DemoDataGenerator {
 
+    private static final List<String> TEAM_NAMES =
+            List.of("Maarten", "Geoffrey", "Lukas", "Chris", "Fred", "Radek", "Maciej");
+    private static final int MAX_TEAM_COUNT = 50;
+    private static final int MAX_DAY_COUNT = 100;
+    private static final int MAX_ASSIGNMENTS_PER_DAY = 20;
+    private static final DemoDataParameters DEFAULT_PARAMETERS = new DemoDataParameters(7, 18, 4, 12, 0);
+
+    /**
+     * The size of a generated schedule. An unavailability penalty is a day on which a team would rather not play.
+     */
+    public record DemoDataParameters(int teamCount, int dayCount, int assignmentsPerDay, int unavailabilityPenaltyCount,
+            int randomSeed) {
+
+        public DemoDataParameters {
+            checkRange("teams", teamCount, 2, MAX_TEAM_COUNT);
+            checkRange("days", dayCount, 1, MAX_DAY_COUNT);
+            checkRange("assignments per day", assignmentsPerDay, 1, MAX_ASSIGNMENTS_PER_DAY);
+            // Each team has at most one penalty per day.
+            checkRange("unavailability penalties", unavailabilityPenaltyCount, 0, teamCount * dayCount);
+        }
+
+        private static void checkRange(String name, int value, int min, int max) {
+            if (value < min || value > max) {
+                throw new IllegalArgumentException("The number of %s (%d) must be between %d and %d."
+                        .formatted(name, value, min, max));
+            }
+        }
+    }
+
     public TournamentSchedule generateDemoData() {
-        Random random = new Random(0);
+        return generateDemoData(DEFAULT_PARAMETERS);
+    }
+
+    public TournamentSchedule generateDemoData(DemoDataParameters parameters) {
+        Random random = new Random(parameters.randomSeed());
         TournamentSchedule schedule = new TournamentSchedule();
         // Teams
-        List<Team> teams = generateTeams();
+        List<Team> teams = generateTeams(parameters.teamCount());
         // Days
-        int countDays = 18;
-        List<Day> days = IntStream.range(0, countDays)
+        List<Day> days = IntStream.range(0, parameters.dayCount())
                 .mapToObj(Day::new)
                 .toList();
         // Unavailability penalty
-        int countUnavailabilityPenalties = 12;
         List<UnavailabilityPenalty> unavailabilityPenalties =
-                generateUnavailabilityPenalties(countUnavailabilityPenalties, teams, days, random);
+                generateUnavailabilityPenalties(parameters.unavailabilityPenaltyCount(), teams, days, random);
         // Assignments
-        int countAssignmentsPerDay = 4;
-        List<TeamAssignment> teamAssignments = generateTeamAssignments(countAssignmentsPerDay, days);
+        List<TeamAssignment> teamAssignments = generateTeamAssignments(parameters.assignmentsPerDay(), days);
         // Update schedule
         schedule.setTeams(teams);
         schedule.setDays(days);
@@ -41,15 +71,11 @@ public class DemoDataGenerator {
         return schedule;
     }
 
-    private List<Team> generateTeams() {
-        return List.of(
-                new Team(0, "Maarten"),
-                new Team(1, "Geoffrey"),
-                new Team(2, "Lukas"),
-                new Team(3, "Chris"),
-                new Team(4, "Fred"),
-                new Team(5, "Radek"),
-                new Team(6, "Maciej"));
+    // The demo teams, followed by numbered teams when there are more teams.
+    private List<Team> generateTeams(int countTeams) {
+        return IntStream.range(0, countTeams)
+                .mapToObj(i -> new Team(i, i < TEAM_NAMES.size() ? TEAM_NAMES.get(i) : "Team " + (i + 1)))
+                .toList();
     }
 
     private List<UnavailabilityPenalty> generateUnavailabilityPenalties(int countUnavailabilityPenalities, List<Team> teams,
@@ -1,4 +1,3 @@
-let autoRefreshIntervalId = null;
 const formatter = JSJoda.DateTimeFormatter.ofPattern("MM/dd/YYYY HH:mm").withLocale(JSJodaLocale.Locale.ENGLISH);
 
 const zoomMin = 1000 * 60 * 60 * 24 // 1 day in milliseconds
@@ -18,6 +17,18 @@ const byTeamPanel = document.getElementById("byTeamPanel");
 let byTeamGroupData = new vis.DataSet();
 let byTeamItemData = new vis.DataSet();
 let byTeamTimeline = new vis.Timeline(byTeamPanel, byTeamItemData, byTeamGroupData, byTimelineOptions);
+trackTimelineWindow(byTeamTimeline);
+// Clicking the lock of a match pins or unpins it.
+byTeamTimeline.on("click", properties => {
+    if (properties.item == null || $(properties.event.target).closest(".pin-toggle").length === 0) {
+        return;
+    }
+    const assignmentId = byTeamItemData.get(properties.item).assignment;
+    solverClient.applyChange(schedule => {
+        const assignment = schedule.teamAssignments.find(assignment => assignment.id === assignmentId);
+        assignment.pinned = !assignment.pinned;
+    }, "pin toggle");
+});
 
 const teamsTable = $('#teams');
 
@@ -25,89 +36,118 @@ let scheduleId = null;
 let loadedSchedule = null;
 let viewType = "T";
 
-// Color Picker: Based on https://venngage.com/blog/color-blind-friendly-palette/
-const BG_COLORS = ["#009E73","#0072B2","#D55E00","#000000","#CC79A7","#E69F00","#F0E442","#F6768E","#C10020","#A6BDD7","#803E75","#007D34","#56B4E9","#999999","#8DD3C7","#FFD92F","#B3DE69","#FB8072","#80B1D3","#B15928","#CAB2D6","#1B9E77","#E7298A","#6A3D9A"];
-const FG_COLORS = ["#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#FFFFFF","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF","#000000","#000000","#000000","#000000","#FFFFFF","#000000","#FFFFFF","#000000","#FFFFFF","#FFFFFF","#FFFFFF"];
-let COLOR_MAP = new Map()
-let nextColorIndex = 0
-
-function pickColor(object) {
-    let color = COLOR_MAP.get(object);
-    if (color !== undefined) {
-        return color;
-    }
-    let index = nextColorIndex++;
-    color = {bg : BG_COLORS[index], fg: FG_COLORS[index]};
-    COLOR_MAP.set(object,color);
-    return color;
-}
+const solverClient = createSolverClient({
+    basePath: "/schedules",
+    getJobId: () => scheduleId,
+    setJobId: jobId => scheduleId = jobId,
+    getSchedule: () => loadedSchedule,
+    setSchedule: schedule => loadedSchedule = schedule,
+    demoDataPath: "/demo-data",
+    render: renderSchedule,
+    highlightMatch: highlightMatch,
+    describeAssignments: describeTeamAssignments,
+    highlightEntities: highlightTeamAssignments,
+    csvFormat: createCsvFormat(),
+});
 
 $(document).ready(function () {
 
     $("#solveButton").click(function () {
-        solve();
+        solverClient.solve();
     });
     $("#stopSolvingButton").click(function () {
-        stopSolving();
+        solverClient.stopSolving();
     });
     $("#analyzeButton").click(function () {
-        analyze();
+        solverClient.analyze();
+    });
+    $("#jobsButton").click(function () {
+        solverClient.showJobs();
+    });
+    $("#undoButton").click(function () {
+        solverClient.undo();
+    });
+    $("#redoButton").click(function () {
+        solverClient.redo();
+    });
+    $("#revertSolveButton").click(function () {
+        solverClient.revertToBeforeLastSolve();
+    });
+    $("#keepForComparisonButton").click(function () {
+        solverClient.keepForComparison();
+    });
+    $("#compareButton").click(function () {
+        solverClient.compare();
+    });
+    $("#importJsonButton").click(function () {
+        solverClient.showImport("json");
+    });
+    $("#exportJsonButton").click(function () {
+        solverClient.exportJson();
+    });
+    $("#importCsvButton").click(function () {
+        solverClient.showImport("csv");
+    });
+    $("#exportCsvButton").click(function () {
+        solverClient.exportCsv();
+    });
+    $("#importModalButton").click(function () {
+        solverClient.importFile();
+    });
+    $("#editButton").click(function () {
+        solverClient.showEditor();
+    });
+    $("#generateButton").click(function () {
+        solverClient.showGenerate();
+    });
+    $("#generateModalButton").click(function () {
+        solverClient.generate();
+    });
+    $("#constraintWeightsButton").click(function () {
+        solverClient.showConstraintWeights();
+    });
+    $("#constraintWeightsApplyButton").click(function () {
+        solverClient.applyConstraintWeights();
+    });
+    $("#runOptionsButton").click(function () {
+        solverClient.showRunOptions();
+    });
+    $("#runOptionsModalButton").click(function () {
+        solverClient.saveRunOptions();
+    });
+    $("#pinButton").click(function () {
+        showPinModal();
+    });
+    $("#pinBeforeButton").click(function () {
+        const date = $("#pinBeforeDate").val();
+        if (date !== "") {
+            pinAssignments(assignment => JSJoda.LocalDate.now().plusDays(assignment.day).isBefore(JSJoda.LocalDate.parse(date)));
+        }
+    });
+    $("#pinTeamButton").click(function () {
+        const teamId = Number($("#pinTeamSelect").val());
+        pinAssignments(assignment => assignment.team === teamId);
+    });
+    $("#unpinAllButton").click(function () {
+        bootstrap.Modal.getInstance("#pinModal").hide();
+        solverClient.applyChange(schedule => schedule.teamAssignments.forEach(assignment => assignment.pinned = false), "unpin all");
     });
     $("#byTeamTab").click(function () {
         viewType = "T";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
     $("#byConfrontationTab").click(function () {
         viewType = "C";
-        refreshSchedule();
+        solverClient.refreshSchedule();
     });
 
+    viewType = bindViewTabs({T: "byTeamTab", C: "byConfrontationTab"}, viewType);
+
     setupAjax();
-    refreshSchedule();
+    solverClient.refreshSchedule();
 });
 
-function setupAjax() {
-    $.ajaxSetup({
-        headers: {
-            'Content-Type': 'application/json', 'Accept': 'application/json,text/plain', // plain text is required by solve() returning UUID of the solver job
-        }
-    });
-
-    // Extend jQuery to support $.put() and $.delete()
-    jQuery.each(["put", "delete"], function (i, method) {
-        jQuery[method] = function (url, data, callback, type) {
-            if (jQuery.isFunction(data)) {
-                type = type || callback;
-                callback = data;
-                data = undefined;
-            }
-            return jQuery.ajax({
-                url: url, type: method, dataType: type, data: data, success: callback
-            });
-        };
-    });
-}
-
-function refreshSchedule() {
-    let path = "/schedules/" + scheduleId;
-    if (scheduleId === null) {
-        path = "/demo-data";
-    }
-
-    $.getJSON(path, function (schedule) {
-        loadedSchedule = schedule;
-        $('#exportData').attr('href', 'data:text/plain;charset=utf-8,' + JSON.stringify(loadedSchedule));
-        renderSchedule(schedule);
-    })
-        .fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Getting the schedule has failed.", xhr);
-            refreshSolvingButtons(false);
-        });
-}
-
 function renderSchedule(schedule) {
-    refreshSolvingButtons(schedule.solverStatus != null && schedule.solverStatus !== "NOT_SOLVING");
-    $("#score").text("Score: " + (schedule.score == null ? "?" : schedule.score));
     $("#info").text(`This dataset has ${schedule.teams.length} teams who play eachother over ${schedule.days.length} days.`);
 
     if (viewType === "T") {
@@ -155,15 +195,16 @@ function renderScheduleByTeam(schedule) {
             unassigned.append($(`<div class="pl-1"/>`).append($(`<div class="card"/>`).append(unassignedElement)));
         } else {
             const matchDateTime = currentDate.plusDays(assignment.day);
-            const element = $(`<div />`).append($(`<div class="d-flex justify-content-center"/>`).append($(`<h5 class="card-title mb-1"/>`).text(`Match ${assignment.indexInDay + 1}`)));
+            const element = $(`<div />`).append($(`<div class="d-flex justify-content-center"/>`).append($(`<h5 class="card-title mb-1"/>`).text(`Match ${assignment.indexInDay + 1}`)).append(getPinToggle(assignment)));
             const teamColor = pickColor(assignment.team);
             byTeamItemData.add({
                 id: `a${assignment.team}-${assignment.day}`,
+                assignment: assignment.id,
                 group: assignment.team,
                 content: element.html(),
                 start: matchDateTime.atStartOfDay().toString(),
                 end: matchDateTime.atStartOfDay().withHour(23).withMinute(59).toString(),
-                style: `background-color: ${teamColor.bg};color:${teamColor.fg}; min-height: 50px`
+                style: `${getPinnedStyle(assignment)}background-color: ${teamColor.bg};color:${teamColor.fg}; min-height: 50px`
             });
         }
     });
@@ -174,7 +215,7 @@ function renderScheduleByTeam(schedule) {
                 .append($(`<span/>`).text("All matches have been assigned!")));
         unassigned.append(banner);
     }
-    byTeamTimeline.setWindow(JSJoda.LocalDateTime.now().minusDays(1).toString(),
+    setTimelineWindow(byTeamTimeline, JSJoda.LocalDateTime.now().minusDays(1).toString(),
         JSJoda.LocalDateTime.now().plusDays(7).withHour(23).withMinute(59).toString());
 }
 
@@ -272,162 +313,105 @@ function renderScheduleByConfrontation(schedule) {
     }
 }
 
-function solve() {
-    $.post("/schedules", JSON.stringify(loadedSchedule), function (data) {
-        scheduleId = data;
-        refreshSolvingButtons(true);
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Start solving failed.", xhr);
-        refreshSolvingButtons(false);
-    }, "text");
+function getPinToggle(assignment) {
+    return $(`<span class="pin-toggle fas ms-2"/>`)
+        .addClass(assignment.pinned ? "fa-lock" : "fa-lock-open opacity-50")
+        .attr("title", assignment.pinned ? "Pinned, click to unpin" : "Click to pin");
 }
 
-function analyze() {
-    new bootstrap.Modal("#scoreAnalysisModal").show()
-    const scoreAnalysisModalContent = $("#scoreAnalysisModalContent");
-    scoreAnalysisModalContent.children().remove();
-    if (loadedSchedule.score == null) {
-        scoreAnalysisModalContent.text("No score to analyze yet, please first press the 'solve' button.");
-    } else {
-        $('#scoreAnalysisScoreLabel').text(`(${loadedSchedule.score})`);
-        $.put("/schedules/analyze", JSON.stringify(loadedSchedule), function (scoreAnalysis) {
-            let constraints = scoreAnalysis.constraints;
-            constraints.sort((a, b) => {
-                let aComponents = getScoreComponents(a.score), bComponents = getScoreComponents(b.score);
-                if (aComponents.hard < 0 && bComponents.hard > 0) return -1;
-                if (aComponents.hard > 0 && bComponents.soft < 0) return 1;
-                if (Math.abs(aComponents.hard) > Math.abs(bComponents.hard)) {
-                    return -1;
-                } else {
-                    if (aComponents.medium < 0 && bComponents.medium > 0) return -1;
-                    if (aComponents.medium > 0 && bComponents.medium < 0) return 1;
-                    if (Math.abs(aComponents.medium) > Math.abs(bComponents.medium)) {
-                        return -1;
-                    } else {
-                        if (aComponents.soft < 0 && bComponents.soft > 0) return -1;
-                        if (aComponents.soft > 0 && bComponents.soft < 0) return 1;
-
-                        return Math.abs(bComponents.soft) - Math.abs(aComponents.soft);
-                    }
-                }
-            });
-            constraints.map((e) => {
-                let components = getScoreComponents(e.weight);
-                e.type = components.hard != 0 ? 'hard' : (components.medium != 0 ? 'medium' : 'soft');
-                e.weight = components[e.type];
-                let scores = getScoreComponents(e.score);
-                e.implicitScore = scores.hard != 0 ? scores.hard : (scores.medium != 0 ? scores.medium : scores.soft);
-            });
-            scoreAnalysis.constraints = constraints;
-
-            scoreAnalysisModalContent.children().remove();
-            scoreAnalysisModalContent.text("");
-
-            const analysisTable = $(`<table class="table"/>`).css({textAlign: 'center'});
-            const analysisTHead = $(`<thead/>`).append($(`<tr/>`)
-                .append($(`<th></th>`))
-                .append($(`<th>Constraint</th>`).css({textAlign: 'left'}))
-                .append($(`<th>Type</th>`))
-                .append($(`<th># Matches</th>`))
-                .append($(`<th>Weight</th>`))
-                .append($(`<th>Score</th>`))
-                .append($(`<th></th>`)));
-            analysisTable.append(analysisTHead);
-            const analysisTBody = $(`<tbody/>`)
-            $.each(scoreAnalysis.constraints, (index, constraintAnalysis) => {
-                let icon = constraintAnalysis.type == "hard" && constraintAnalysis.implicitScore < 0 ? '<span class="fas fa-exclamation-triangle" style="color: red"></span>' : '';
-                if (!icon) icon = constraintAnalysis.matches.length == 0 ? '<span class="fas fa-check-circle" style="color: green"></span>' : '';
-
-                let row = $(`<tr/>`);
-                row.append($(`<td/>`).html(icon))
-                    .append($(`<td/>`).text(constraintAnalysis.name).css({textAlign: 'left'}))
-                    .append($(`<td/>`).text(constraintAnalysis.type))
-                    .append($(`<td/>`).html(`<b>${constraintAnalysis.matches.length}</b>`))
-                    .append($(`<td/>`).text(constraintAnalysis.weight))
-                    .append($(`<td/>`).text(constraintAnalysis.implicitScore));
-                analysisTBody.append(row);
-                row.append($(`<td/>`));
-            });
-            analysisTable.append(analysisTBody);
-            scoreAnalysisModalContent.append(analysisTable);
-        }).fail(function (xhr, ajaxOptions, thrownError) {
-            showError("Analyze failed.", xhr);
-        }, "text");
-    }
+function getPinnedStyle(assignment) {
+    return assignment.pinned ? "border: 2px dashed #000;" : "";
 }
 
-function getScoreComponents(score) {
-    let components = {hard: 0, medium: 0, soft: 0};
-
-    $.each([...score.matchAll(/(-?\d*(\.\d+)?)(hard|medium|soft)/g)], (i, parts) => {
-        components[parts[3]] = parseFloat(parts[1], 10);
-    });
-
-    return components;
+function showPinModal() {
+    const pinTeamSelect = $("#pinTeamSelect");
+    pinTeamSelect.children().remove();
+    loadedSchedule.teams.forEach(team => pinTeamSelect.append($(`<option/>`).val(team.id).text(team.name)));
+    bootstrap.Modal.getOrCreateInstance("#pinModal").show();
 }
 
-function refreshSolvingButtons(solving) {
-    if (solving) {
-        $("#solveButton").hide();
-        $("#stopSolvingButton").show();
-        if (autoRefreshIntervalId == null) {
-            autoRefreshIntervalId = setInterval(refreshSchedule, 2000);
-        }
-    } else {
-        $("#solveButton").show();
-        $("#stopSolvingButton").hide();
-        if (autoRefreshIntervalId != null) {
-            clearInterval(autoRefreshIntervalId);
-            autoRefreshIntervalId = null;
-        }
-    }
+// Pins the assigned matches that pass the filter, as an unassigned match cannot be pinned.
+function pinAssignments(filter) {
+    bootstrap.Modal.getInstance("#pinModal").hide();
+    solverClient.applyChange(schedule => schedule.teamAssignments
+        .filter(assignment => assignment.team != null && filter(assignment))
+        .forEach(assignment => assignment.pinned = true), "pins");
 }
 
-function stopSolving() {
-    $.delete("/schedules/" + scheduleId, function () {
-        refreshSolvingButtons(false);
-        refreshSchedule();
-    }).fail(function (xhr, ajaxOptions, thrownError) {
-        showError("Stop solving failed.", xhr);
+function describeTeamAssignments(schedule) {
+    return schedule.teamAssignments.map(assignment => {
+        const team = schedule.teams.find(team => team.id === assignment.team);
+        return {
+            id: assignment.id,
+            name: `${JSJoda.LocalDate.now().plusDays(assignment.day).toString()} - Match ${assignment.indexInDay + 1}`,
+            assignment: team == null ? null : team.name
+        };
     });
 }
 
-function copyTextToClipboard(id) {
-    var text = $("#" + id).text().trim();
-
-    var dummy = document.createElement("textarea");
-    document.body.appendChild(dummy);
-    dummy.value = text;
-    dummy.select();
-    document.execCommand("copy");
-    document.body.removeChild(dummy);
+function highlightTeamAssignments(assignmentIds) {
+    const itemIds = byTeamItemData.getIds({filter: item => assignmentIds.includes(item.assignment)});
+    byTeamTimeline.setSelection(itemIds, {focus: itemIds.length > 0});
 }
 
-function showError(title, xhr) {
-    let serverErrorMessage = !xhr.responseJSON ? `${xhr.status}: ${xhr.statusText}` : xhr.responseJSON.message;
-    let serverErrorCode = !xhr.responseJSON ? `unknown` : xhr.responseJSON.code;
-    let serverErrorId = !xhr.responseJSON ? `----` : xhr.responseJSON.id;
-    let serverErrorDetails = !xhr.responseJSON ? `no details provided` : xhr.responseJSON.details;
-
-    if (xhr.responseJSON && !serverErrorMessage) {
-        serverErrorMessage = JSON.stringify(xhr.responseJSON);
-        serverErrorCode = xhr.statusText + '(' + xhr.status + ')';
-        serverErrorId = `----`;
-    }
+function highlightMatch(justification) {
+    // Teams and days are serialized as their ids once they already appeared earlier in the score analysis.
+    const itemIds = getJustificationFacts(justification, "indexInDay")
+        .map(assignment => {
+            const team = typeof assignment.team === "object" && assignment.team !== null ? assignment.team.id : assignment.team;
+            const day = typeof assignment.day === "object" && assignment.day !== null ? assignment.day.dateIndex : assignment.day;
+            return `a${team}-${day}`;
+        });
+    byTeamTimeline.setSelection(itemIds, {focus: itemIds.length > 0});
+}
 
-    console.error(title + "\n" + serverErrorMessage + " : " + serverErrorDetails);
-    const notification = $(`<div class="toast" role="alert" aria-live="assertive" aria-atomic="true" style="min-width: 50rem"/>`)
-        .append($(`<div class="toast-header bg-danger">
-                 <strong class="me-auto text-dark">Error</strong>
-                 <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Close"></button>
-               </div>`))
-        .append($(`<div class="toast-body"/>`)
-            .append($(`<p/>`).text(title))
-            .append($(`<pre/>`)
-                .append($(`<code/>`).text(serverErrorMessage + "\n\nCode: " + serverErrorCode + "\nError id: " + serverErrorId))
-            )
-        );
-    $("#notificationPanel").append(notification);
-    notification.toast({delay: 30000});
-    notification.toast('show');
+// The teams, days, unavailabilities and team assignments as tables of a CSV file, see csv.js.
+function createCsvFormat() {
+    return {
+        tables: [
+            {
+                name: "Teams",
+                id: "id",
+                rows: schedule => schedule.teams,
+                columns: [
+                    {field: "id", type: "int"},
+                    {field: "name"},
+                ]
+            },
+            {
+                name: "Days",
+                id: "dateIndex",
+                rows: schedule => schedule.days,
+                columns: [
+                    {field: "dateIndex", type: "int"},
+                ]
+            },
+            {
+                name: "UnavailabilityPenalties",
+                rows: schedule => schedule.unavailabilityPenalties,
+                columns: [
+                    {field: "team", ref: "Teams"},
+                    {field: "day", ref: "Days"},
+                ]
+            },
+            {
+                name: "TeamAssignments",
+                id: "id",
+                rows: schedule => schedule.teamAssignments,
+                columns: [
+                    {field: "id", type: "int"},
+                    {field: "day", ref: "Days"},
+                    {field: "indexInDay", type: "int"},
+                    {field: "pinned", type: "boolean"},
+                    {field: "team", ref: "Teams", optional: true},
+                ]
+            },
+        ],
+        toSchedule: tables => ({
+            teams: tables.Teams,
+            days: tables.Days,
+            unavailabilityPenalties: tables.UnavailabilityPenalties,
+            teamAssignments: tables.TeamAssignments,
+        }),
+    };
 }
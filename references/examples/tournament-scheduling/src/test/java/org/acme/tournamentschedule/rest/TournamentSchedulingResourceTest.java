@@ -6,14 +6,20 @@ import static org.assertj.core.api.Assertions.assertThat;
 import static org.awaitility.Awaitility.await;
 
 import java.time.Duration;
+import java.util.List;
+import java.util.Map;
 
+import ai.timefold.solver.core.api.score.buildin.hardmediumsoftbigdecimal.HardMediumSoftBigDecimalScore;
 import ai.timefold.solver.core.api.solver.SolverStatus;
 
+import org.acme.tournamentschedule.domain.Team;
+import org.acme.tournamentschedule.domain.TeamAssignment;
 import org.acme.tournamentschedule.domain.TournamentSchedule;
 import org.junit.jupiter.api.Test;
 
 import io.quarkus.test.junit.QuarkusTest;
 import io.restassured.http.ContentType;
+import io.restassured.path.json.JsonPath;
 
 @QuarkusTest
 class TournamentSchedulingResourceTest {
@@ -105,4 +111,238 @@ class TournamentSchedulingResourceTest {
         assertThat(analysis2).isNotNull();
     }
 
-}
\ No newline at end of file
+    @Test
+    void streamEventsUntilSolvingEnds() {
+        TournamentSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // The stream stays open while solving, so it has an event for every best solution until the spent limit
+        List<String> events = getEvents(jobId);
+        assertThat(events).anyMatch(event -> event.contains("\"solverStatus\":\"SOLVING_ACTIVE\""));
+        assertThat(events.get(events.size() - 1)).contains("\"solverStatus\":\"NOT_SOLVING\"");
+
+        // Once solving has ended, the stream sends the final status and closes
+        assertThat(getEvents(jobId)).singleElement().asString().contains("\"solverStatus\":\"NOT_SOLVING\"");
+    }
+
+    @Test
+    void discardAfterSolvingEnds() {
+        TournamentSchedule schedule = getDemoData();
+        String jobId = solve(schedule);
+        assertThat(getJobIds()).contains(jobId);
+
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(409);
+
+        stopSolving(jobId);
+        given()
+                .when().delete("/schedules/" + jobId + "?discard=true")
+                .then()
+                .statusCode(200);
+
+        assertThat(getJobIds()).doesNotContain(jobId);
+        given()
+                .when().get("/schedules/" + jobId)
+                .then()
+                .statusCode(404);
+    }
+
+    @Test
+    void solveKeepsPinnedAssignments() {
+        TournamentSchedule schedule = getDemoData();
+        TeamAssignment pinnedAssignment = schedule.getTeamAssignments().get(0);
+        Team pinnedTeam = schedule.getTeams().get(schedule.getTeams().size() - 1);
+        pinnedAssignment.setTeam(pinnedTeam);
+        pinnedAssignment.setPinned(true);
+
+        // Long enough for the solver to assign and move the other matches
+        String jobId = solve(schedule, Map.of("spentLimit", "PT5S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(30));
+
+        TournamentSchedule solution = get("/schedules/" + jobId).then().extract().as(TournamentSchedule.class);
+        assertThat(solution.getTeamAssignments())
+                .filteredOn(assignment -> assignment.getId() != pinnedAssignment.getId())
+                .allMatch(assignment -> !assignment.isPinned() && assignment.getTeam() != null);
+        TeamAssignment solvedAssignment = solution.getTeamAssignments().stream()
+                .filter(assignment -> assignment.getId() == pinnedAssignment.getId())
+                .findFirst()
+                .orElseThrow();
+        assertThat(solvedAssignment.isPinned()).isTrue();
+        assertThat(solvedAssignment.getTeam().getId()).isEqualTo(pinnedTeam.getId());
+    }
+
+    @Test
+    void generateDemoDataOfChosenSize() {
+        String generateUrl = "/demo-data/generate?teamCount=10&dayCount=6&assignmentsPerDay=3"
+                + "&unavailabilityPenaltyCount=5&randomSeed=7";
+        TournamentSchedule schedule = given()
+                .when().get(generateUrl)
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(TournamentSchedule.class);
+        assertThat(schedule.getTeams()).hasSize(10);
+        assertThat(schedule.getDays()).hasSize(6);
+        assertThat(schedule.getTeamAssignments()).hasSize(6 * 3);
+        assertThat(schedule.getUnavailabilityPenalties()).hasSize(5);
+
+        // The same seed generates the same data, another seed other data
+        assertThat(get(generateUrl).asString()).isEqualTo(get(generateUrl).asString());
+        assertThat(get(generateUrl.replace("randomSeed=7", "randomSeed=8")).asString()).isNotEqualTo(get(generateUrl).asString());
+
+        String message = given()
+                .when().get("/demo-data/generate?teamCount=2&dayCount=2&unavailabilityPenaltyCount=5")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("unavailability penalties");
+    }
+
+    @Test
+    void overrideConstraintWeights() {
+        TournamentSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+        TournamentSchedule solution = get("/schedules/" + jobId).then().extract().as(TournamentSchedule.class);
+        String constraint = "constraints.find { it.name == 'evenlyConfrontationCount' }";
+        JsonPath defaultAnalysis = analyzeScore(solution);
+        HardMediumSoftBigDecimalScore defaultWeight =
+                HardMediumSoftBigDecimalScore.parseScore(defaultAnalysis.getString(constraint + ".weight"));
+        HardMediumSoftBigDecimalScore defaultConstraintScore =
+                HardMediumSoftBigDecimalScore.parseScore(defaultAnalysis.getString(constraint + ".score"));
+        HardMediumSoftBigDecimalScore defaultScore =
+                HardMediumSoftBigDecimalScore.parseScore(defaultAnalysis.getString("score"));
+
+        HardMediumSoftBigDecimalScore doubledWeight = defaultWeight.add(defaultWeight);
+        solution.setConstraintWeights(Map.of("evenlyConfrontationCount", doubledWeight.toString()));
+        JsonPath analysis = analyzeScore(solution);
+        // Twice the weight doubles the score of the constraint and leaves the other constraints alone
+        assertThat(HardMediumSoftBigDecimalScore.parseScore(analysis.getString(constraint + ".weight"))
+                .compareTo(doubledWeight)).isZero();
+        assertThat(HardMediumSoftBigDecimalScore.parseScore(analysis.getString(constraint + ".score"))
+                .compareTo(defaultConstraintScore.add(defaultConstraintScore))).isZero();
+        assertThat(HardMediumSoftBigDecimalScore.parseScore(analysis.getString("score"))
+                .compareTo(defaultScore.add(defaultConstraintScore))).isZero();
+    }
+
+    @Test
+    void solveWithRunOptions() {
+        TournamentSchedule schedule = getDemoData();
+        String jobId = solve(schedule, Map.of("spentLimit", "PT2S"));
+
+        // Sooner than the spent limit of application.properties
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofSeconds(8));
+
+        String message = given()
+                .contentType(ContentType.JSON)
+                .queryParam("spentLimit", "2 seconds")
+                .body(schedule)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+        assertThat(message).contains("spent limit");
+    }
+
+    @Test
+    void solveWithInvalidRunOptions() {
+        TournamentSchedule schedule = getDemoData();
+        List<String> jobIds = getJobIds();
+
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "abc"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("bestScoreLimit", "0hard"))).contains("best score limit");
+        assertThat(solveWithInvalidRunOptions(schedule, Map.of("moveThreadCount", "8"))).contains("move thread count");
+        // A rejected run leaves no job behind
+        assertThat(getJobIds()).isEqualTo(jobIds);
+    }
+
+    private static TournamentSchedule getDemoData() {
+        return given()
+                .when().get("/demo-data")
+                .then()
+                .statusCode(200)
+                .extract()
+                .as(TournamentSchedule.class);
+    }
+
+    private static String solve(TournamentSchedule problem) {
+        return solve(problem, Map.of());
+    }
+
+    private static String solve(TournamentSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .expect().contentType(ContentType.TEXT)
+                .when().post("/schedules")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString();
+    }
+
+    private static String solveWithInvalidRunOptions(TournamentSchedule problem, Map<String, ?> runOptions) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParams(runOptions)
+                .body(problem)
+                .when().post("/schedules")
+                .then()
+                .statusCode(400)
+                .extract()
+                .jsonPath().getString("message");
+    }
+
+    private static void awaitSolverStatus(String jobId, SolverStatus solverStatus, Duration atMost) {
+        await()
+                .atMost(atMost)
+                .pollInterval(Duration.ofMillis(500L))
+                .until(() -> solverStatus.name().equals(
+                        get("/schedules/" + jobId + "/status")
+                                .jsonPath().get("solverStatus")));
+    }
+
+    private static void stopSolving(String jobId) {
+        given()
+                .when().delete("/schedules/" + jobId)
+                .then()
+                .statusCode(200);
+        awaitSolverStatus(jobId, SolverStatus.NOT_SOLVING, Duration.ofMinutes(1));
+    }
+
+    private static List<String> getEvents(String jobId) {
+        return given()
+                .accept("text/event-stream")
+                .when().get("/schedules/" + jobId + "/events")
+                .then()
+                .statusCode(200)
+                .extract()
+                .asString()
+                .lines()
+                .filter(line -> line.startsWith("data:"))
+                .toList();
+    }
+
+    private static List<String> getJobIds() {
+        return get("/schedules").then().statusCode(200).extract().jsonPath().getList("$", String.class);
+    }
+
+    private static JsonPath analyzeScore(TournamentSchedule solution) {
+        return given()
+                .contentType(ContentType.JSON)
+                .queryParam("fetchPolicy", "FETCH_SHALLOW")
+                .body(solution)
+                .when()
+                .put("/schedules/analyze")
+                .then()
+                .statusCode(200)
+                .extract()
+                .jsonPath();
+    }
+
+}